@@ -6,6 +6,13 @@
  *
  * HIGH-02: Fetches auth token from relay server and includes it
  * in all subsequent POST requests for security.
+ *
+ * Each POST carries the profile's signed-in account (if any) so the desktop
+ * app can tell browser profiles apart and match them to their display names.
+ *
+ * Tabs of incognito / InPrivate windows never leave the browser: only how
+ * many there were is sent (privateTabs), so the app can say they were left out.
+ * They are only visible at all when the extension is allowed in incognito.
  */
 
 const CK_PORT = 9224;
@@ -32,6 +39,16 @@ async function fetchToken() {
   }
 }
 
+/** Email of the account signed in to this browser profile, or ''. */
+async function getAccount() {
+  try {
+    const info = await chrome.identity.getProfileUserInfo({ accountStatus: 'ANY' });
+    return info.email || '';
+  } catch {
+    return '';
+  }
+}
+
 async function syncTabs() {
   try {
     // Ensure we have a token
@@ -41,14 +58,18 @@ async function syncTabs() {
     }
 
     const tabs = await chrome.tabs.query({});
-    const data = tabs
-      .filter(t => t.url && /^https?:\/\//.test(t.url))
-      .map(t => ({
-        url: t.url,
-        title: t.title || t.url,
-        active: t.active,
-        windowId: t.windowId,
-      }));
+    const data = {
+      account: await getAccount(),
+      privateTabs: tabs.filter(t => t.incognito).length,
+      tabs: tabs
+        .filter(t => !t.incognito && t.url && /^https?:\/\//.test(t.url))
+        .map(t => ({
+          url: t.url,
+          title: t.title || t.url,
+          active: t.active,
+          windowId: t.windowId,
+        })),
+    };
 
     const res = await fetch(CK_ENDPOINT, {
       method: 'POST',
@@ -1,7 +1,8 @@
 /**
  * ai-client.ts  (file kept as anthropic-client.ts for import-compat)
  *
- * Multi-provider AI client for generating session summaries.
+ * Multi-provider AI client for generating session summaries, proposing a
+ * thread for new captures and keeping each thread's rolling summary.
  * Supported providers:
  *   - Google Gemini  (@google/generative-ai SDK)
  *   - OpenAI         (fetch → api.openai.com)
@@ -52,6 +53,37 @@ function buildPrompt(context: SessionData): string {
     return hasTitle ? `・[${domain}] ${h.title}（${timeStr}）` : `・${h.url}（${timeStr}）`;
   }).join('\n');
 
+  // Editor workspaces — the projects behind the editor windows
+  const wsLines = (context.workspaces ?? []).map(w => `・${w.path}（${w.app}）`).join('\n');
+  const wsBlock = wsLines ? `[${t(i18n, 'ai_workspaces_header')}]\n${wsLines}\n\n` : '';
+
+  // Git repositories — branch, sync state, what's uncommitted, where work left off
+  const gitLines = (context.gitRepos ?? []).map(r => {
+    const parts = [r.branch ?? t(i18n, 'git_detached')];
+    if (r.ahead || r.behind) parts.push(`↑${r.ahead} ↓${r.behind}`);
+    if (r.changedCount) parts.push(t(i18n, 'ai_git_changes', { n: r.changedCount, files: r.changes.slice(0, 5).map(c => c.path).join(joiner) }));
+    if (r.commits.length) parts.push(t(i18n, 'ai_git_commits', { list: r.commits.slice(0, 3).map(c => c.subject).join(' / ') }));
+    if (r.stashes.length) parts.push(t(i18n, 'ai_git_stashes', { n: r.stashes.length }));
+    return `・${r.name}: ${parts.join('; ')}`;
+  }).join('\n');
+  const gitBlock = gitLines ? `[${t(i18n, 'ai_git_header')}]\n${gitLines}\n\n` : '';
+
+  // Terminal — last commands (already redacted) and where the shells are
+  const shell = context.shellHistory;
+  const shellLines = [
+    ...(shell?.cwds ?? []).slice(0, 5).map(d => `・cd ${d}`),
+    ...(shell?.commands ?? []).slice(0, 15).map(c => `・$ ${c.command.replace(/\n/g, ' ')}`),
+  ].join('\n');
+  const shellBlock = shellLines ? `[${t(i18n, 'ai_shell_header')}]\n${shellLines}\n\n` : '';
+
+  // Collector plugin sections — each becomes its own [title] block
+  const extrasBlock = (context.extras ?? []).map(x => {
+    const body = x.type === 'text'   ? x.text.substring(0, 500)
+               : x.type === 'list'   ? x.items.slice(0, 15).map(i => `・${i}`).join('\n')
+               : x.fields.slice(0, 15).map(f => `・${f.label}: ${f.value}`).join('\n');
+    return `[${x.title}]\n${body}\n\n`;
+  }).join('');
+
   const recentFilesList = context.recentFiles.slice(0, 5).join(joiner);
   const clipPreview = context.clipboard.substring(0, 200);
 
@@ -63,6 +95,10 @@ function buildPrompt(context: SessionData): string {
     .replace('{windows}', windowLines || none)
     .replace('{files}', recentFilesList || none)
     .replace('{clipboard}', clipPreview || none)
+    .replace('{workspaces}', () => wsBlock)
+    .replace('{git}', () => gitBlock)
+    .replace('{shell}', () => shellBlock)
+    .replace('{extras}', () => extrasBlock)
     .replace(/\{label_task\}/g, t(i18n, 'ai_label_task'))
     .replace(/\{label_refs\}/g, t(i18n, 'ai_label_refs'))
     .replace(/\{label_remaining\}/g, t(i18n, 'ai_label_remaining'))
@@ -213,6 +249,117 @@ export async function generateSessionSummary(context: SessionData): Promise<stri
   }
 }
 
+// ── Tags ──────────────────────────────────────────────────────────────────────
+
+const MAX_SUGGESTED_TAGS = 5;
+
+/**
+ * Suggests a few tags (project names, technologies, customers…) for a new
+ * capture.  Existing tags are offered to the model so it reuses them instead
+ * of inventing spelling variants.  Returns [] when the call fails.
+ */
+export async function suggestTags(context: SessionData, aiSummary: string, existingTags: string[]): Promise<string[]> {
+  const cfg = loadConfig();
+  const provider: AiProvider = cfg.aiProvider || 'gemini';
+  const i18n = loadTranslations(cfg.language || 'ja');
+  const none = t(i18n, 'ai_none');
+
+  const tabs = (context.browserTabs ?? []).slice(0, 10).map(tb => `・${tb.title || tb.url}`).join('\n');
+  const files = context.recentFiles.slice(0, 5).map(f => `・${f.split(/[/\\]/).pop() || f}`).join('\n');
+
+  const prompt = t(i18n, 'ai_tags_prompt')
+    .replace('{summary}', () => aiSummary.trim() || none)
+    .replace('{tabs}', () => tabs || none)
+    .replace('{files}', () => files || none)
+    .replace('{existing}', () => existingTags.slice(0, 40).join(', ') || none)
+    .replace('{max}', String(MAX_SUGGESTED_TAGS));
+
+  try {
+    const text = await callProvider(provider, prompt);
+    return text
+      .split(/[,、，\n]/)
+      .map(tag => tag.replace(/^\s*(?:\d+[.)]\s*)?[-*・#\s]*/, '').replace(/["'`]/g, '').trim())
+      .filter(tag => tag.length > 0 && tag.length <= 40 && tag.toLowerCase() !== none.toLowerCase())
+      .slice(0, MAX_SUGGESTED_TAGS);
+  } catch (err) {
+    console.warn(`[TK] Tag suggestion failed (${provider}):`, (err as Error).message);
+    return [];
+  }
+}
+
+// ── Threads ───────────────────────────────────────────────────────────────────
+
+export interface ThreadCandidate {
+  id: string;
+  name: string;
+  summary: string;
+}
+
+/**
+ * Asks the model which existing thread a new capture continues.
+ * Returns the thread id, or null when none fits or the call fails —
+ * a proposal is only a pre-selection, so errors are not surfaced.
+ */
+export async function proposeThread(aiSummary: string, threads: ThreadCandidate[]): Promise<string | null> {
+  if (threads.length === 0 || !aiSummary.trim()) return null;
+  const cfg = loadConfig();
+  const provider: AiProvider = cfg.aiProvider || 'gemini';
+  const i18n = loadTranslations(cfg.language || 'ja');
+
+  // Most recently active threads first; keep the prompt short
+  const list = threads.slice(0, 20).map((th, i) => {
+    const summary = th.summary.replace(/\s+/g, ' ').trim().substring(0, 200);
+    return `${i + 1}. ${th.name}${summary ? ` — ${summary}` : ''}`;
+  }).join('\n');
+
+  // Function replacers: names and summaries are user text and may contain `$`
+  const prompt = t(i18n, 'ai_thread_prompt')
+    .replace('{threads}', () => list)
+    .replace('{session}', () => aiSummary.trim());
+
+  try {
+    const text = await callProvider(provider, prompt);
+    // Only a bare number counts — "Not 2, maybe none" must not pick thread 2
+    const m = /^\s*(\d+)\.?\s*$/.exec(text);
+    if (!m) return null;
+    const n = parseInt(m[1], 10);
+    return n >= 1 && n <= Math.min(threads.length, 20) ? threads[n - 1].id : null;
+  } catch (err) {
+    console.warn(`[TK] Thread proposal failed (${provider}):`, (err as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Folds one more session into a thread's rolling summary.  Returns the new
+ * summary, or null if the call fails (the previous summary is then kept).
+ */
+export async function generateThreadSummary(
+  thread: { name: string; summary: string },
+  session: { capturedAt: string; aiSummary: string; userNote: string },
+): Promise<string | null> {
+  const cfg = loadConfig();
+  const provider: AiProvider = cfg.aiProvider || 'gemini';
+  const i18n = loadTranslations(cfg.language || 'ja');
+  const none = t(i18n, 'ai_none');
+
+  const prompt = t(i18n, 'ai_thread_summary_prompt')
+    .replace('{name}', () => thread.name)
+    .replace('{previous}', () => thread.summary.trim() || none)
+    .replace('{date}', session.capturedAt.slice(0, 10))
+    .replace('{session}', () => session.aiSummary.trim() || none)
+    .replace('{note}', () => session.userNote.trim() || none)
+    .replace(/\{output_lang\}/g, t(i18n, 'ai_output_lang'));
+
+  try {
+    const text = await callProvider(provider, prompt);
+    return text || null;
+  } catch (err) {
+    console.warn(`[TK] Thread summary failed (${provider}):`, (err as Error).message);
+    return null;
+  }
+}
+
 // ── Test helper (used by IPC test-ai-config handler) ─────────────────────────
 
 export interface TestAiConfig {
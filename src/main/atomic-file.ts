@@ -0,0 +1,140 @@
+/**
+ * atomic-file.ts
+ *
+ * Crash-safe file writes for the session database, archive and config.json.
+ *
+ * writeFileAtomic() writes to "<file>.tmp", fsyncs it and renames it over the
+ * live file, so a crash or power loss leaves either the old or the new
+ * contents — never a truncated file.  With `backup` set, the version being
+ * replaced is kept as "<file>.bak" (the last known good copy);
+ * readWithRecovery() falls back to it when the live file can't be parsed and
+ * puts it back in place.
+ *
+ * withFileLock() serializes read-modify-write cycles on a file through a
+ * "<file>.lock" file created exclusively; a lock left by a crashed process is
+ * taken over once it is older than LOCK_STALE_MS.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+const LOCK_STALE_MS = 10_000;
+const LOCK_WAIT_MS  = 3_000;
+const LOCK_RETRY_MS = 25;
+
+export function backupPath(file: string): string {
+  return `${file}.bak`;
+}
+
+function fsyncDir(dir: string): void {
+  // Makes the rename itself durable; directories can't be opened on Windows
+  try {
+    const fd = fs.openSync(dir, 'r');
+    try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+  } catch { /* ignore */ }
+}
+
+/** Points "<file>.bak" at the current contents of `file` (hard link, copy as fallback). */
+export function refreshBackup(file: string): void {
+  if (!fs.existsSync(file)) return;
+  const bak = backupPath(file);
+  try { fs.rmSync(bak, { force: true }); } catch { /* ignore */ }
+  try {
+    fs.linkSync(file, bak);
+  } catch {
+    try { fs.copyFileSync(file, bak); } catch (err) {
+      console.warn(`[TK] Failed to back up ${path.basename(file)}:`, (err as Error).message);
+    }
+  }
+}
+
+export function writeFileAtomic(
+  file: string,
+  data: string | Buffer,
+  opts: { backup?: boolean; mode?: number } = {},
+): void {
+  const dir = path.dirname(file);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${file}.tmp`;
+  const fd  = fs.openSync(tmp, 'w', opts.mode ?? 0o666);
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (opts.backup) refreshBackup(file);
+  fs.renameSync(tmp, file);
+  fsyncDir(dir);
+}
+
+/**
+ * Reads and parses `file`.  If it is missing or `parse` throws, the backup
+ * is tried; a good backup is restored over the live file.  Returns null when
+ * neither exists and re-throws the original error when both are unusable.
+ */
+export function readWithRecovery<T>(file: string, parse: (buf: Buffer) => T): T | null {
+  const bak = backupPath(file);
+  let primaryError: unknown = null;
+  if (fs.existsSync(file)) {
+    try {
+      return parse(fs.readFileSync(file));
+    } catch (err) {
+      primaryError = err;
+    }
+  }
+  if (!fs.existsSync(bak)) {
+    if (primaryError) throw primaryError;
+    return null;
+  }
+
+  let buf: Buffer;
+  let value: T;
+  try {
+    buf   = fs.readFileSync(bak);
+    value = parse(buf);
+  } catch (err) {
+    throw primaryError ?? err;
+  }
+  console.warn(`[TK] ${path.basename(file)} is damaged or missing — restored the last known good copy`);
+  if (fs.existsSync(file)) {
+    try { fs.renameSync(file, `${file}.corrupt-${Date.now()}`); } catch { /* overwritten below */ }
+  }
+  writeFileAtomic(file, buf);
+  return value;
+}
+
+function sleepSync(ms: number): void {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/** Runs `fn` while holding "<file>.lock".  Throws if the lock can't be taken in time. */
+export function withFileLock<T>(file: string, fn: () => T): T {
+  const lock = `${file}.lock`;
+  fs.mkdirSync(path.dirname(lock), { recursive: true });
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  let fd: number | null = null;
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lock, 'wx');
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code !== 'EEXIST') throw err;
+      let stale = false;
+      try { stale = Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS; } catch { /* released meanwhile */ }
+      if (stale) {
+        console.warn(`[TK] Removing stale lock ${path.basename(lock)}`);
+        try { fs.rmSync(lock, { force: true }); } catch { /* ignore */ }
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for ${path.basename(lock)}`);
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try { fs.rmSync(lock, { force: true }); } catch { /* ignore */ }
+  }
+}
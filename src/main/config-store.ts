@@ -1,7 +1,9 @@
 import * as fs from 'fs';
 import * as path from 'path';
 import { safeStorage } from 'electron';
-import { getAppDataDir, getDefaultShortcuts, isMac } from './platform';
+import { getAppDataDir, getDefaultShortcuts, isWin } from './platform';
+import type { ProfileFilterMode } from './platform';
+import { writeFileAtomic, readWithRecovery, withFileLock } from './atomic-file';
 
 const CONFIG_DIR = getAppDataDir();
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
@@ -35,6 +37,10 @@ export type AiProvider = 'gemini' | 'openai' | 'anthropic' | 'ollama';
 
 export type HistoryMode = 'fixed' | 'since-last';
 
+export type RetentionMode = 'max-age' | 'max-count' | 'never';
+
+export type ScreenshotMode = 'off' | 'displays' | 'window';
+
 export interface AppConfig {
   // ── Existing ──
   googleApiKey: string;    // Gemini API key (kept for backward compat)
@@ -53,6 +59,13 @@ export interface AppConfig {
   // ── Browser history settings ──
   historyMinutesBack: number;  // 15 | 30 | 60 | 120 | 240
   historyMode: HistoryMode;    // 'fixed' = use historyMinutesBack, 'since-last' = since last capture
+  browserProfileMode: ProfileFilterMode; // default: 'all' — 'include' / 'exclude' use browserProfileList
+  browserProfileList: string[];          // default: [] — profile keys, e.g. 'chrome/Work' (see platform.ts)
+  safariTabCapture: boolean;             // default: false — macOS: read Safari's tabs too (its private windows can't be told apart)
+
+  // ── Git repositories ──
+  gitCapture: boolean;         // default: true — record branch / changes / commits of repositories in use
+  gitWorkspaceRoots: string[]; // default: [] — folders whose repositories (and direct child repos) are always included
 
   // ── Shortcut settings ──
   captureShortcut: string;   // default: 'Ctrl+Shift+S'
@@ -60,6 +73,30 @@ export interface AppConfig {
 
   // ── Privacy settings (LOW-04) ──
   clipboardCapture: boolean; // default: true — set false to opt out of clipboard capture
+  shellHistoryCapture: boolean; // default: true — set false to opt out of terminal history capture
+  screenshotMode: ScreenshotMode; // default: 'off' — 'displays' = every screen, 'window' = the focused window only
+  privacyBlockedDomains: string[];   // default: [] — tabs / history on these hosts (and subdomains) are dropped
+  privacyBlockedUrls: string[];      // default: [] — URL patterns with * wildcards, dropped like blocked domains
+  privacyBlockedProcesses: string[]; // default: [] — windows of these processes are dropped
+  privacyRedactPatterns: string[];   // default: [] — regular expressions masked in titles, URLs, clipboard, commands
+  privacyRedactEmails: boolean;      // default: false — also mask e-mail addresses
+  sessionEncryption: boolean; // default: false — encrypt sessions.db / archive at rest (key in safeStorage)
+
+  // ── Retention (LOW-03) — unpinned sessions past the limit are archived ──
+  retentionMode: RetentionMode; // default: 'max-age'
+  retentionMaxAgeDays: number;  // default: 90 — used when retentionMode = 'max-age'
+  retentionMaxCount: number;    // default: 500 — used when retentionMode = 'max-count'
+
+  // ── Auto capture ──
+  autoCaptureEnabled: boolean;         // default: false — save captures without the shortcut (as "unreviewed")
+  autoCaptureIntervalMinutes: number;  // default: 30 — 0 = no timer
+  autoCaptureOnIdle: boolean;          // default: true — after autoCaptureIdleMinutes without input
+  autoCaptureOnLock: boolean;          // default: true — when the screen locks or the system sleeps
+  autoCaptureIdleMinutes: number;      // default: 10 — idle time that counts as "away"
+  autoCaptureBeforeRestore: boolean;   // default: true — save the current desktop before restoring a session
+
+  // ── Sync ──
+  syncFolder: string; // default: '' — folder mirrored by session-sync.ts ('' = off)
 
   // ── i18n ──
   language: string; // default: 'ja' — see SupportedLang in i18n/index.ts
@@ -74,7 +111,7 @@ const DEFAULTS: AppConfig = {
   googleApiKey: '',
   geminiModel: 'gemini-2.5-flash',
   openAtLogin: false,
-  defaultBrowser: isMac ? 'chrome' : 'edge',
+  defaultBrowser: isWin ? 'edge' : 'chrome',
   theme: 'system',
   // AI provider (new)
   aiProvider: 'gemini',
@@ -85,11 +122,38 @@ const DEFAULTS: AppConfig = {
   // Browser history
   historyMinutesBack: 60,
   historyMode: 'fixed',
+  browserProfileMode: 'all',
+  browserProfileList: [],
+  safariTabCapture: false,
+  // Git repositories
+  gitCapture: true,
+  gitWorkspaceRoots: [],
   // Shortcuts
   captureShortcut: getDefaultShortcuts().capture,
   openShortcut: getDefaultShortcuts().open,
   // Privacy
   clipboardCapture: true,
+  shellHistoryCapture: true,
+  screenshotMode: 'off',
+  privacyBlockedDomains: [],
+  privacyBlockedUrls: [],
+  privacyBlockedProcesses: [],
+  privacyRedactPatterns: [],
+  privacyRedactEmails: false,
+  sessionEncryption: false,
+  // Retention
+  retentionMode: 'max-age',
+  retentionMaxAgeDays: 90,
+  retentionMaxCount: 500,
+  // Auto capture
+  autoCaptureEnabled: false,
+  autoCaptureIntervalMinutes: 30,
+  autoCaptureOnIdle: true,
+  autoCaptureOnLock: true,
+  autoCaptureIdleMinutes: 10,
+  autoCaptureBeforeRestore: true,
+  // Sync
+  syncFolder: '',
   // i18n
   language: 'ja',
   // Auto-update
@@ -100,8 +164,9 @@ const DEFAULTS: AppConfig = {
 
 export function loadConfig(): AppConfig {
   try {
-    if (!fs.existsSync(CONFIG_FILE)) return { ...DEFAULTS };
-    const raw = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    // Falls back to config.json.bak (and restores it) if the file is damaged
+    const raw = readWithRecovery(CONFIG_FILE, buf => JSON.parse(buf.toString('utf-8')));
+    if (!raw) return { ...DEFAULTS };
     const cfg: AppConfig = { ...DEFAULTS, ...raw };
 
     // HIGH-01: Decrypt sensitive fields
@@ -116,6 +181,10 @@ export function loadConfig(): AppConfig {
     if (!raw.aiModel && raw.geminiModel) {
       cfg.aiModel = raw.geminiModel;
     }
+    // Lock / sleep used to share the idle toggle — keep whatever was chosen there
+    if (raw.autoCaptureOnLock === undefined && raw.autoCaptureOnIdle === false) {
+      cfg.autoCaptureOnLock = false;
+    }
     return cfg;
   } catch {
     return { ...DEFAULTS };
@@ -152,18 +221,22 @@ export function migrateFromDotenv(appPath: string): void {
 
 export function saveConfig(patch: Partial<AppConfig>): AppConfig {
   fs.mkdirSync(CONFIG_DIR, { recursive: true });
-  const current = loadConfig();
-  const updated: AppConfig = { ...current, ...patch };
-
-  // HIGH-01: Encrypt sensitive fields before writing to disk
-  const toWrite = { ...updated };
-  for (const key of SENSITIVE_KEYS) {
-    if (toWrite[key] && typeof toWrite[key] === 'string') {
-      (toWrite as unknown as Record<string, unknown>)[key] = encryptField(toWrite[key] as string);
+  // Locked so two writers can't interleave their read-modify-write cycles
+  return withFileLock(CONFIG_FILE, () => {
+    const current = loadConfig();
+    const updated: AppConfig = { ...current, ...patch };
+
+    // HIGH-01: Encrypt sensitive fields before writing to disk
+    const toWrite = { ...updated };
+    for (const key of SENSITIVE_KEYS) {
+      if (toWrite[key] && typeof toWrite[key] === 'string') {
+        (toWrite as unknown as Record<string, unknown>)[key] = encryptField(toWrite[key] as string);
+      }
     }
-  }
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(toWrite, null, 2), 'utf-8');
-  return updated; // return decrypted version to caller
+    // Temp file + fsync + rename; the previous version is kept as config.json.bak
+    writeFileAtomic(CONFIG_FILE, JSON.stringify(toWrite, null, 2), { backup: true });
+    return updated; // return decrypted version to caller
+  });
 }
 
 /** API キーが有効な形式かつ設定済みか判定 */
@@ -7,16 +7,52 @@ import {
   Menu,
   nativeImage,
   shell,
+  dialog,
+  powerMonitor,
 } from 'electron';
+import * as fs from 'fs';
 import * as path from 'path';
 
 import { captureContext, SessionData } from './session/collector';
-import { generateSessionSummary, testAiConfig, TestAiConfig } from './ai/anthropic-client';
-import { saveSession, loadAllSessions, loadSession, pruneOldSessions } from './session/session-store';
+import type { CaptureOptions } from './session/collector';
+import {
+  generateSessionSummary, proposeThread, generateThreadSummary, suggestTags, testAiConfig, TestAiConfig,
+} from './ai/anthropic-client';
+import {
+  initSessionStore, saveSession, loadAllSessions, loadLatestSession, loadSession, applyRetention,
+  updateSession, deleteSession, getLatestCaptureTime, setSessionPinned, importSessions,
+  getSessionStoreError, setSessionEncryption,
+  listArchivedSessions, restoreArchivedSession, deleteArchivedSession,
+  listThreads, loadThread, createThread, renameThread, deleteThread, setThreadSummary, setSessionThread,
+  listTags, mergeTags, normalizeTags,
+  repairSessionStore, listIntegrityIssues, resolveIntegrityIssue,
+} from './session/session-store';
+import type { AutoCaptureTrigger, SessionPatch, StoredSession } from './session/session-store';
+import { searchSessions } from './session/session-search';
+import { renderExport, EXPORT_EXTENSIONS } from './session/session-export';
+import type { ExportFormat } from './session/session-export';
+import { parseImportFile, dedupeDrafts } from './session/session-import';
+import type { ImportReport } from './session/session-import';
+import { diffSessions, isSameContext } from './session/session-diff';
+import { getCollectorsDir, getLastPluginStatus } from './session/collector-plugins';
+import { VSCODE_FLAVORS, JETBRAINS_PRODUCTS } from './session/workspace-collector';
+import { captureScreenshots } from './session/screenshot-collector';
+import { readScreenshot, deleteScreenshots, imagesOf } from './session/screenshot-store';
+import { startClipboardMonitor, writeClipboardEntry } from './session/clipboard-collector';
+import type { ClipboardEntry } from './session/clipboard-collector';
+import { applyPrivacyRules, testPrivacyRules } from './session/privacy-rules';
+import type { PrivacyRules, PrivacyReport } from './session/privacy-rules';
+import { syncWithFolder, getLastSyncReport } from './session/session-sync';
+import type { SyncReport } from './session/session-sync';
 import { loadConfig, saveConfig, isConfigured, migrateFromDotenv } from './config-store';
+import type { AppConfig } from './config-store';
 import { startRelayServer } from './session/tab-relay-server';
 import { loadTranslations, clearTranslationCache, getAvailableLanguages, t } from './i18n';
-import { isMac, isWin, getAppDataDir, getDefaultShortcuts, getRecentFilesDir } from './platform';
+import {
+  isMac, isWin, isLinux, getAppDataDir, getDefaultShortcuts, getRecentFilesDir, migrateLegacyAppDataDir,
+  getBrowserHistoryPaths, getFirefoxProfiles, profileKey,
+} from './platform';
+import type { ProfileFilter } from './platform';
 import { checkForUpdates, downloadUpdate, cancelDownload, installUpdate, getLastDetectedRelease } from './updater';
 import type { ReleaseInfo } from './updater';
 
@@ -38,7 +74,12 @@ function rendererPath(...parts: string[]): string {
 let tray: Tray | null = null;
 let mainWindow: BrowserWindow | null = null;
 let setupWindow: BrowserWindow | null = null;
-let pendingSession: (SessionData & { aiSummary: string }) | null = null;
+let pendingSession: (SessionData & {
+  aiSummary: string;
+  proposedThreadId?: string | null;
+  suggestedTags?: string[];
+  privacyExcluded?: PrivacyReport; // what the privacy rules dropped, for the capture panel
+}) | null = null;
 let isCapturing = false;
 let isQuitting = false;
 let initialTab = 'sessions'; // consumed once by get-initial-tab IPC
@@ -107,12 +148,39 @@ function openSetupWindow(): void {
 }
 
 // ─── Capture flow ─────────────────────────────────────────────────────────────
+function captureOptionsOf(cfg: AppConfig): CaptureOptions {
+  let historyMinutes = cfg.historyMinutesBack ?? 60;
+  const lastCapturedAt = getSessionStoreError() ? null : getLatestCaptureTime();
+  if (cfg.historyMode === 'since-last') {
+    if (lastCapturedAt) {
+      const sinceMs = Date.now() - new Date(lastCapturedAt).getTime();
+      historyMinutes = Math.max(15, Math.ceil(sinceMs / 60_000));
+      console.log(`[TK] History mode: since-last → ${historyMinutes} min`);
+    }
+  }
+  return {
+    historyMinutesBack: historyMinutes,
+    clipboardCapture: cfg.clipboardCapture !== false, // LOW-04
+    clipboardSince: lastCapturedAt,
+    shellHistoryCapture: cfg.shellHistoryCapture !== false,
+    browserProfiles: profileFilterOf(cfg),
+    safariTabs: cfg.safariTabCapture === true,
+    gitCapture: cfg.gitCapture !== false,
+    gitWorkspaceRoots: cfg.gitWorkspaceRoots ?? [],
+  };
+}
+
 async function captureSession(): Promise<void> {
   if (!isConfigured()) { openSetupWindow(); return; }
   if (isCapturing) return;
   // Already have a pending session — just bring the window to front
   if (pendingSession) { openMainWindow('capture'); return; }
   isCapturing = true;
+  const cfg = loadConfig();
+
+  // Screenshots must not show our own window, so they are the one thing
+  // awaited before Phase 0 (only when turned on)
+  const screenshots = await captureScreenshots(cfg.screenshotMode ?? 'off');
 
   // ── Phase 0: Show window INSTANTLY — before any async work ─────────────
   openMainWindow('capture');
@@ -120,24 +188,15 @@ async function captureSession(): Promise<void> {
 
   // ── Phase 1: Context collection (2-4s) ─────────────────────────────────
   let context: import('./session/collector').SessionData;
+  let privacyExcluded: PrivacyReport;
   try {
     console.log('[TK] Capturing context...');
-    const cfg = loadConfig();
-    let historyMinutes = cfg.historyMinutesBack ?? 60;
-    if (cfg.historyMode === 'since-last') {
-      const sessions = loadAllSessions();
-      if (sessions.length > 0) {
-        const sinceMs = Date.now() - new Date(sessions[0].capturedAt).getTime();
-        historyMinutes = Math.max(15, Math.ceil(sinceMs / 60_000));
-        console.log(`[TK] History mode: since-last → ${historyMinutes} min`);
-      }
-    }
-    context = await captureContext({
-      historyMinutesBack: historyMinutes,
-      clipboardCapture: cfg.clipboardCapture !== false, // LOW-04
-    });
+    // Privacy rules run before the context is shown, saved or sent to the AI
+    ({ context, report: privacyExcluded } = applyPrivacyRules(
+      { ...await captureContext(captureOptionsOf(cfg)), screenshots }, privacyRulesOf(cfg)));
   } catch (err) {
     console.error('[TK] Context capture error:', err);
+    deleteScreenshots(screenshots);
     isCapturing = false;
     const errI18n = loadTranslations(loadConfig().language || 'ja');
     if (mainWindow) mainWindow.webContents.send('capture-error', t(errI18n, 'err_capture_fail'));
@@ -145,7 +204,7 @@ async function captureSession(): Promise<void> {
   }
 
   // ── Phase 2: Push context to renderer (aiSummary still empty) ──────────
-  pendingSession = { ...context, aiSummary: '' };
+  pendingSession = { ...context, aiSummary: '', privacyExcluded };
   isCapturing = false;
   if (mainWindow) mainWindow.webContents.send('new-session-pending', pendingSession);
 
@@ -156,6 +215,26 @@ async function captureSession(): Promise<void> {
       pendingSession.aiSummary = aiSummary;
       if (mainWindow) mainWindow.webContents.send('session-summary-ready', aiSummary);
     }
+    // Thread proposal and tag suggestions both build on the summary — run them
+    // side by side; results for a capture that was already approved are dropped
+    const pending = pendingSession;
+    if (pending) {
+      const storeOk = !getSessionStoreError();
+      const threads = storeOk ? listThreads() : [];
+      const existingTags = storeOk ? listTags().map(tc => tc.tag) : [];
+      await Promise.all([
+        threads.length > 0 && proposeThread(aiSummary, threads).then(proposedThreadId => {
+          if (pendingSession !== pending) return;
+          pending.proposedThreadId = proposedThreadId;
+          if (mainWindow) mainWindow.webContents.send('thread-proposal-ready', proposedThreadId);
+        }),
+        suggestTags(context, aiSummary, existingTags).then(tags => {
+          if (pendingSession !== pending) return;
+          pending.suggestedTags = normalizeTags(tags);
+          if (mainWindow) mainWindow.webContents.send('tags-suggested', pending.suggestedTags);
+        }),
+      ]);
+    }
   } catch (err) {
     console.error('[TK] AI error:', err);
     const msg = t(loadTranslations(loadConfig().language || 'ja'), 'err_ai_fail');
@@ -166,6 +245,22 @@ async function captureSession(): Promise<void> {
   }
 }
 
+/** The browser profile include / exclude setting, as captureContext() takes it. */
+function profileFilterOf(cfg: AppConfig): ProfileFilter {
+  return { mode: cfg.browserProfileMode ?? 'all', profiles: cfg.browserProfileList ?? [] };
+}
+
+/** The privacy rule settings, as applyPrivacyRules() takes them. */
+function privacyRulesOf(cfg: AppConfig): PrivacyRules {
+  return {
+    blockedDomains:   cfg.privacyBlockedDomains   ?? [],
+    blockedUrls:      cfg.privacyBlockedUrls      ?? [],
+    blockedProcesses: cfg.privacyBlockedProcesses ?? [],
+    redactPatterns:   cfg.privacyRedactPatterns   ?? [],
+    redactEmails:     cfg.privacyRedactEmails === true,
+  };
+}
+
 // ─── Shortcut registration ────────────────────────────────────────────────────
 function registerShortcuts(captureKey: string, openKey: string): { captureOk: boolean; openOk: boolean } {
   globalShortcut.unregisterAll();
@@ -225,43 +320,249 @@ function registerIpc(): void {
     isCapturing ? 'collecting' : (pendingSession ? 'pending' : 'idle')
   );
 
-  ipcMain.handle('approve-session', (_e, userNote: string) => {
-    if (!pendingSession) return null;
+  ipcMain.handle('approve-session', (_e, userNote: string, threadId?: string | null, tags?: string[]) => {
+    if (!pendingSession || getSessionStoreError()) return null;
+    const thread = typeof threadId === 'string' ? loadThread(threadId) : null;
     const session = saveSession({
       windows:        pendingSession.windows,
       clipboard:      pendingSession.clipboard,
+      ...(pendingSession.clipboardHistory?.length ? { clipboardHistory: pendingSession.clipboardHistory } : {}),
       recentFiles:    pendingSession.recentFiles,
       browserTabs:    pendingSession.browserTabs    ?? [],
       browserHistory: pendingSession.browserHistory ?? [],
+      workspaces:     pendingSession.workspaces     ?? [],
+      gitRepos:       pendingSession.gitRepos       ?? [],
+      ...(pendingSession.shellHistory ? { shellHistory: pendingSession.shellHistory } : {}),
+      extras:         pendingSession.extras         ?? [],
+      ...(pendingSession.screenshots?.length ? { screenshots: pendingSession.screenshots } : {}),
       aiSummary:      pendingSession.aiSummary,
       userNote:       userNote ?? '',
       approved:       true,
+      tags:           normalizeTags(tags),
+      ...(thread ? { threadId: thread.id } : {}),
     });
     pendingSession = null;
+    if (thread) queueThreadSummary(thread.id, session);
+    setTimeout(runSync, 0);
     return session;
   });
 
   ipcMain.handle('skip-session', () => {
+    deleteScreenshots(imagesOf(pendingSession));
     pendingSession = null;
   });
 
   // ── Sessions ──
-  ipcMain.handle('load-sessions', () => loadAllSessions());
+  // A locked/unopenable store shows as empty; the UI explains why via get-store-status
+  ipcMain.handle('get-store-status', () => ({ error: getSessionStoreError() }));
+  ipcMain.handle('load-sessions', () => getSessionStoreError() ? [] : loadAllSessions());
+  ipcMain.handle('search-sessions', (_e, query: string) =>
+    getSessionStoreError() ? [] : searchSessions(loadAllSessions(), String(query ?? '')));
 
-  ipcMain.handle('restore-session', async (_e, id: string) => {
+  ipcMain.handle('update-session', (_e, id: string, patch: SessionPatch) => {
+    // Only accept the editable fields, with the expected shapes
+    const safe: SessionPatch = {};
+    if (typeof patch?.aiSummary === 'string') safe.aiSummary = patch.aiSummary;
+    if (typeof patch?.userNote  === 'string') safe.userNote  = patch.userNote;
+    if (Array.isArray(patch?.browserTabs)) {
+      safe.browserTabs = patch.browserTabs
+        .filter(tb => tb && typeof tb.url === 'string')
+        .map(tb => ({
+          url:     tb.url,
+          title:   String(tb.title ?? tb.url),
+          browser: String(tb.browser ?? 'browser'),
+          ...(typeof tb.profile === 'string' ? { profile: tb.profile } : {}),
+        }));
+    }
+    if (Array.isArray(patch?.tags)) safe.tags = normalizeTags(patch.tags);
+    if (patch?.approved === true) safe.approved = true;
+    return updateSession(String(id), safe);
+  });
+
+  ipcMain.handle('delete-session', (_e, id: string) => deleteSession(String(id)));
+  // Screenshot / clipboard image as a data: URL; null when missing or failing its hash check
+  ipcMain.handle('get-screenshot', (_e, id: string, index: number, thumb: boolean) => {
+    const shot = findSessionAnywhere(String(id))?.screenshots?.[Number(index)];
+    const jpeg = shot ? readScreenshot(shot, thumb === true) : null;
+    return jpeg ? `data:image/jpeg;base64,${jpeg.toString('base64')}` : null;
+  });
+  ipcMain.handle('get-clipboard-image', (_e, id: string, index: number) => {
+    const image = clipboardEntriesOf(findSessionAnywhere(String(id)))[Number(index)]?.image;
+    const jpeg = image ? readScreenshot(image, true) : null;
+    return jpeg ? `data:image/jpeg;base64,${jpeg.toString('base64')}` : null;
+  });
+  ipcMain.handle('copy-clipboard-entry', (_e, id: string, index: number) => {
+    const entry = clipboardEntriesOf(findSessionAnywhere(String(id)))[Number(index)];
+    return entry ? writeClipboardEntry(entry) : false;
+  });
+  ipcMain.handle('set-session-pinned', (_e, id: string, pinned: boolean) =>
+    setSessionPinned(String(id), pinned === true));
+
+  // ── Tags ──
+  ipcMain.handle('list-tags', () => getSessionStoreError() ? [] : listTags());
+  // Renaming to a tag that already exists merges the two
+  ipcMain.handle('rename-tag', (_e, from: string, to: string) => mergeTags([String(from)], String(to ?? '')));
+  ipcMain.handle('merge-tags', (_e, sources: string[], target: string) =>
+    Array.isArray(sources) ? mergeTags(sources.map(String), String(target ?? '')) : 0);
+
+  // ── Threads ──
+  ipcMain.handle('list-threads', () => getSessionStoreError() ? [] : listThreads());
+  ipcMain.handle('create-thread', (_e, name: string) => createThread(String(name ?? '')));
+  ipcMain.handle('rename-thread', (_e, id: string, name: string) => renameThread(String(id), String(name ?? '')));
+  ipcMain.handle('delete-thread', (_e, id: string) => deleteThread(String(id)));
+  ipcMain.handle('set-session-thread', (_e, id: string, threadId: string | null) => {
+    const updated = setSessionThread(String(id), typeof threadId === 'string' ? threadId : null);
+    if (updated?.threadId) queueThreadSummary(updated.threadId, updated);
+    return updated;
+  });
+
+  // ── Compare ──
+  // otherId = null compares against a fresh capture of what is open right now
+  // (never saved).  Saved pairs are ordered oldest → newest so "added" always
+  // means "new since the earlier snapshot".
+  ipcMain.handle('compare-sessions', async (_e, id: string, otherId: string | null) => {
+    const base = loadSession(String(id));
+    if (!base) return null;
+    if (typeof otherId !== 'string') {
+      const cfg = loadConfig();
+      let live: SessionData;
+      try {
+        live = applyPrivacyRules(await captureContext({
+          historyMinutesBack: cfg.historyMinutesBack ?? 60,
+          clipboardCapture:   false, // the clipboard is not compared
+          browserProfiles:    profileFilterOf(cfg),
+          safariTabs:         cfg.safariTabCapture === true,
+        }), privacyRulesOf(cfg)).context;
+      } catch (err) {
+        console.error('[TK] Compare capture error:', err);
+        return null;
+      }
+      return { beforeId: base.id, afterId: null, diff: diffSessions(base, live) };
+    }
+    const other = loadSession(otherId);
+    if (!other) return null;
+    const [before, after] = base.capturedAt <= other.capturedAt ? [base, other] : [other, base];
+    return { beforeId: before.id, afterId: after.id, diff: diffSessions(before, after) };
+  });
+
+  // ── Export ──
+  // selection = explicit ids (card action) or a capturedAt range (bulk export)
+  ipcMain.handle('export-sessions', async (
+    _e,
+    selection: { ids?: string[]; from?: string; to?: string },
+    format: ExportFormat,
+  ) => {
+    if (!(format in EXPORT_EXTENSIONS)) return { success: false, count: 0 };
+
+    let sessions = loadAllSessions();
+    if (Array.isArray(selection?.ids)) {
+      const ids = new Set(selection.ids.map(String));
+      sessions = sessions.filter(s => ids.has(s.id));
+    } else {
+      const fromMs = selection?.from ? new Date(selection.from).getTime() : -Infinity;
+      const toMs   = selection?.to   ? new Date(selection.to).getTime()   : Infinity;
+      sessions = sessions.filter(s => {
+        const ms = new Date(s.capturedAt).getTime();
+        return ms >= fromMs && ms <= toMs;
+      });
+    }
+    if (sessions.length === 0) return { success: false, count: 0 };
+
+    // Oldest first reads naturally in a document
+    sessions.reverse();
+
+    const ext   = EXPORT_EXTENSIONS[format];
+    const stamp = sessions[0].capturedAt.slice(0, 10)
+      + (sessions.length > 1 ? `_${sessions[sessions.length - 1].capturedAt.slice(0, 10)}` : '');
+    const win = mainWindow ?? undefined;
+    const opts = {
+      defaultPath: path.join(app.getPath('documents'), `threadkeeper-${stamp}.${ext}`),
+      filters:     [{ name: ext.toUpperCase(), extensions: [ext] }],
+    };
+    const result = win ? await dialog.showSaveDialog(win, opts) : await dialog.showSaveDialog(opts);
+    if (result.canceled || !result.filePath) return { success: false, canceled: true, count: 0 };
+
+    const lang = loadConfig().language || 'ja';
+    const content = renderExport(format, sessions, {
+      language:     lang,
+      translations: loadTranslations(lang),
+      appVersion:   app.getVersion(),
+    });
+    try {
+      fs.writeFileSync(result.filePath, content, 'utf-8');
+    } catch (err) {
+      console.warn('[TK] Export failed:', (err as Error).message);
+      return { success: false, count: 0 };
+    }
+    console.log(`[TK] Exported ${sessions.length} sessions as ${format}`);
+    return { success: true, count: sessions.length, filePath: result.filePath };
+  });
+
+  // ── Import ──
+  ipcMain.handle('import-sessions', async (): Promise<ImportReport | null> => {
+    const opts = {
+      properties: ['openFile' as const],
+      filters:    [
+        { name: 'ThreadKeeper / OneTab / Session JSON', extensions: ['json', 'txt'] },
+        { name: '*', extensions: ['*'] },
+      ],
+    };
+    const result = mainWindow ? await dialog.showOpenDialog(mainWindow, opts) : await dialog.showOpenDialog(opts);
+    if (result.canceled || result.filePaths.length === 0) return null;
+
+    const filePath = result.filePaths[0];
+    let raw: string;
+    try {
+      if (fs.statSync(filePath).size > MAX_IMPORT_BYTES) return { imported: 0, skipped: 0, malformed: 1 };
+      raw = fs.readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      console.warn('[TK] Import: cannot read file:', (err as Error).message);
+      return { imported: 0, skipped: 0, malformed: 1 };
+    }
+
+    const parsed = parseImportFile(raw);
+    const { fresh, skipped } = dedupeDrafts(parsed.drafts, loadAllSessions());
+
+    // Sources other than our own bundles have no summary — label them so cards aren't blank
+    const i18n = loadTranslations(loadConfig().language || 'ja');
+    for (const d of fresh) {
+      if (d.source === 'threadkeeper') continue;
+      d.session.aiSummary = t(i18n, `import_summary_${d.source.replace('-', '_')}`, { n: d.session.browserTabs.length });
+      if (d.name) d.session.userNote = d.name;
+    }
+
+    const saved = fresh.length > 0 ? importSessions(fresh.map(d => d.session)) : [];
+    console.log(`[TK] Import (${parsed.source ?? 'unknown'}): ${saved.length} imported, ${skipped} skipped, ${parsed.malformed} malformed`);
+    return { imported: saved.length, skipped, malformed: parsed.malformed };
+  });
+
+  // ── Archive ──
+  ipcMain.handle('list-archived-sessions', () => listArchivedSessions());
+  ipcMain.handle('restore-archived-session', (_e, id: string) => restoreArchivedSession(String(id)));
+  ipcMain.handle('delete-archived-session', (_e, id: string) => deleteArchivedSession(String(id)));
+
+  // clipboardIndex picks the entry of clipboardEntriesOf() to put back; -1 leaves the clipboard alone
+  ipcMain.handle('restore-session', async (_e, id: string, clipboardIndex = 0) => {
     const session = loadSession(id);
     if (!session) return { success: false, launched: [], urlsOpened: 0, clipboardRestored: false };
 
-    const { execFile } = await import('child_process');
+    // Keep what's on screen now before the restored apps and tabs pile on top
+    if (loadConfig().autoCaptureBeforeRestore) await autoCapture('restore');
+
+    const { execFile, spawn } = await import('child_process');
     const { promisify } = await import('util');
     const execFileAsync = promisify(execFile);
-    const { clipboard } = await import('electron');
+
+    // Starts a program without waiting for it (xdg-open can block until the app exits)
+    const launchDetached = (cmd: string, args: string[]): Promise<boolean> => new Promise(resolve => {
+      const child = spawn(cmd, args, { detached: true, stdio: 'ignore' });
+      child.once('spawn', () => { child.unref(); resolve(true); });
+      child.once('error', () => resolve(false));
+    });
 
     // ── Clipboard ──
-    let clipboardRestored = false;
-    if (session.clipboard?.trim()) {
-      try { clipboard.writeText(session.clipboard); clipboardRestored = true; } catch { /* ignore */ }
-    }
+    const clipEntry = clipboardEntriesOf(session)[Number(clipboardIndex)];
+    const clipboardRestored = clipEntry ? writeClipboardEntry(clipEntry) : false;
 
     // ── App windows ──
     const BROWSER_PROCESSES = new Set(['msedge', 'chrome', 'firefox', 'brave', 'opera', 'iexplore', 'safari']);
@@ -277,6 +578,48 @@ function registerIpc(): void {
     // CRITICAL-02: Validate process names to prevent command injection
     const SAFE_PROCESS_NAME = /^[a-zA-Z0-9._\- ]+$/;
 
+    // ── Editor workspaces ──
+    // Reopen the exact folders / projects; their editors are then skipped below
+    const { pathToFileURL } = await import('url');
+    const workspacesOpened: string[] = [];
+    for (const ws of session.workspaces ?? []) {
+      if (!path.isAbsolute(ws.path) || ws.path.startsWith('-') || !fs.existsSync(ws.path)) continue;
+      let opened = false;
+      let processes: string[] = [];
+      if (ws.editor === 'vscode') {
+        const flavor = VSCODE_FLAVORS.find(f => f.dir === ws.app);
+        if (!flavor) continue;
+        processes = flavor.processes;
+        // scheme://file/<path> opens a folder, .code-workspace or file in the running editor
+        const url = `${flavor.scheme}://file${pathToFileURL(ws.path).pathname}`;
+        try {
+          if (isLinux) opened = await launchDetached('xdg-open', [url]);
+          else { await shell.openExternal(url); opened = true; }
+        } catch { /* editor not installed */ }
+      } else {
+        const product = JETBRAINS_PRODUCTS.find(p => p.match.test(ws.app));
+        if (!product) continue;
+        processes = [product.cli, `${product.cli}64`, ...product.macApps.map(a => a.toLowerCase())];
+        if (isMac) {
+          for (const macApp of product.macApps) {
+            try {
+              await execFileAsync('/usr/bin/open', ['-a', macApp, ws.path], { timeout: 5000 });
+              opened = true;
+              break;
+            } catch { /* try the next app name */ }
+          }
+        } else if (isLinux) {
+          opened = await launchDetached(product.cli, [ws.path]) || await launchDetached(`${product.cli}.sh`, [ws.path]);
+        } else {
+          // Launchers are on PATH when the installer's "add launchers dir" option was chosen
+          opened = await launchDetached(`${product.cli}64.exe`, [ws.path]);
+        }
+      }
+      if (!opened) continue;
+      workspacesOpened.push(path.basename(ws.path));
+      for (const p of processes) seen.add(p);
+    }
+
     if (isMac) {
       // ── macOS: use osascript to activate / launch apps ──
       const MAC_SKIP = new Set(['loginwindow', 'dock', 'finder', 'systemuiserver', 'spotlight']);
@@ -305,6 +648,28 @@ function registerIpc(): void {
           } catch { /* ignore */ }
         }
       }
+    } else if (isLinux) {
+      // ── Linux: focus an existing window by WM_CLASS (wmctrl), else launch from PATH ──
+      const LINUX_SKIP = new Set([
+        'gnome-shell', 'plasmashell', 'xfce4-panel', 'xfdesktop', 'nautilus-desktop',
+        'xwayland', 'electron', 'threadkeeper',
+      ]);
+
+      for (const win of session.windows) {
+        const nameLower = win.name.toLowerCase();
+        if (LINUX_SKIP.has(nameLower)) continue;
+        if (BROWSER_PROCESSES.has(nameLower)) continue; // browsers restored via URL below
+        if (!SAFE_PROCESS_NAME.test(win.name) || win.name.startsWith('-')) continue;
+        if (seen.has(nameLower)) continue;
+        seen.add(nameLower);
+        try {
+          await execFileAsync('wmctrl', ['-x', '-a', win.name], { timeout: 5000 });
+          launched.push(`${win.name} (focused)`);
+        } catch {
+          // No matching window (or no wmctrl) — start the program
+          if (await launchDetached(win.name, [])) launched.push(`${win.name} (launched)`);
+        }
+      }
     } else {
       // ── Windows: use PowerShell to focus / launch processes ──
       const WIN_SKIP = new Set([
@@ -355,18 +720,70 @@ function registerIpc(): void {
       try {
         const parsed = new URL(url);
         if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') continue;
+        if (isLinux) {
+          // Hand off to the desktop's default browser
+          if (await launchDetached('xdg-open', [parsed.href])) urlsOpened++;
+          continue;
+        }
         await shell.openExternal(parsed.href);
         urlsOpened++;
       } catch { /* ignore */ }
     }
 
-    return { success: true, session, launched, urlsOpened, clipboardRestored };
+    return { success: true, session, launched, workspacesOpened, urlsOpened, clipboardRestored };
+  });
+
+  // ── Encryption at rest ──
+  ipcMain.handle('set-session-encryption', (_e, enabled: boolean) => {
+    try {
+      setSessionEncryption(enabled === true);
+      saveConfig({ sessionEncryption: enabled === true });
+      return { success: true };
+    } catch (err) {
+      console.warn('[TK] Changing session encryption failed:', (err as Error).message);
+      return { success: false, error: (err as Error).message };
+    }
+  });
+
+  // ── Integrity check / repair ──
+  ipcMain.handle('repair-session-store', () => {
+    if (getSessionStoreError()) return null;
+    try {
+      return repairSessionStore();
+    } catch (err) {
+      console.error('[TK] Integrity check failed:', err);
+      return null;
+    }
+  });
+  ipcMain.handle('list-integrity-issues', () => (getSessionStoreError() ? [] : listIntegrityIssues()));
+  ipcMain.handle('resolve-integrity-issue', (_e, id: string, action: string) => {
+    if (action !== 'resign' && action !== 'discard') return false;
+    return resolveIntegrityIssue(String(id), action);
+  });
+
+  // ── Sync folder ──
+  ipcMain.handle('get-sync-status', () => getSyncStatus());
+  ipcMain.handle('choose-sync-folder', async () => {
+    const opts = { properties: ['openDirectory' as const, 'createDirectory' as const] };
+    const result = mainWindow ? await dialog.showOpenDialog(mainWindow, opts) : await dialog.showOpenDialog(opts);
+    if (result.canceled || !result.filePaths[0]) return null;
+    saveConfig({ syncFolder: result.filePaths[0] });
+    runSync();
+    return getSyncStatus();
+  });
+  ipcMain.handle('disable-sync', () => {
+    saveConfig({ syncFolder: '' });
+    return getSyncStatus();
+  });
+  ipcMain.handle('sync-now', () => {
+    runSync();
+    return getSyncStatus();
   });
 
   // ── Config ──
   ipcMain.handle('close-setup', () => { if (setupWindow) setupWindow.close(); });
   ipcMain.handle('get-config', () => loadConfig());
-  ipcMain.handle('save-config', (_e, patch: Partial<import('./config-store').AppConfig>) => {
+  ipcMain.handle('save-config', (_e, patch: Partial<AppConfig>) => {
     const updated = saveConfig(patch);
     app.setLoginItemSettings({ openAtLogin: updated.openAtLogin });
 
@@ -375,6 +792,14 @@ function registerIpc(): void {
       clearTranslationCache();
     }
 
+    // Apply a tightened retention policy right away
+    if ('retentionMode' in patch || 'retentionMaxAgeDays' in patch || 'retentionMaxCount' in patch) {
+      runRetention(updated);
+    }
+
+    if (AUTO_CAPTURE_KEYS.some(k => k in patch)) scheduleAutoCapture();
+    if ('clipboardCapture' in patch) startClipboardMonitor(updated.clipboardCapture !== false);
+
     // Re-register shortcuts if they changed
     const shortcutDefaults = getDefaultShortcuts();
     if ('captureShortcut' in patch || 'openShortcut' in patch) {
@@ -387,6 +812,24 @@ function registerIpc(): void {
     }
     return updated;
   });
+  // ── Privacy rules ──
+  // Runs the rules as typed in settings (not yet saved) against a sample
+  ipcMain.handle('test-privacy-rules', (_e, rules: Partial<PrivacyRules>, sample: { text?: string; url?: string; process?: string }) =>
+    testPrivacyRules(rules ?? {}, sample ?? {}));
+
+  // ── Browser profiles ──
+  // Installed Chromium / Firefox profiles, for the include / exclude setting
+  ipcMain.handle('list-browser-profiles', () => {
+    const found = [
+      ...getBrowserHistoryPaths()
+        .filter(p => fs.existsSync(p.history))
+        .map(p => ({ browser: p.name, profile: p.profile })),
+      ...getFirefoxProfiles().map(p => ({ browser: 'firefox', profile: p.name })),
+    ];
+    const byKey = new Map(found.map(p => [profileKey(p.browser, p.profile), p]));
+    return Array.from(byKey, ([key, p]) => ({ key, ...p }));
+  });
+
   // ── Shortcuts ──
   ipcMain.handle('register-shortcuts', (_e, captureKey: string, openKey: string) => {
     return registerShortcuts(captureKey, openKey);
@@ -403,6 +846,13 @@ function registerIpc(): void {
     await shell.openPath(getAppDataDir());
   });
 
+  // ── Collector plugins ──
+  ipcMain.handle('get-collector-plugins', () => ({ folder: getCollectorsDir(), plugins: getLastPluginStatus() }));
+  ipcMain.handle('open-collectors-folder', async () => {
+    fs.mkdirSync(getCollectorsDir(), { recursive: true });
+    await shell.openPath(getCollectorsDir());
+  });
+
   ipcMain.handle('open-extension-folder', () => {
     shell.openPath(path.join(app.getAppPath(), 'assets', 'ck-extension'));
   });
@@ -492,19 +942,208 @@ function registerIpc(): void {
   });
 }
 
+// ─── Threads ──────────────────────────────────────────────────────────────────
+// Rolling summaries are updated one at a time per thread, so two sessions
+// added in quick succession both end up folded into the summary.
+const threadSummaryQueue = new Map<string, Promise<void>>();
+
+function queueThreadSummary(threadId: string, session: StoredSession): void {
+  const prev = threadSummaryQueue.get(threadId) ?? Promise.resolve();
+  const next = prev.then(async () => {
+    const thread = loadThread(threadId);
+    if (!thread) return;
+    const summary = await generateThreadSummary(thread, session);
+    if (!summary || !setThreadSummary(threadId, summary)) return;
+    if (mainWindow) mainWindow.webContents.send('threads-updated');
+  }).catch(err => {
+    console.warn('[TK] Thread summary update failed:', (err as Error).message);
+  });
+  threadSummaryQueue.set(threadId, next);
+  next.finally(() => {
+    if (threadSummaryQueue.get(threadId) === next) threadSummaryQueue.delete(threadId);
+  });
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+// ─── Clipboard ────────────────────────────────────────────────────────────────
+/** A session's clipboard entries; sessions from before the ring have only their text. */
+function clipboardEntriesOf(session: StoredSession | null): ClipboardEntry[] {
+  if (!session) return [];
+  if (session.clipboardHistory?.length) return session.clipboardHistory;
+  return session.clipboard?.trim() ? [{ kind: 'text', text: session.clipboard, copiedAt: session.capturedAt }] : [];
+}
+
+/** A saved or archived session (images stay viewable after archiving). */
+function findSessionAnywhere(id: string): StoredSession | null {
+  if (getSessionStoreError()) return null;
+  return loadSession(id) ?? listArchivedSessions().find(a => a.session.id === id)?.session ?? null;
+}
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+function runRetention(cfg: AppConfig): void {
+  try {
+    applyRetention({
+      mode:       cfg.retentionMode,
+      maxAgeDays: cfg.retentionMaxAgeDays,
+      maxCount:   cfg.retentionMaxCount,
+    });
+  } catch (err) {
+    console.warn('[TK] Session retention failed:', (err as Error).message);
+  }
+}
+
+// ─── Sync folder ──────────────────────────────────────────────────────────────
+const SYNC_INTERVAL_MS = 5 * 60_000;
+
+function runSync(): void {
+  const folder = loadConfig().syncFolder;
+  if (!folder || getSessionStoreError()) return;
+  const report = syncWithFolder(folder);
+  if (report.pulled > 0 && mainWindow) mainWindow.webContents.send('sessions-synced');
+}
+
+function getSyncStatus(): { folder: string; last: SyncReport | null; encrypted: boolean } {
+  const cfg = loadConfig();
+  const folder = cfg.syncFolder;
+  // syncWithFolder() refuses to run then; the settings say why up front
+  return { folder, last: getLastSyncReport(folder), encrypted: cfg.sessionEncryption === true };
+}
+
+// ─── Auto capture ─────────────────────────────────────────────────────────────
+// Saves a capture without the shortcut.  These land in the list unreviewed
+// (approved: false) and are skipped when nothing changed since the last one.
+const IDLE_POLL_MS = 30_000;
+const AUTO_CAPTURE_KEYS: (keyof AppConfig)[] = [
+  'autoCaptureEnabled', 'autoCaptureIntervalMinutes', 'autoCaptureOnIdle', 'autoCaptureIdleMinutes',
+];
+
+let autoCaptureRunning = false;
+let autoCaptureTimers: NodeJS.Timeout[] = [];
+let idleCaptured = false; // one capture per idle stretch
+
+async function autoCapture(trigger: AutoCaptureTrigger): Promise<StoredSession | null> {
+  const cfg = loadConfig();
+  if (!cfg.autoCaptureEnabled || !isConfigured() || getSessionStoreError()) return null;
+  if (autoCaptureRunning || isCapturing) return null;
+  autoCaptureRunning = true;
+
+  let session: StoredSession;
+  let context: SessionData | null = null;
+  try {
+    const [collected, screenshots] = await Promise.all([
+      captureContext(captureOptionsOf(cfg)),
+      captureScreenshots(cfg.screenshotMode ?? 'off'),
+    ]);
+    context = applyPrivacyRules({ ...collected, screenshots }, privacyRulesOf(cfg)).context;
+    const latest  = loadLatestSession();
+    if (latest && isSameContext(latest, context)) {
+      console.log(`[TK] Auto capture (${trigger}): nothing changed — skipped`);
+      deleteScreenshots(imagesOf(context));
+      return null;
+    }
+    session = saveSession({
+      windows:        context.windows,
+      clipboard:      context.clipboard,
+      ...(context.clipboardHistory?.length ? { clipboardHistory: context.clipboardHistory } : {}),
+      recentFiles:    context.recentFiles,
+      browserTabs:    context.browserTabs    ?? [],
+      browserHistory: context.browserHistory ?? [],
+      workspaces:     context.workspaces     ?? [],
+      gitRepos:       context.gitRepos       ?? [],
+      ...(context.shellHistory ? { shellHistory: context.shellHistory } : {}),
+      extras:         context.extras         ?? [],
+      ...(context.screenshots?.length ? { screenshots: context.screenshots } : {}),
+      aiSummary:      '',
+      userNote:       '',
+      approved:       false,
+      autoTrigger:    trigger,
+      tags:           [],
+    });
+  } catch (err) {
+    console.warn(`[TK] Auto capture (${trigger}) failed:`, (err as Error).message);
+    deleteScreenshots(imagesOf(context));
+    return null;
+  } finally {
+    autoCaptureRunning = false;
+  }
+
+  if (mainWindow) mainWindow.webContents.send('session-auto-captured', session.id);
+  setTimeout(runSync, 0);
+
+  // The summary follows in the background so a restore isn't held up by the AI call
+  generateSessionSummary(session).then(aiSummary => {
+    if (!updateSession(session.id, { aiSummary })) return;
+    if (mainWindow) mainWindow.webContents.send('session-auto-captured', session.id);
+  }).catch(err => console.warn('[TK] Auto capture summary failed:', (err as Error).message));
+  return session;
+}
+
+function scheduleAutoCapture(): void {
+  autoCaptureTimers.forEach(clearInterval);
+  autoCaptureTimers = [];
+  const cfg = loadConfig();
+  if (!cfg.autoCaptureEnabled) return;
+
+  const intervalMin = Number(cfg.autoCaptureIntervalMinutes) || 0;
+  if (intervalMin > 0) {
+    autoCaptureTimers.push(setInterval(() => { autoCapture('interval'); }, intervalMin * 60_000));
+  }
+  if (cfg.autoCaptureOnIdle) {
+    const idleSec = Math.max(1, Number(cfg.autoCaptureIdleMinutes) || 10) * 60;
+    idleCaptured = false;
+    autoCaptureTimers.push(setInterval(() => {
+      if (powerMonitor.getSystemIdleTime() < idleSec) { idleCaptured = false; return; }
+      if (idleCaptured) return;
+      idleCaptured = true;
+      autoCapture('idle');
+    }, IDLE_POLL_MS));
+  }
+  console.log(`[TK] Auto capture: every ${intervalMin || '-'} min, on idle ${cfg.autoCaptureOnIdle ? 'on' : 'off'}`);
+}
+
+// Lock / sleep hooks are registered once and check the setting when they fire.
+// 'suspend' gives little time before the machine sleeps — best effort only.
+function registerPowerHooks(): void {
+  powerMonitor.on('lock-screen', () => {
+    if (loadConfig().autoCaptureOnLock) autoCapture('lock');
+  });
+  powerMonitor.on('suspend', () => {
+    if (loadConfig().autoCaptureOnLock) autoCapture('suspend');
+  });
+}
+
 // ─── App lifecycle ────────────────────────────────────────────────────────────
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  migrateLegacyAppDataDir();
   migrateFromDotenv(app.getAppPath());
+
+  // Open the session database (imports legacy JSON sessions on first run)
+  try { await initSessionStore({ encrypt: loadConfig().sessionEncryption }); } catch (err) {
+    console.error('[TK] Session store init failed:', (err as Error).message);
+    // Fail safe: nothing on disk is touched; tell the user why sessions are missing
+    const i18n = loadTranslations(loadConfig().language || 'ja');
+    dialog.showErrorBox(t(i18n, 'store_open_fail_title'), t(i18n, 'store_open_fail_body', { detail: (err as Error).message }));
+  }
+
   startRelayServer(); // タブリレーサーバー起動 (port 9224)
   registerIpc();
   createTray();
 
-  // LOW-03: Prune sessions older than 90 days on startup
-  try { pruneOldSessions(90); } catch (err) {
-    console.warn('[TK] Session pruning failed:', (err as Error).message);
-  }
-
   const config = loadConfig();
+
+  // LOW-03: Archive sessions outside the retention policy on startup
+  runRetention(config);
+
+  // Pick up sessions captured on other machines, then keep the folder current
+  runSync();
+  setInterval(runSync, SYNC_INTERVAL_MS);
+
+  registerPowerHooks();
+  scheduleAutoCapture();
+  startClipboardMonitor(config.clipboardCapture !== false);
+
   app.setLoginItemSettings({ openAtLogin: config.openAtLogin });
   const defaults = getDefaultShortcuts();
   registerShortcuts(
@@ -6,11 +6,38 @@
  * and default keyboard shortcuts.
  */
 
+import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
 
-export const isMac  = process.platform === 'darwin';
-export const isWin  = process.platform === 'win32';
+export const isMac   = process.platform === 'darwin';
+export const isWin   = process.platform === 'win32';
+export const isLinux = process.platform === 'linux';
+
+// ── XDG base directories (Linux) ─────────────────────────────────────────────
+
+/** $XDG_DATA_HOME, or ~/.local/share when unset / not absolute. */
+export function getXdgDataHome(): string {
+  const env = process.env.XDG_DATA_HOME;
+  return env && path.isAbsolute(env) ? env : path.join(os.homedir(), '.local', 'share');
+}
+
+/** $XDG_CONFIG_HOME, or ~/.config when unset / not absolute. */
+export function getXdgConfigHome(): string {
+  const env = process.env.XDG_CONFIG_HOME;
+  return env && path.isAbsolute(env) ? env : path.join(os.homedir(), '.config');
+}
+
+/**
+ * Per-user application settings root: %APPDATA% on Windows,
+ * ~/Library/Application Support on macOS, $XDG_CONFIG_HOME on Linux.
+ * Other apps' data (VS Code, JetBrains IDEs) is found below it.
+ */
+export function getUserConfigRoot(): string {
+  if (isMac)   return path.join(os.homedir(), 'Library', 'Application Support');
+  if (isLinux) return getXdgConfigHome();
+  return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+}
 
 // ── App data directory ───────────────────────────────────────────────────────
 
@@ -18,62 +45,179 @@ export function getAppDataDir(): string {
   if (isMac) {
     return path.join(os.homedir(), 'Library', 'Application Support', 'ThreadKeeper');
   }
-  // Windows (+ Linux fallback)
+  if (isLinux) {
+    return path.join(getXdgDataHome(), 'ThreadKeeper');
+  }
   return path.join(os.homedir(), 'AppData', 'Roaming', 'ThreadKeeper');
 }
 
+/**
+ * Earlier builds used the Windows layout (~/AppData/Roaming) on Linux too.
+ * Moves that folder to the XDG data directory once, before anything opens it.
+ */
+export function migrateLegacyAppDataDir(): void {
+  if (!isLinux) return;
+  const legacy  = path.join(os.homedir(), 'AppData', 'Roaming', 'ThreadKeeper');
+  const current = getAppDataDir();
+  if (!fs.existsSync(legacy) || fs.existsSync(current)) return;
+  try {
+    fs.mkdirSync(path.dirname(current), { recursive: true });
+    fs.renameSync(legacy, current);
+    console.log(`[TK] Moved app data from ${legacy} to ${current}`);
+  } catch (err) {
+    console.warn('[TK] Moving app data to the XDG directory failed:', (err as Error).message);
+  }
+}
+
 // ── Browser history database paths ───────────────────────────────────────────
 
 export interface BrowserProfile {
-  name:    string;
+  name:    string; // browser: 'chrome' | 'edge' | 'brave' | 'chromium'
+  profile: string; // display name from Local State (e.g. 'Work'), else the folder name
+  email?:  string; // signed-in account, used to match extension tabs to the profile
   history: string;
 }
 
-export function getBrowserHistoryPaths(): BrowserProfile[] {
+/** Chromium "User Data" folders (each holds Local State + one folder per profile). */
+function getChromiumUserDataDirs(): Array<{ name: string; dir: string }> {
   const home = os.homedir();
 
   if (isMac) {
+    const support = path.join(home, 'Library', 'Application Support');
+    return [
+      { name: 'chrome', dir: path.join(support, 'Google', 'Chrome') },
+      { name: 'edge',   dir: path.join(support, 'Microsoft Edge') },
+      { name: 'brave',  dir: path.join(support, 'BraveSoftware', 'Brave-Browser') },
+      { name: 'chrome', dir: path.join(support, 'Google', 'Chrome Beta') },
+    ];
+  }
+
+  if (isLinux) {
+    const config = getXdgConfigHome();
     return [
-      {
-        name:    'chrome',
-        history: path.join(home, 'Library', 'Application Support', 'Google', 'Chrome', 'Default', 'History'),
-      },
-      {
-        name:    'edge',
-        history: path.join(home, 'Library', 'Application Support', 'Microsoft Edge', 'Default', 'History'),
-      },
-      {
-        name:    'brave',
-        history: path.join(home, 'Library', 'Application Support', 'BraveSoftware', 'Brave-Browser', 'Default', 'History'),
-      },
-      {
-        name:    'chrome',
-        history: path.join(home, 'Library', 'Application Support', 'Google', 'Chrome Beta', 'Default', 'History'),
-      },
+      { name: 'chrome',   dir: path.join(config, 'google-chrome') },
+      { name: 'edge',     dir: path.join(config, 'microsoft-edge') },
+      { name: 'brave',    dir: path.join(config, 'BraveSoftware', 'Brave-Browser') },
+      { name: 'chrome',   dir: path.join(config, 'google-chrome-beta') },
+      { name: 'chromium', dir: path.join(config, 'chromium') },
     ];
   }
 
   // Windows
+  const local = path.join(home, 'AppData', 'Local');
   return [
-    {
-      name:    'chrome',
-      history: path.join(home, 'AppData', 'Local', 'Google', 'Chrome', 'User Data', 'Default', 'History'),
-    },
-    {
-      name:    'edge',
-      history: path.join(home, 'AppData', 'Local', 'Microsoft', 'Edge', 'User Data', 'Default', 'History'),
-    },
-    {
-      name:    'brave',
-      history: path.join(home, 'AppData', 'Local', 'BraveSoftware', 'Brave-Browser', 'User Data', 'Default', 'History'),
-    },
-    {
-      name:    'chrome',
-      history: path.join(home, 'AppData', 'Local', 'Google', 'Chrome Beta', 'User Data', 'Default', 'History'),
-    },
+    { name: 'chrome', dir: path.join(local, 'Google', 'Chrome', 'User Data') },
+    { name: 'edge',   dir: path.join(local, 'Microsoft', 'Edge', 'User Data') },
+    { name: 'brave',  dir: path.join(local, 'BraveSoftware', 'Brave-Browser', 'User Data') },
+    { name: 'chrome', dir: path.join(local, 'Google', 'Chrome Beta', 'User Data') },
   ];
 }
 
+interface LocalStateProfile { name?: string; user_name?: string; }
+
+/**
+ * Every profile of every installed Chromium browser.  Profiles are listed in
+ * "Local State" under profile.info_cache ({ "Profile 1": { name: "Work",
+ * user_name: "me@work.com" }, … }); without it only Default is tried.
+ */
+export function getBrowserHistoryPaths(): BrowserProfile[] {
+  const profiles: BrowserProfile[] = [];
+  for (const { name, dir } of getChromiumUserDataDirs()) {
+    let cache: Record<string, LocalStateProfile> = { Default: {} };
+    try {
+      const state = JSON.parse(fs.readFileSync(path.join(dir, 'Local State'), 'utf8'));
+      const infoCache = state?.profile?.info_cache;
+      if (infoCache && typeof infoCache === 'object' && Object.keys(infoCache).length > 0) cache = infoCache;
+    } catch { /* browser not installed, or Local State unreadable */ }
+
+    for (const [folder, info] of Object.entries(cache)) {
+      if (folder.includes('/') || folder.includes('\\') || folder.startsWith('.')) continue;
+      profiles.push({
+        name,
+        profile: (typeof info?.name === 'string' && info.name) || folder,
+        ...(typeof info?.user_name === 'string' && info.user_name ? { email: info.user_name } : {}),
+        history: path.join(dir, folder, 'History'),
+      });
+    }
+  }
+  return profiles;
+}
+
+// ── Browser profile selection ────────────────────────────────────────────────
+
+export type ProfileFilterMode = 'all' | 'include' | 'exclude';
+
+export interface ProfileFilter {
+  mode:     ProfileFilterMode;
+  profiles: string[]; // profileKey() values
+}
+
+/** Identifies a profile in settings, e.g. 'chrome/Work' or 'firefox/default-release'. */
+export function profileKey(browser: string, profile: string): string {
+  return `${browser}/${profile}`;
+}
+
+/**
+ * Whether data from this profile may be captured.  Whenever a filter is
+ * active, data whose profile is unknown is left out — it may well come from
+ * an excluded profile (live CDP / UIA / AppleScript tabs of a browser with
+ * several profiles, extension tabs of an unmatched account).
+ */
+export function isProfileAllowed(filter: ProfileFilter | undefined, browser: string, profile: string | undefined): boolean {
+  if (!filter || filter.mode === 'all') return true;
+  if (profile === undefined) return false;
+  const listed = filter.profiles.includes(profileKey(browser, profile));
+  return filter.mode === 'include' ? listed : !listed;
+}
+
+/** Folder holding Firefox's profiles.ini and profile directories. */
+export function getFirefoxProfilesDir(): string {
+  const home = os.homedir();
+  if (isMac)   return path.join(home, 'Library', 'Application Support', 'Firefox');
+  if (isLinux) return path.join(home, '.mozilla', 'firefox');
+  return path.join(home, 'AppData', 'Roaming', 'Mozilla', 'Firefox');
+}
+
+export interface FirefoxProfile {
+  name: string; // profile name from profiles.ini (e.g. 'default-release')
+  dir:  string; // absolute profile directory
+}
+
+/**
+ * Lists the Firefox profiles registered in profiles.ini:
+ *   [Profile0]
+ *   Name=default-release
+ *   IsRelative=1
+ *   Path=abcd1234.default-release
+ * Profiles whose directory no longer exists are skipped.
+ */
+export function getFirefoxProfiles(): FirefoxProfile[] {
+  const root = getFirefoxProfilesDir();
+  let ini: string;
+  try { ini = fs.readFileSync(path.join(root, 'profiles.ini'), 'utf8'); } catch { return []; }
+
+  const profiles: FirefoxProfile[] = [];
+  let section: Record<string, string> | null = null;
+  const flush = (): void => {
+    if (!section?.Path) return;
+    const dir = section.IsRelative === '0' ? section.Path : path.join(root, section.Path);
+    if (fs.existsSync(dir)) profiles.push({ name: section.Name || path.basename(dir), dir });
+  };
+  for (const raw of ini.split(/\r?\n/)) {
+    const line = raw.trim();
+    const header = /^\[(.+)\]$/.exec(line);
+    if (header) {
+      flush();
+      section = /^Profile\d+$/i.test(header[1]) ? {} : null;
+      continue;
+    }
+    const eq = line.indexOf('=');
+    if (section && eq > 0) section[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+  }
+  flush();
+  return profiles;
+}
+
 // ── Recent files directory ───────────────────────────────────────────────────
 
 /**
@@ -81,10 +225,16 @@ export function getBrowserHistoryPaths(): BrowserProfile[] {
  * uses a different mechanism (e.g. macOS Spotlight / mdfind).
  */
 export function getRecentFilesDir(): string | null {
-  if (isMac) return null; // macOS uses mdfind instead
+  if (isMac) return null;   // macOS uses mdfind instead
+  if (isLinux) return null; // Linux uses recently-used.xbel (getRecentlyUsedXbel)
   return path.join(os.homedir(), 'AppData', 'Roaming', 'Microsoft', 'Windows', 'Recent');
 }
 
+/** The freedesktop.org recent-files list written by GTK / Qt apps. */
+export function getRecentlyUsedXbel(): string {
+  return path.join(getXdgDataHome(), 'recently-used.xbel');
+}
+
 // ── Default keyboard shortcuts ───────────────────────────────────────────────
 
 export function getDefaultShortcuts(): { capture: string; open: string } {
@@ -18,18 +18,52 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getInitialTab:      ()                          => ipcRenderer.invoke('get-initial-tab'),
   getPendingSession:  ()                          => ipcRenderer.invoke('get-pending-session'),
   getCaptureState:    ()                          => ipcRenderer.invoke('get-capture-state'),
-  approveSession:     (userNote: string)          => ipcRenderer.invoke('approve-session', userNote),
+  approveSession:     (userNote: string, threadId?: string | null, tags?: string[]) => ipcRenderer.invoke('approve-session', userNote, threadId, tags),
   skipSession:        ()                          => ipcRenderer.invoke('skip-session'),
+  getStoreStatus:     ()                          => ipcRenderer.invoke('get-store-status'),
   loadSessions:       ()                          => ipcRenderer.invoke('load-sessions'),
-  restoreSession:     (id: string)                => ipcRenderer.invoke('restore-session', id),
+  searchSessions:     (query: string)             => ipcRenderer.invoke('search-sessions', query),
+  updateSession:      (id: string, patch: Record<string, unknown>) => ipcRenderer.invoke('update-session', id, patch),
+  deleteSession:      (id: string)                => ipcRenderer.invoke('delete-session', id),
+  getScreenshot:      (id: string, index: number, thumb: boolean) => ipcRenderer.invoke('get-screenshot', id, index, thumb),
+  setSessionPinned:   (id: string, pinned: boolean) => ipcRenderer.invoke('set-session-pinned', id, pinned),
+  listTags:           ()                          => ipcRenderer.invoke('list-tags'),
+  renameTag:          (from: string, to: string)  => ipcRenderer.invoke('rename-tag', from, to),
+  mergeTags:          (sources: string[], target: string) => ipcRenderer.invoke('merge-tags', sources, target),
+  listThreads:        ()                          => ipcRenderer.invoke('list-threads'),
+  createThread:       (name: string)              => ipcRenderer.invoke('create-thread', name),
+  renameThread:       (id: string, name: string)  => ipcRenderer.invoke('rename-thread', id, name),
+  deleteThread:       (id: string)                => ipcRenderer.invoke('delete-thread', id),
+  setSessionThread:   (id: string, threadId: string | null) => ipcRenderer.invoke('set-session-thread', id, threadId),
+  compareSessions:    (id: string, otherId: string | null) => ipcRenderer.invoke('compare-sessions', id, otherId),
+  listArchivedSessions:   ()                      => ipcRenderer.invoke('list-archived-sessions'),
+  setSessionEncryption:   (enabled: boolean)      => ipcRenderer.invoke('set-session-encryption', enabled),
+  restoreArchivedSession: (id: string)            => ipcRenderer.invoke('restore-archived-session', id),
+  deleteArchivedSession:  (id: string)            => ipcRenderer.invoke('delete-archived-session', id),
+  repairSessionStore:     ()                      => ipcRenderer.invoke('repair-session-store'),
+  listIntegrityIssues:    ()                      => ipcRenderer.invoke('list-integrity-issues'),
+  resolveIntegrityIssue:  (id: string, action: string) => ipcRenderer.invoke('resolve-integrity-issue', id, action),
+  getSyncStatus:          ()                      => ipcRenderer.invoke('get-sync-status'),
+  chooseSyncFolder:       ()                      => ipcRenderer.invoke('choose-sync-folder'),
+  disableSync:            ()                      => ipcRenderer.invoke('disable-sync'),
+  syncNow:                ()                      => ipcRenderer.invoke('sync-now'),
+  restoreSession:     (id: string, clipboardIndex?: number) => ipcRenderer.invoke('restore-session', id, clipboardIndex),
+  getClipboardImage:  (id: string, index: number) => ipcRenderer.invoke('get-clipboard-image', id, index),
+  copyClipboardEntry: (id: string, index: number) => ipcRenderer.invoke('copy-clipboard-entry', id, index),
+  importSessions:     ()                          => ipcRenderer.invoke('import-sessions'),
+  exportSessions:     (selection: Record<string, unknown>, format: string) => ipcRenderer.invoke('export-sessions', selection, format),
   closeSetup:         ()                          => ipcRenderer.invoke('close-setup'),
   getConfig:          ()                          => ipcRenderer.invoke('get-config'),
   saveConfig:         (patch: Record<string, unknown>) => ipcRenderer.invoke('save-config', patch),
   registerShortcuts:  (cap: string, open: string) => ipcRenderer.invoke('register-shortcuts', cap, open),
   testAiConfig:       (cfg: Record<string, unknown>) => ipcRenderer.invoke('test-ai-config', cfg),
   testApiKey:         (key: string, model?: string) => ipcRenderer.invoke('test-api-key', key, model),
+  listBrowserProfiles: ()                         => ipcRenderer.invoke('list-browser-profiles'),
+  testPrivacyRules:   (rules: Record<string, unknown>, sample: Record<string, string>) => ipcRenderer.invoke('test-privacy-rules', rules, sample),
   openDataFolder:     ()                          => ipcRenderer.invoke('open-data-folder'),
   openExtensionFolder: ()                         => ipcRenderer.invoke('open-extension-folder'),
+  getCollectorPlugins: ()                         => ipcRenderer.invoke('get-collector-plugins'),
+  openCollectorsFolder: ()                        => ipcRenderer.invoke('open-collectors-folder'),
   openUrl:            (url: string)               => ipcRenderer.invoke('open-url', url),
   openPath:           (filePath: string)          => ipcRenderer.invoke('open-path', filePath),
   writeClipboard:     (text: string)              => ipcRenderer.invoke('write-clipboard', text),
@@ -45,6 +79,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onNewSessionPending:     (cb: (data: unknown) => void)   => { ipcRenderer.on('new-session-pending',   (_e, data) => cb(data)); },
   onCaptureError:          (cb: (msg: string) => void)     => { ipcRenderer.on('capture-error',         (_e, msg) => cb(msg)); },
   onSessionSummaryReady:   (cb: (summary: string) => void) => { ipcRenderer.on('session-summary-ready', (_e, s) => cb(s)); },
+  onThreadProposalReady:   (cb: (threadId: string | null) => void) => { ipcRenderer.on('thread-proposal-ready', (_e, id) => cb(id)); },
+  onThreadsUpdated:        (cb: () => void)                => { ipcRenderer.on('threads-updated',       () => cb()); },
+  onSessionsSynced:        (cb: () => void)                => { ipcRenderer.on('sessions-synced',       () => cb()); },
+  onSessionAutoCaptured:   (cb: (id: string) => void)      => { ipcRenderer.on('session-auto-captured', (_e, id) => cb(id)); },
+  onTagsSuggested:         (cb: (tags: string[]) => void)  => { ipcRenderer.on('tags-suggested',        (_e, tags) => cb(tags)); },
   onUpdateAvailable:       (cb: (info: unknown) => void)   => { ipcRenderer.on('update-available',        (_e, info) => cb(info)); },
   onUpdateDownloadProgress:(cb: (p: unknown) => void)      => { ipcRenderer.on('update-download-progress', (_e, p) => cb(p)); },
   onUpdateDownloaded:      (cb: (info: unknown) => void)   => { ipcRenderer.on('update-downloaded',        (_e, info) => cb(info)); },
@@ -5,7 +5,8 @@
  *
  *  1. Chrome DevTools Protocol (CDP) — gets ALL open tabs with titles.
  *     Works when Chrome/Edge is started with --remote-debugging-port=9222.
- *     Cross-platform.
+ *     Cross-platform.  Target.getTargets over the browser WebSocket, so each
+ *     tab's browser context is known.
  *
  *  2. Pure-PowerShell UI Automation (Windows only, 2-phase warm-up):
  *       Phase 1 — Touch each browser window to wake its lazy UIA provider
@@ -14,20 +15,49 @@
  *                  capture URL + window title as tab title.
  *
  *  3. AppleScript (macOS only):
- *       Queries Chrome, Edge, Brave, and Safari for all open tab URLs/titles
- *       via `osascript`.
+ *       Queries Chrome, Edge and Brave for all open tab URLs/titles
+ *       via `osascript`.  Safari only when turned on in settings: its
+ *       scripting dictionary can't tell private windows apart.
+ *
+ *  4. Firefox session store (Linux only):
+ *       Reads sessionstore-backups/recovery.jsonlz4 from each Firefox profile
+ *       (rewritten by Firefox every ~15 s) — all tabs of all windows.
  *
  *  Key notes:
  *  - Chrome's OmniboxViewViews shows the URL WITHOUT "https://" prefix → we normalize.
  *  - The window title (root.Current.Name) equals the active tab's page title.
- *  - CDP preferred when available; UIA (Windows) / AppleScript (macOS) is the fallback.
+ *  - CDP preferred when available; UIA (Windows) / AppleScript (macOS) /
+ *    the Firefox session store (Linux) is the fallback.
+ *
+ *  Private windows (incognito / InPrivate / private browsing) are never read.
+ *  Every strategy skips them and only counts their tabs, for the capture
+ *  panel:
+ *    extension      the extension sends only the count (tab-relay-server.ts)
+ *    CDP            only tabs of the browser's default context are read.  The
+ *                   others are incognito or another profile of the same
+ *                   instance, which CDP can't tell apart, so they are counted
+ *                   separately (otherContextTabs); the other strategy, run
+ *                   alongside, supplies the private count
+ *    UIA            the window's accessible name carries the private marker
+ *                   (isPrivateBrowserWindow)
+ *    AppleScript    window `mode` is "incognito" (Chromium).  Safari has no such
+ *                   property — with safariTabCapture on, its private tabs are read
+ *    session store  Firefox doesn't write private windows; `isPrivate` ones are skipped
+ *
+ *  Profiles: extension tabs are matched by the signed-in account, session
+ *  store tabs by their profile folder.  UIA / AppleScript tabs only get a
+ *  profile when the browser has just one (tagSoleProfile); tabs without a
+ *  profile are left out whenever a profile filter is active.
  */
 
+import * as fs from 'fs';
+import * as path from 'path';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
 import * as http from 'http';
-import { getRelayTabs } from './tab-relay-server';
-import { isMac } from '../platform';
+import { getRelayTabs, getRelayPrivateTabCount } from './tab-relay-server';
+import { isMac, isLinux, getFirefoxProfiles, getBrowserHistoryPaths, isProfileAllowed } from '../platform';
+import type { ProfileFilter } from '../platform';
 
 const execFileAsync = promisify(execFile);
 
@@ -37,47 +67,131 @@ export interface BrowserTab {
   url: string;
   title: string;
   browser: string; // 'chrome' | 'msedge' | 'firefox' | 'brave' | …
+  profile?: string; // browser profile display name, when known
+}
+
+/** What one strategy found: the tabs it may keep and how many private tabs it skipped. */
+export interface CollectedTabs {
+  tabs:              BrowserTab[];
+  privateTabs:       number;
+  otherContextTabs?: number; // CDP: skipped tabs outside the default context (incognito or another profile)
+}
+
+const NONE: CollectedTabs = { tabs: [], privateTabs: 0 };
+
+const BROWSER_PROCESS = /chrome|chromium|msedge|microsoft edge|firefox|brave|opera|vivaldi|librewolf|waterfox|safari/i;
+
+// Private-window markers in window titles.  Browsers localize them, so the
+// common forms of the languages ThreadKeeper ships are listed:
+//   Chromium / Brave / Opera  "… - Google Chrome (Incognito)", "… (Private)"
+//   Edge                      "… - [InPrivate] - Microsoft Edge"
+//   Firefox                   "… — Mozilla Firefox Private Browsing"
+// Plain source so the UIA script (PowerShell / .NET regex) uses the same pattern.
+const PRIVATE_TITLE_SOURCE =
+  '\\((?:incognito|private|inkognito|in incognito|navigation privée|privater modus|シークレット|无痕模式)\\)\\s*$' +
+  '|\\[InPrivate\\]' +
+  '|(?:private browsing|privater modus|navigation privée|navigazione anonima|プライベートブラウジング|隐私浏览)\\s*$';
+const PRIVATE_TITLE = new RegExp(PRIVATE_TITLE_SOURCE, 'i');
+
+/** True for a browser window whose title marks it incognito / InPrivate / private. */
+export function isPrivateBrowserWindow(processName: string, title: string): boolean {
+  return BROWSER_PROCESS.test(processName) && PRIVATE_TITLE.test(title);
+}
+
+/** The title check alone, for windows whose process isn't known (screenshot sources). */
+export function hasPrivateWindowTitle(title: string): boolean {
+  return PRIVATE_TITLE.test(title);
 }
 
 // ── 1. Chrome DevTools Protocol ───────────────────────────────────────────────
+//
+// /json/version names the browser-level WebSocket; Target.getTargets lists
+// every tab with its browserContextId and Target.getBrowserContexts names the
+// default one.  Browsers too old to report defaultBrowserContextId can't be
+// checked for incognito tabs, so their tabs aren't used.  Nothing in CDP says
+// whether another context is incognito or a second profile, so those tabs
+// are skipped and counted as otherContextTabs, not as private.
 
-interface CdpTab { type?: string; url?: string; title?: string; }
+interface CdpTargetInfo { type?: string; url?: string; title?: string; browserContextId?: string; }
 
-async function getTabsViaCDP(port = 9222, timeoutMs = 1500): Promise<BrowserTab[]> {
+function cdpGetJson<T>(port: number, urlPath: string, timeoutMs: number): Promise<T | null> {
   return new Promise(resolve => {
     const req = http.get(
-      { hostname: 'localhost', port, path: '/json', timeout: timeoutMs },
+      { hostname: 'localhost', port, path: urlPath, timeout: timeoutMs },
       res => {
         let data = '';
         res.on('data', (c: string) => (data += c));
         res.on('end', () => {
-          try {
-            const tabs = JSON.parse(data) as CdpTab[];
-            resolve(tabs
-              .filter(t => t.type === 'page' && t.url && /^https?:\/\//.test(t.url))
-              .map(t => ({
-                url: t.url!,
-                title: t.title?.replace(/\s*[-–|]\s*(Google Chrome|Microsoft Edge|Chromium)\s*$/i, '').trim() || t.url!,
-                browser: 'chrome',
-              })));
-          } catch { resolve([]); }
+          try { resolve(JSON.parse(data) as T); } catch { resolve(null); }
         });
       }
     );
-    req.on('error', () => resolve([]));
-    req.on('timeout', () => { req.destroy(); resolve([]); });
+    req.on('error', () => resolve(null));
+    req.on('timeout', () => { req.destroy(); resolve(null); });
   });
 }
 
+/** Sends parameterless CDP commands; their results in order, or null on any failure. */
+function cdpCommands(wsUrl: string, methods: string[], timeoutMs: number): Promise<Array<Record<string, unknown>> | null> {
+  return new Promise(resolve => {
+    let ws: WebSocket;
+    try { ws = new WebSocket(wsUrl); } catch { resolve(null); return; }
+    const results: Array<Record<string, unknown>> = [];
+    let received = 0;
+    const finish = (value: Array<Record<string, unknown>> | null): void => {
+      clearTimeout(timer);
+      try { ws.close(); } catch { /* ignore */ }
+      resolve(value);
+    };
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    ws.onopen = () => methods.forEach((method, id) => ws.send(JSON.stringify({ id, method })));
+    ws.onmessage = ev => {
+      let msg: { id?: unknown; result?: Record<string, unknown> };
+      try { msg = JSON.parse(String(ev.data)); } catch { return; }
+      if (typeof msg.id !== 'number' || msg.id >= methods.length) return;
+      results[msg.id] = msg.result ?? {}; // an error reply leaves an empty result
+      if (++received === methods.length) finish(results);
+    };
+    ws.onerror = () => finish(null);
+  });
+}
+
+async function getTabsViaCDP(port = 9222, timeoutMs = 1500): Promise<CollectedTabs> {
+  const version = await cdpGetJson<{ webSocketDebuggerUrl?: string }>(port, '/json/version', timeoutMs);
+  if (!version?.webSocketDebuggerUrl) return NONE;
+  const replies = await cdpCommands(version.webSocketDebuggerUrl, ['Target.getTargets', 'Target.getBrowserContexts'], timeoutMs);
+  if (!replies) return NONE;
+
+  const pages = ((replies[0].targetInfos ?? []) as CdpTargetInfo[])
+    .filter(t => t.type === 'page' && t.url && /^https?:\/\//.test(t.url));
+  const defaultContext = replies[1].defaultBrowserContextId;
+  if (typeof defaultContext !== 'string') {
+    if (pages.length > 0) console.warn('[TK] CDP: browser does not report its default context — tabs skipped');
+    return NONE;
+  }
+  const normal = pages.filter(t => t.browserContextId === defaultContext);
+  return {
+    tabs: normal.map(t => ({
+      url: t.url!,
+      title: t.title?.replace(/\s*[-–|]\s*(Google Chrome|Microsoft Edge|Chromium)\s*$/i, '').trim() || t.url!,
+      browser: 'chrome',
+    })),
+    privateTabs:      0,
+    otherContextTabs: pages.length - normal.length,
+  };
+}
+
 // ── 2. UI Automation via PowerShell ──────────────────────────────────────────
 //
 // Chrome lazy-inits its UIA provider.  Phase 1 "wakes" each browser window;
 // after sleeping 1000 ms the full tree is available for Phase 2 queries.
 //
-// Output JSON per entry: { proc, url, winTitle }
+// Output JSON per entry: { proc, url, winTitle } or { proc, private }
 //   proc     — browser process name
 //   url      — address bar value (may lack "https://")
 //   winTitle — MainWindow title = active tab page title
+//   private  — a private window: its address bar is never read, and it counts
+//              as one private tab (UIA only sees the active tab of a window)
 
 const UIA_SCRIPT = `
 [Console]::OutputEncoding = [System.Text.Encoding]::UTF8
@@ -128,6 +242,9 @@ $editCond = [System.Windows.Automation.AndCondition]::new(
   [System.Windows.Automation.PropertyCondition]::new(
     $SWA::IsValuePatternAvailableProperty, $true))
 
+# Incognito / InPrivate / private window titles (PRIVATE_TITLE_SOURCE)
+$privateRe = '(?i)${PRIVATE_TITLE_SOURCE}'
+
 $out = [System.Collections.Generic.List[PSObject]]::new()
 
 foreach ($item in $roots) {
@@ -137,6 +254,11 @@ foreach ($item in $roots) {
     $winTitle = $root.Current.Name
     $found    = $false
 
+    if ($winTitle -match $privateRe) {
+      $out.Add([PSCustomObject]@{ proc = $item.name; private = $true })
+      continue
+    }
+
     # Strip " - Google Chrome" / " - Microsoft Edge" suffixes from title
     $cleanTitle = $winTitle -replace '\s*[-\u2013|]\s*(Google Chrome|Microsoft Edge|Chromium|Mozilla Firefox|Brave|Opera)\s*$', ''
 
@@ -204,7 +326,7 @@ if ($out.Count -eq 0) { Write-Output '[]' }
 else { $out | ConvertTo-Json -Compress -Depth 2 }
 `.trim();
 
-async function getTabsViaUIA(): Promise<BrowserTab[]> {
+async function getTabsViaUIA(): Promise<CollectedTabs> {
   try {
     const { stdout, stderr } = await execFileAsync(
       'powershell',
@@ -217,31 +339,37 @@ async function getTabsViaUIA(): Promise<BrowserTab[]> {
     }
 
     const trimmed = stdout.trim();
-    if (!trimmed || trimmed === '[]') return [];
+    if (!trimmed || trimmed === '[]') return NONE;
 
     let raw: unknown;
-    try { raw = JSON.parse(trimmed); } catch { return []; }
+    try { raw = JSON.parse(trimmed); } catch { return NONE; }
 
-    const arr = Array.isArray(raw) ? raw : [raw];
+    const arr = (Array.isArray(raw) ? raw : [raw])
+      .filter((x): x is Record<string, unknown> => !!x && typeof x === 'object');
 
-    return arr
-      .filter((x): x is Record<string, unknown> =>
-        !!x && typeof x === 'object' && typeof x['url'] === 'string')
+    const tabs = arr
+      .filter(x => x['private'] !== true && typeof x['url'] === 'string')
       .map(x => ({
         url:     String(x['url']),
         title:   String(x['winTitle'] || x['url']),
         browser: String(x['proc'] || 'browser'),
       }))
       .filter(t => /^https?:\/\//.test(t.url));
+    return { tabs, privateTabs: arr.filter(x => x['private'] === true).length };
   } catch (e) {
     console.error('[TK] browser-collector UIA error:', e);
-    return [];
+    return NONE;
   }
 }
 
 // ── 3. AppleScript fallback (macOS) ──────────────────────────────────────────
+//
+// Chromium's dictionary gives every window a `mode` ("normal" / "incognito").
+// Tabs of incognito windows are only counted — the first output line is that
+// count.  Safari has no such property (nor anything else that marks a private
+// window), so it is only queried when the user opted in with safariTabCapture.
 
-async function getTabsViaAppleScript(): Promise<BrowserTab[]> {
+async function getTabsViaAppleScript(safari: boolean): Promise<CollectedTabs> {
   const browsers = [
     { app: 'Google Chrome', proc: 'chrome' },
     { app: 'Microsoft Edge', proc: 'msedge' },
@@ -249,19 +377,25 @@ async function getTabsViaAppleScript(): Promise<BrowserTab[]> {
   ];
 
   const tabs: BrowserTab[] = [];
+  let privateTabs = 0;
 
   for (const b of browsers) {
     try {
       const script = `
         if application "${b.app}" is running then
           tell application "${b.app}"
+            set privateCount to 0
             set tabList to ""
             repeat with w in windows
-              repeat with t in tabs of w
-                set tabList to tabList & URL of t & "\\t" & title of t & "\\n"
-              end repeat
+              if mode of w is "incognito" then
+                set privateCount to privateCount + (count of tabs of w)
+              else
+                repeat with t in tabs of w
+                  set tabList to tabList & URL of t & "\\t" & title of t & "\\n"
+                end repeat
+              end if
             end repeat
-            return tabList
+            return (privateCount as text) & "\\n" & tabList
           end tell
         end if
       `;
@@ -271,7 +405,9 @@ async function getTabsViaAppleScript(): Promise<BrowserTab[]> {
       );
       const trimmed = stdout.trim();
       if (!trimmed) continue;
-      for (const line of trimmed.split('\n')) {
+      const [count, ...lines] = trimmed.split('\n');
+      privateTabs += Number(count) || 0;
+      for (const line of lines) {
         if (!line) continue;
         const [url, ...rest] = line.split('\t');
         if (url && /^https?:\/\//.test(url)) {
@@ -285,28 +421,26 @@ async function getTabsViaAppleScript(): Promise<BrowserTab[]> {
     } catch { /* browser not installed or not running */ }
   }
 
-  // Also try Safari
-  try {
-    const safariScript = `
-      if application "Safari" is running then
-        tell application "Safari"
-          set tabList to ""
-          repeat with w in windows
-            repeat with t in tabs of w
-              set tabList to tabList & URL of t & "\\t" & name of t & "\\n"
+  if (safari) {
+    try {
+      const safariScript = `
+        if application "Safari" is running then
+          tell application "Safari"
+            set tabList to ""
+            repeat with w in windows
+              repeat with t in tabs of w
+                set tabList to tabList & URL of t & "\\t" & name of t & "\\n"
+              end repeat
             end repeat
-          end repeat
-          return tabList
-        end tell
-      end if
-    `;
-    const { stdout } = await execFileAsync(
-      '/usr/bin/osascript', ['-e', safariScript],
-      { timeout: 5000, encoding: 'utf8' }
-    );
-    const trimmed = stdout.trim();
-    if (trimmed) {
-      for (const line of trimmed.split('\n')) {
+            return tabList
+          end tell
+        end if
+      `;
+      const { stdout } = await execFileAsync(
+        '/usr/bin/osascript', ['-e', safariScript],
+        { timeout: 5000, encoding: 'utf8' }
+      );
+      for (const line of stdout.trim().split('\n')) {
         if (!line) continue;
         const [url, ...rest] = line.split('\t');
         if (url && /^https?:\/\//.test(url)) {
@@ -317,36 +451,149 @@ async function getTabsViaAppleScript(): Promise<BrowserTab[]> {
           });
         }
       }
+    } catch { /* Safari not running */ }
+  }
+
+  return { tabs, privateTabs };
+}
+
+// ── 4. Firefox session store (Linux) ─────────────────────────────────────────
+//
+// recovery.jsonlz4 is "mozLz40\0" + uint32 LE decompressed size + one raw
+// LZ4 block holding the session JSON.
+
+const MOZLZ4_MAGIC = 'mozLz40\0';
+
+function decodeMozLz4(buf: Buffer): string {
+  if (buf.toString('latin1', 0, 8) !== MOZLZ4_MAGIC) throw new Error('not a mozLz4 file');
+  const out = Buffer.alloc(buf.readUInt32LE(8));
+  let i = 12;
+  let o = 0;
+  while (i < buf.length) {
+    const token = buf[i++];
+    let litLen = token >> 4;
+    if (litLen === 15) { let b: number; do { b = buf[i++]; litLen += b; } while (b === 255); }
+    buf.copy(out, o, i, i + litLen);
+    i += litLen;
+    o += litLen;
+    if (i >= buf.length) break; // last sequence has literals only
+
+    const offset = buf[i] | (buf[i + 1] << 8);
+    i += 2;
+    let matchLen = token & 15;
+    if (matchLen === 15) { let b: number; do { b = buf[i++]; matchLen += b; } while (b === 255); }
+    matchLen += 4;
+    if (offset === 0 || offset > o) throw new Error('corrupt LZ4 block');
+    // Byte by byte: the match may overlap the bytes it produces
+    for (let k = 0; k < matchLen; k++, o++) out[o] = out[o - offset];
+  }
+  return out.toString('utf8', 0, o);
+}
+
+interface FirefoxSession {
+  windows?: Array<{
+    isPrivate?: boolean;
+    tabs?: Array<{ index?: number; entries?: Array<{ url?: string; title?: string }> }>;
+  }>;
+}
+
+async function getTabsViaFirefoxSessionStore(): Promise<CollectedTabs> {
+  const tabs: BrowserTab[] = [];
+  let privateTabs = 0;
+  for (const profile of getFirefoxProfiles()) {
+    const file = path.join(profile.dir, 'sessionstore-backups', 'recovery.jsonlz4');
+    try {
+      const session = JSON.parse(decodeMozLz4(await fs.promises.readFile(file))) as FirefoxSession;
+      for (const win of session.windows ?? []) {
+        if (win.isPrivate) { privateTabs += win.tabs?.length ?? 0; continue; }
+        for (const tab of win.tabs ?? []) {
+          // `index` is the 1-based position of the page currently shown in the tab
+          const entries = tab.entries ?? [];
+          const entry = entries[(tab.index ?? entries.length) - 1];
+          if (entry?.url && /^https?:\/\//.test(entry.url)) {
+            tabs.push({ url: entry.url, title: entry.title || entry.url, browser: 'firefox', profile: profile.name });
+          }
+        }
+      }
+    } catch (e) {
+      const code = (e as NodeJS.ErrnoException).code;
+      if (code !== 'ENOENT') {
+        console.warn(`[TK] Firefox session store unreadable (${profile.name}):`, (e as Error).message);
+      }
     }
-  } catch { /* Safari not running */ }
+  }
+  return { tabs, privateTabs };
+}
 
-  return tabs;
+// ── Profiles of live tabs ────────────────────────────────────────────────────
+//
+// CDP, UIA and AppleScript don't say which profile a tab belongs to.  When
+// the browser has a single profile the tab can only be from that one;
+// otherwise its profile stays unknown and isProfileAllowed leaves it out
+// while a profile filter is active.  CDP tabs aren't tagged — the debugging
+// port doesn't even say which browser it is.
+
+const PROFILE_BROWSER: Record<string, string> = { msedge: 'edge' };
+
+function tagSoleProfile(tabs: BrowserTab[]): BrowserTab[] {
+  if (tabs.every(t => t.profile !== undefined)) return tabs;
+  const profiles = new Map<string, Set<string>>();
+  const add = (browser: string, profile: string) => {
+    if (!profiles.has(browser)) profiles.set(browser, new Set());
+    profiles.get(browser)!.add(profile);
+  };
+  // Uninstalled browsers still list a Default profile — skip missing folders
+  for (const p of getBrowserHistoryPaths()) if (fs.existsSync(path.dirname(p.history))) add(p.name, p.profile);
+  for (const p of getFirefoxProfiles()) add('firefox', p.name);
+
+  return tabs.map(t => {
+    if (t.profile !== undefined) return t;
+    const browser = PROFILE_BROWSER[t.browser] ?? t.browser;
+    const only = profiles.get(browser);
+    return only?.size === 1 ? { ...t, browser, profile: [...only][0] } : t;
+  });
 }
 
 // ── Public API ────────────────────────────────────────────────────────────────
 
-export async function collectBrowserTabs(): Promise<BrowserTab[]> {
+export async function collectBrowserTabs(filter?: ProfileFilter, safari = false): Promise<CollectedTabs> {
   // Priority 1: Extension relay — all tabs, all windows, no special flags needed
   const relayTabs = getRelayTabs();
   if (relayTabs.length > 0) {
-    const mapped: BrowserTab[] = relayTabs.map(t => ({
-      url:     t.url,
-      title:   t.title,
-      browser: 'chrome', // extension runs in Chromium-based browser
-    }));
-    console.log(`[TK] Browser tabs captured: ${mapped.length} (via extension relay)`);
-    return mapped.slice(0, 30);
+    // The extension reports the profile's signed-in account; Local State maps it to a profile
+    const byEmail = new Map(getBrowserHistoryPaths().filter(p => p.email).map(p => [p.email as string, p]));
+    const mapped: BrowserTab[] = relayTabs.map(t => {
+      const owner = t.account ? byEmail.get(t.account) : undefined;
+      return {
+        url:     t.url,
+        title:   t.title,
+        browser: owner?.name ?? 'chrome', // extension runs in Chromium-based browser
+        ...(owner ? { profile: owner.profile } : {}),
+      };
+    });
+    // Even if every tab is filtered out, don't fall back to CDP / UIA — they
+    // can't tell profiles apart and would bring the excluded tabs back
+    const allowed = mapped.filter(t => isProfileAllowed(filter, t.browser, t.profile));
+    const privateTabs = getRelayPrivateTabCount();
+    console.log(`[TK] Browser tabs captured: ${allowed.length} of ${mapped.length} (via extension relay, ${privateTabs} private skipped)`);
+    return { tabs: allowed.slice(0, 30), privateTabs };
   }
 
   // Priority 2: CDP — all tabs, requires --remote-debugging-port flag
   // Priority 3: UIA — active tab only, always available
-  const [cdpTabs, fallbackTabs] = await Promise.all([
+  const fallbackName = isMac ? 'AppleScript' : isLinux ? 'Firefox session store' : 'UIA';
+  const [cdp, fallback] = await Promise.all([
     getTabsViaCDP(),
-    isMac ? getTabsViaAppleScript() : getTabsViaUIA(),
+    isMac ? getTabsViaAppleScript(safari) : isLinux ? getTabsViaFirefoxSessionStore() : getTabsViaUIA(),
   ]);
 
   // CDP wins over UIA (has all tabs); UIA is the last fallback (one tab per window)
-  const merged = cdpTabs.length > 0 ? cdpTabs : fallbackTabs;
+  const merged = (cdp.tabs.length > 0 ? cdp.tabs : tagSoleProfile(fallback.tabs))
+    .filter(t => isProfileAllowed(filter, t.browser, t.profile));
+  // CDP can't single out private tabs; the fallback still ran and counted them.
+  // Other-context tabs only went missing if CDP's tabs were the ones used.
+  const privateTabs = fallback.privateTabs;
+  const otherContextTabs = cdp.tabs.length > 0 ? cdp.otherContextTabs ?? 0 : 0;
 
   // De-duplicate by URL
   const seen = new Set<string>();
@@ -358,12 +605,13 @@ export async function collectBrowserTabs(): Promise<BrowserTab[]> {
 
   console.log(
     `[TK] Browser tabs captured: ${unique.length}` +
-    ` (CDP: ${cdpTabs.length}, ${isMac ? 'AppleScript' : 'UIA'}: ${fallbackTabs.length})`
+    ` (CDP: ${cdp.tabs.length}, ${fallbackName}: ${fallback.tabs.length}, private skipped: ${privateTabs},` +
+    ` other contexts skipped: ${otherContextTabs})`
   );
-  return unique.slice(0, 30);
+  return { tabs: unique.slice(0, 30), privateTabs, otherContextTabs };
 }
 
 /** @deprecated Use collectBrowserTabs() instead */
 export async function collectBrowserUrls(): Promise<string[]> {
-  return (await collectBrowserTabs()).map(t => t.url);
+  return (await collectBrowserTabs()).tabs.map(t => t.url);
 }
@@ -1,10 +1,258 @@
-import { clipboard } from 'electron';
+/**
+ * clipboard-collector.ts
+ *
+ * The clipboard at capture time, plus a ring of what was copied since the
+ * previous capture.
+ *
+ * Electron has no clipboard-changed event, so startClipboardMonitor() polls
+ * every POLL_MS and keeps up to RING_SIZE distinct entries (text, HTML with
+ * its text, or an image) in memory.  Copying something already in the ring
+ * moves it to the front instead of adding it twice.  Text and HTML go through
+ * redactSecrets() when they enter the ring; images are downscaled to fit
+ * MAX_IMAGE_SIZE and only reach disk (screenshot-store.ts) when a capture
+ * takes them.
+ *
+ * Password managers mark what they copy (CONCEALED_FORMATS); such a copy
+ * never enters the ring and isn't captured as the current clipboard either.
+ */
 
+import { clipboard, nativeImage } from 'electron';
+import type { NativeImage } from 'electron';
+import * as crypto from 'crypto';
+import { redactSecrets } from './redact';
+import { writeScreenshots, readScreenshot } from './screenshot-store';
+import type { SessionScreenshot } from './screenshot-store';
+
+export type ClipboardKind = 'text' | 'html' | 'image';
+
+export interface ClipboardEntry {
+  kind:     ClipboardKind;
+  text:     string;             // plain text (redacted); '' for images
+  html?:    string;             // kind 'html' — the markup (redacted)
+  image?:   SessionScreenshot;  // kind 'image' — stored like screenshots
+  copiedAt: string;             // ISO — when the monitor first saw it
+}
+
+interface RingEntry {
+  hash:     string;
+  kind:     ClipboardKind;
+  text:     string;
+  html?:    string;
+  image?:   { jpeg: Buffer; thumb: Buffer; width: number; height: number };
+  copiedAt: number;
+}
+
+const POLL_MS            = 1_500;
+const RING_SIZE          = 20;
+const MAX_SESSION_ITEMS  = 10;           // entries stored per session
+const MAX_TEXT_CHARS     = 10_000;
+const MAX_HTML_CHARS     = 50_000;
+const MAX_IMAGE_SIZE     = { width: 1600, height: 1600 };
+const MAX_RING_IMAGES    = 5;            // images are the heavy part of the ring
+const THUMB_WIDTH        = 240;
+const LEGACY_CLIP_CHARS  = 500;          // SessionData.clipboard (prompt, search, compare)
+const IMAGE_RECHECK_POLLS = 10;          // same-size image replaced by another: noticed within ~15 s
+
+// Clipboard formats that say "don't record this" (lower-case):
+//   macOS    nspasteboard.org markers, set by 1Password, KeePassXC, …
+//   Windows  clipboard-history / monitor opt-outs
+//   KDE      Klipper's password-manager hint
+const CONCEALED_FORMATS = [
+  'org.nspasteboard.concealedtype',
+  'org.nspasteboard.transienttype',
+  'excludeclipboardcontentfrommonitorprocessing',
+  'x-kde-passwordmanagerhint',
+];
+
+let ring: RingEntry[] = [];
+let pollTimer: NodeJS.Timeout | null = null;
+let lastSignature = '';
+let lastImageHash = '';
+let imageRechecks = 0;
+
+function sha1(...parts: Array<string | Buffer>): string {
+  const h = crypto.createHash('sha1');
+  for (const p of parts) h.update(p);
+  return h.digest('hex');
+}
+
+function clip(s: string, max: number): string {
+  return s.length > max ? s.slice(0, max) : s;
+}
+
+/** Whether the owner marked the clipboard as a secret (see CONCEALED_FORMATS). */
+function isConcealed(formats: string[]): boolean {
+  const listed = new Set(formats.map(f => f.toLowerCase()));
+  // Custom formats aren't always listed (Windows) — ask for them by name too
+  if (CONCEALED_FORMATS.some(f => listed.has(f) || clipboard.has(f))) return true;
+  if (listed.has('canincludeinclipboardhistory') || clipboard.has('CanIncludeInClipboardHistory')) {
+    const value = clipboard.readBuffer('CanIncludeInClipboardHistory');
+    return value.length >= 4 && value.readUInt32LE(0) === 0;
+  }
+  return false;
+}
+
+/** The current clipboard as a ring entry; null when empty, concealed or unreadable. */
+function readCurrent(): RingEntry | null {
+  const formats = clipboard.availableFormats();
+  if (isConcealed(formats)) return null;
+  const text = clipboard.readText();
+  const html = formats.some(f => f === 'text/html') ? clipboard.readHTML() : '';
+
+  if (!text.trim() && formats.some(f => f.startsWith('image/'))) {
+    const img = clipboard.readImage();
+    if (img.isEmpty()) return null;
+    const size = img.getSize();
+    const scale = Math.min(1, MAX_IMAGE_SIZE.width / size.width, MAX_IMAGE_SIZE.height / size.height);
+    const fitted = scale < 1 ? img.resize({ width: Math.round(size.width * scale), quality: 'good' }) : img;
+    const jpeg = fitted.toJPEG(85);
+    const { width, height } = fitted.getSize();
+    return {
+      hash:     sha1('image', jpeg),
+      kind:     'image',
+      text:     '',
+      image:    { jpeg, thumb: fitted.resize({ width: THUMB_WIDTH, quality: 'good' }).toJPEG(70), width, height },
+      copiedAt: Date.now(),
+    };
+  }
+
+  if (!text.trim()) return null;
+  const plain = clip(redactSecrets(text), MAX_TEXT_CHARS);
+  const markup = html.trim() ? clip(redactSecrets(html), MAX_HTML_CHARS) : '';
+  return {
+    hash:     sha1(markup ? 'html' : 'text', plain, '\0', markup),
+    kind:     markup ? 'html' : 'text',
+    text:     plain,
+    ...(markup ? { html: markup } : {}),
+    copiedAt: Date.now(),
+  };
+}
+
+/** Small hash of an image's content, to tell apart two images of one size. */
+function imageHash(img: NativeImage): string {
+  return img.isEmpty() ? '' : sha1(img.resize({ width: 16 }).toBitmap());
+}
+
+/**
+ * Cheap fingerprint used to skip unchanged polls: formats, text and image
+ * size.  The image is only hashed when that changes — or every
+ * IMAGE_RECHECK_POLLS polls, for a new image of the same size.
+ */
+function signature(): { key: string; image: NativeImage | null } {
+  const formats = clipboard.availableFormats();
+  let key = formats.join(',') + '\0' + clipboard.readText();
+  let image: NativeImage | null = null;
+  if (formats.some(f => f.startsWith('image/'))) {
+    image = clipboard.readImage();
+    const { width, height } = image.getSize();
+    key += `\0${width}x${height}`;
+  }
+  return { key, image };
+}
+
+/** True when the clipboard differs from the last poll; remembers it if so. */
+function changedSinceLastPoll(): boolean {
+  const { key, image } = signature();
+  if (key !== lastSignature) {
+    lastSignature = key;
+    lastImageHash = image ? imageHash(image) : '';
+    imageRechecks = 0;
+    return true;
+  }
+  if (!image || ++imageRechecks < IMAGE_RECHECK_POLLS) return false;
+  imageRechecks = 0;
+  const hash = imageHash(image);
+  if (hash === lastImageHash) return false;
+  lastImageHash = hash;
+  return true;
+}
+
+function remember(entry: RingEntry): void {
+  const existing = ring.find(e => e.hash === entry.hash);
+  // Copying the same thing again moves it to the front
+  ring = [existing ? { ...existing, copiedAt: entry.copiedAt } : entry, ...ring.filter(e => e.hash !== entry.hash)];
+  let images = 0;
+  ring = ring.filter(e => e.kind !== 'image' || ++images <= MAX_RING_IMAGES).slice(0, RING_SIZE);
+}
+
+function poll(): void {
+  try {
+    if (!changedSinceLastPoll()) return;
+    const entry = readCurrent();
+    if (entry) remember(entry);
+  } catch { /* clipboard busy (Windows) — try again next poll */ }
+}
+
+/** Starts (or, with `enabled` false, stops and clears) the clipboard ring. */
+export function startClipboardMonitor(enabled: boolean): void {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+  if (!enabled) {
+    ring = [];
+    lastSignature = '';
+    lastImageHash = '';
+    return;
+  }
+  poll();
+  pollTimer = setInterval(poll, POLL_MS);
+}
+
+/** The current clipboard text, redacted and cut for prompts / search. */
 export function collectClipboard(): string {
   try {
+    if (isConcealed(clipboard.availableFormats())) return '';
     const text = clipboard.readText();
-    return text.substring(0, 500);
+    return redactSecrets(text).substring(0, LEGACY_CLIP_CHARS);
   } catch {
     return '';
   }
 }
+
+/**
+ * Entries copied after `sinceIso` (all of the ring when null), newest first.
+ * What is still on the clipboard from before then was offered to the
+ * previous capture, so it isn't stored (and its image written) again.
+ * Image entries are written to disk here.  Never throws.
+ */
+export function collectClipboardHistory(sinceIso: string | null): ClipboardEntry[] {
+  poll(); // pick up a copy made since the last tick
+  const since = sinceIso ? new Date(sinceIso).getTime() || 0 : 0;
+  const picked = ring.filter(e => e.copiedAt > since).slice(0, MAX_SESSION_ITEMS);
+
+  const out: ClipboardEntry[] = [];
+  for (const e of picked) {
+    const base = { kind: e.kind, text: e.text, copiedAt: new Date(e.copiedAt).toISOString() };
+    if (e.kind === 'image' && e.image) {
+      try {
+        const [image] = writeScreenshots([{ ...e.image, label: 'clipboard' }]);
+        if (image) out.push({ ...base, image });
+      } catch (err) {
+        console.warn('[TK] Clipboard image could not be stored:', (err as Error).message);
+      }
+    } else {
+      out.push({ ...base, ...(e.html ? { html: e.html } : {}) });
+    }
+  }
+  return out;
+}
+
+/** Puts a stored entry back on the clipboard.  False if it can't be (e.g. missing image). */
+export function writeClipboardEntry(entry: ClipboardEntry): boolean {
+  try {
+    if (entry.kind === 'image') {
+      const jpeg = entry.image ? readScreenshot(entry.image) : null;
+      if (!jpeg) return false;
+      clipboard.writeImage(nativeImage.createFromBuffer(jpeg));
+    } else if (entry.kind === 'html' && entry.html) {
+      clipboard.write({ text: entry.text, html: entry.html });
+    } else {
+      if (!entry.text) return false;
+      clipboard.writeText(entry.text);
+    }
+    // Our own write is not a new copy
+    changedSinceLastPoll();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * collector-plugin-worker.ts
+ *
+ * Worker-thread entry point that runs ONE collector plugin (see
+ * collector-plugins.ts).  The plugin source is evaluated in a fresh vm
+ * context with no require / process / timers and no string code generation
+ * — only `module.exports`, a `console` that logs with a [TK] prefix and the
+ * small `api` object built by BOOTSTRAP.
+ *
+ * No function or object of this (host) realm is reachable from the plugin:
+ * a host function's `constructor` is the host's Function, which would hand
+ * out `process`.  BOOTSTRAP runs first, inside the context: it takes the
+ * host bridge off the global, keeps it in a closure and builds `api`,
+ * `console` and `module` from context objects.  Only strings, booleans and
+ * context callbacks cross the bridge; `api.env` is ENV_ALLOW, as JSON.
+ * Child processes of `api.exec` get the same reduced environment.
+ *
+ * The parent thread enforces the overall timeout by terminating the worker.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { execFile } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as vm from 'vm';
+
+interface WorkerInput {
+  file: string;
+  timeoutMs: number;
+}
+
+type Ok   = (value: string) => void;
+type Fail = (message: string) => void;
+
+const MAX_READ_BYTES = 1024 * 1024;
+
+// Variables a collector may need to find its tools and their config — no
+// tokens, keys or passwords (those are the point of not copying process.env)
+const ENV_ALLOW = [
+  'PATH', 'HOME', 'USER', 'USERNAME', 'LOGNAME', 'SHELL', 'LANG', 'LC_ALL', 'TERM', 'TZ',
+  'TMPDIR', 'TEMP', 'TMP', 'USERPROFILE', 'APPDATA', 'LOCALAPPDATA', 'SYSTEMROOT', 'COMSPEC', 'PATHEXT',
+  'HOSTNAME', 'COMPUTERNAME',
+  'XDG_CONFIG_HOME', 'XDG_DATA_HOME', 'XDG_CACHE_HOME', 'XDG_STATE_HOME', 'XDG_RUNTIME_DIR', 'XDG_CURRENT_DESKTOP',
+  'KUBECONFIG', 'DOCKER_CONTEXT', 'AWS_PROFILE', 'AWS_REGION', 'AWS_DEFAULT_REGION',
+  'CLOUDSDK_ACTIVE_CONFIG_NAME', 'VIRTUAL_ENV', 'CONDA_DEFAULT_ENV',
+];
+
+const { file, timeoutMs } = workerData as WorkerInput;
+const label = path.basename(file);
+
+const env: Record<string, string> = {};
+for (const name of ENV_ALLOW) {
+  const value = process.env[name];
+  if (typeof value === 'string') env[name] = value;
+}
+
+function expandHome(p: string): string {
+  return p === '~' || p.startsWith('~/') || p.startsWith('~\\') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/** Calls back into the context; a throwing callback must not reach us. */
+function settle(fn: Ok | Fail, value: string): void {
+  try { fn(value); } catch { /* ignore */ }
+}
+
+// Runs in the context before the plugin.  Its completion value is start().
+const BOOTSTRAP = `
+'use strict';
+(() => {
+  const g = globalThis;
+  const bridge = g.__tkBridge;
+  delete g.__tkBridge;
+  const { read, exists, exec, log, done, data } = bridge;
+  const Err = Error, P = Promise, Str = String, isArray = Array.isArray, freeze = Object.freeze;
+  const parse = JSON.parse, stringify = JSON.stringify;
+  const info = parse(data);
+
+  const call = (fn, ...args) => new P((resolve, reject) => fn(...args, resolve, msg => reject(new Err(msg))));
+  const text = v => {
+    if (typeof v === 'string') return v;
+    try { return stringify(v) ?? Str(v); } catch { return Str(v); }
+  };
+  const print = (...args) => log(args.map(text).join(' '));
+
+  const api = freeze({
+    platform:   info.platform,
+    homedir:    info.homedir,
+    env:        freeze(info.env),
+    readFile:   p => call(read, Str(p)),
+    fileExists: p => exists(Str(p)),
+    exec:       (cmd, args) => call(exec, Str(cmd), stringify(isArray(args) ? args.map(Str) : [])),
+  });
+  const mod = { exports: {} };
+  g.module  = mod;
+  g.exports = mod.exports;
+  g.console = freeze({ log: print, info: print, warn: print, error: print });
+
+  return () => {
+    P.resolve().then(() => {
+      const plugin = mod.exports;
+      if (typeof plugin.collect !== 'function') throw new Err('module.exports.collect is not a function');
+      return P.resolve(plugin.collect(api)).then(sections => done(stringify({
+        id:       typeof plugin.id    === 'string' ? plugin.id    : undefined,
+        title:    typeof plugin.title === 'string' ? plugin.title : undefined,
+        sections: sections ?? null,
+      }), ''));
+    }).then(undefined, err => done('', Str(err && err.message || err)));
+  };
+})();
+`;
+
+function run(): Promise<unknown> {
+  return new Promise((resolve, reject) => {
+    const bridge = {
+      data: JSON.stringify({ platform: process.platform, homedir: os.homedir(), env }),
+
+      /** Reads a UTF-8 text file ("~" = home); at most 1 MB. */
+      read(p: unknown, ok: Ok, fail: Fail): void {
+        fs.promises.readFile(expandHome(String(p))).then(
+          buf => settle(ok, buf.subarray(0, MAX_READ_BYTES).toString('utf-8')),
+          err => settle(fail, String((err as Error).message)),
+        );
+      },
+
+      exists(p: unknown): boolean {
+        try { return fs.existsSync(expandHome(String(p))); } catch { return false; }
+      },
+
+      /** Runs a program directly (no shell) and calls back with its stdout. */
+      exec(cmd: unknown, argsJson: unknown, ok: Ok, fail: Fail): void {
+        let args: string[] = [];
+        try { args = (JSON.parse(String(argsJson)) as unknown[]).map(String); } catch { /* no arguments */ }
+        execFile(String(cmd), args, {
+          timeout: timeoutMs, maxBuffer: MAX_READ_BYTES, windowsHide: true, env,
+        }, (err, stdout) => settle(err ? fail : ok, err ? err.message : String(stdout)));
+      },
+
+      log(line: unknown): void {
+        console.log(`[TK] collector ${label}:`, String(line));
+      },
+
+      done(json: unknown, error: unknown): void {
+        if (error) { reject(new Error(String(error))); return; }
+        // Plain JSON only — nothing from the plugin's context crosses to the parent
+        try { resolve(JSON.parse(String(json))); } catch (err) { reject(err); }
+      },
+    };
+
+    // The global object is backed by this one: without a prototype, even
+    // `globalThis.constructor` resolves inside the context
+    const sandbox = Object.assign(Object.create(null) as Record<string, unknown>, { __tkBridge: bridge });
+    const context = vm.createContext(sandbox, { codeGeneration: { strings: false, wasm: false } });
+    const start = new vm.Script(BOOTSTRAP, { filename: 'bootstrap' }).runInContext(context) as () => void;
+    const source = fs.readFileSync(file, 'utf-8');
+    new vm.Script(source, { filename: file }).runInContext(context, { timeout: timeoutMs });
+    start();
+  });
+}
+
+run().then(
+  result => parentPort?.postMessage({ ok: true, result }),
+  // Errors thrown inside the vm context aren't `instanceof Error` here
+  err    => parentPort?.postMessage({ ok: false, error: String(err?.message ?? err) }),
+);
@@ -0,0 +1,167 @@
+/**
+ * collector-plugins.ts
+ *
+ * User-supplied context collectors.  Every "*.js" file in
+ * <appData>/collectors/ is a plugin:
+ *
+ *   module.exports = {
+ *     id:    'kube',                      // optional — defaults to the file name
+ *     title: 'Kubernetes context',        // optional — heading in the UI and prompt
+ *     async collect(api) {
+ *       const ctx = await api.exec('kubectl', ['config', 'current-context']);
+ *       return { type: 'text', text: ctx.trim() };
+ *     },
+ *   };
+ *
+ * collect() returns one section, an array of sections or null.  A section is
+ * { type: 'text', text } | { type: 'list', items } | { type: 'fields', fields:
+ * [{ label, value }] }, optionally with its own id / title.  `api` offers
+ * readFile(path), fileExists(path), exec(cmd, args), env (PATH, HOME, locale
+ * and tool-config variables only — no secrets), platform, homedir.
+ *
+ * Each plugin runs in its own worker thread (collector-plugin-worker.ts)
+ * with a memory cap and PLUGIN_TIMEOUT_MS; a plugin that hangs is terminated
+ * and one that fails only loses its own sections.  Results are validated and
+ * clipped here before they reach SessionData.extras.
+ */
+
+import { Worker } from 'worker_threads';
+import * as fs from 'fs';
+import * as path from 'path';
+import { getAppDataDir } from '../platform';
+
+export type ExtraSection =
+  | { id: string; title: string; type: 'text';   text: string }
+  | { id: string; title: string; type: 'list';   items: string[] }
+  | { id: string; title: string; type: 'fields'; fields: Array<{ label: string; value: string }> };
+
+export interface PluginStatus {
+  file:       string;
+  id:         string;
+  ok:         boolean;
+  error?:     string;
+  sections:   number;
+  durationMs: number;
+}
+
+const PLUGIN_TIMEOUT_MS  = 3_000;
+const PLUGIN_MEMORY_MB   = 64;
+const MAX_PLUGINS        = 20;
+const MAX_SECTIONS       = 5;   // per plugin
+const MAX_TEXT_CHARS     = 2_000;
+const MAX_ITEMS          = 50;
+const MAX_ITEM_CHARS     = 300;
+const WORKER_FILE = path.join(__dirname, 'collector-plugin-worker.js');
+
+let lastStatus: PluginStatus[] = [];
+
+export function getCollectorsDir(): string {
+  return path.join(getAppDataDir(), 'collectors');
+}
+
+/** Per-plugin outcome of the most recent capture (for the settings screen). */
+export function getLastPluginStatus(): PluginStatus[] {
+  return lastStatus;
+}
+
+function listPluginFiles(): string[] {
+  const dir = getCollectorsDir();
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(e => e.isFile() && e.name.toLowerCase().endsWith('.js'))
+      .map(e => path.join(dir, e.name))
+      .sort()
+      .slice(0, MAX_PLUGINS);
+  } catch {
+    return []; // no collectors folder — plugins are opt-in
+  }
+}
+
+function clip(value: unknown, max: number): string {
+  const s = typeof value === 'string' ? value : value == null ? '' : String(value);
+  return s.length > max ? s.slice(0, max) + '…' : s;
+}
+
+/** Validates one section (plugin output, or a session being imported); null if unusable. */
+export function toSection(raw: unknown, fallbackId: string, fallbackTitle: string): ExtraSection | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const r = raw as Record<string, unknown>;
+  const id    = clip(r.id ?? fallbackId, 80);
+  const title = clip(r.title ?? fallbackTitle, 120);
+  switch (r.type) {
+    case 'text': {
+      const text = clip(r.text, MAX_TEXT_CHARS).trim();
+      return text ? { id, title, type: 'text', text } : null;
+    }
+    case 'list': {
+      if (!Array.isArray(r.items)) return null;
+      const items = r.items.slice(0, MAX_ITEMS).map(i => clip(i, MAX_ITEM_CHARS).trim()).filter(Boolean);
+      return items.length ? { id, title, type: 'list', items } : null;
+    }
+    case 'fields': {
+      if (!Array.isArray(r.fields)) return null;
+      const fields = r.fields.slice(0, MAX_ITEMS)
+        .filter((f): f is Record<string, unknown> => !!f && typeof f === 'object')
+        .map(f => ({ label: clip(f.label, 80).trim(), value: clip(f.value, MAX_ITEM_CHARS).trim() }))
+        .filter(f => f.label && f.value);
+      return fields.length ? { id, title, type: 'fields', fields } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function runPlugin(file: string): Promise<{ id?: string; title?: string; sections: unknown }> {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { file, timeoutMs: PLUGIN_TIMEOUT_MS },
+      resourceLimits: { maxOldGenerationSizeMb: PLUGIN_MEMORY_MB },
+      stdout: false,
+      stderr: false,
+    });
+    let settled = false;
+    const finish = (fn: () => void) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate().catch(() => { /* ignore */ });
+      fn();
+    };
+    const timer = setTimeout(() => finish(() => reject(new Error(`timed out after ${PLUGIN_TIMEOUT_MS} ms`))), PLUGIN_TIMEOUT_MS);
+    worker.once('message', (msg: { ok: boolean; result?: { id?: string; title?: string; sections: unknown }; error?: string }) =>
+      finish(() => (msg.ok && msg.result ? resolve(msg.result) : reject(new Error(msg.error || 'no result')))));
+    worker.once('error', err => finish(() => reject(err)));
+    // Exit without a message: collect() returned a promise that never settles
+    worker.once('exit', code => finish(() => reject(new Error(code === 0 ? 'collect() never settled' : `worker exited (${code})`))));
+  });
+}
+
+/**
+ * Runs every plugin in the collectors folder side by side and returns their
+ * sections in file-name order.  Never throws.
+ */
+export async function collectPluginSections(): Promise<ExtraSection[]> {
+  const files = listPluginFiles();
+  if (files.length === 0) { lastStatus = []; return []; }
+
+  const results = await Promise.all(files.map(async file => {
+    const base    = path.basename(file, path.extname(file));
+    const started = Date.now();
+    try {
+      const out   = await runPlugin(file);
+      const id    = clip(out.id || base, 80);
+      const raw   = Array.isArray(out.sections) ? out.sections : out.sections == null ? [] : [out.sections];
+      const sections = raw.slice(0, MAX_SECTIONS)
+        .map((r, i) => toSection(r, i === 0 ? id : `${id}-${i + 1}`, out.title || id))
+        .filter((s): s is ExtraSection => s !== null);
+      return { sections, status: { file: path.basename(file), id, ok: true, sections: sections.length, durationMs: Date.now() - started } };
+    } catch (err) {
+      const error = (err as Error).message;
+      console.warn(`[TK] Collector plugin ${path.basename(file)} failed:`, error);
+      return { sections: [], status: { file: path.basename(file), id: base, ok: false, error, sections: 0, durationMs: Date.now() - started } };
+    }
+  }));
+
+  lastStatus = results.map(r => r.status);
+  return results.flatMap(r => r.sections);
+}
@@ -1,18 +1,39 @@
 import { collectWindows, WindowInfo } from './window-collector';
-import { collectClipboard } from './clipboard-collector';
+import { collectClipboard, collectClipboardHistory, ClipboardEntry } from './clipboard-collector';
 import { collectRecentFiles } from './recent-files-collector';
 import { collectBrowserTabs, BrowserTab } from './browser-collector';
 import { collectBrowserHistory, HistoryEntry } from './history-collector';
+import { collectPluginSections, ExtraSection } from './collector-plugins';
+import { collectGitRepos, GitRepoInfo } from './git-collector';
+import { collectEditorWorkspaces, EditorWorkspace } from './workspace-collector';
+import { collectShellHistory, ShellHistory } from './shell-history-collector';
+import type { SessionScreenshot } from './screenshot-store';
+import type { ProfileFilter } from '../platform';
 
 export type { BrowserTab }    from './browser-collector';
 export type { HistoryEntry }  from './history-collector';
+export type { ExtraSection }  from './collector-plugins';
+export type { GitRepoInfo }   from './git-collector';
+export type { EditorWorkspace } from './workspace-collector';
+export type { ShellHistory }  from './shell-history-collector';
+export type { SessionScreenshot } from './screenshot-store';
+export type { ClipboardEntry } from './clipboard-collector';
 
 export interface SessionData {
   windows:       WindowInfo[];
-  clipboard:     string;
+  clipboard:     string;          // current text, redacted, first 500 chars (prompt / search / compare)
+  clipboardHistory?: ClipboardEntry[]; // copied since the previous capture, newest first — restore picks one
   recentFiles:   string[];
   browserTabs:   BrowserTab[];    // open tabs (via extension relay / CDP / UIA)
-  browserHistory: HistoryEntry[]; // recent history from Chrome/Edge DB (last 60 min)
+  browserHistory: HistoryEntry[]; // recent history from Chromium / Firefox DBs (last 60 min)
+  workspaces?:   EditorWorkspace[]; // folders / projects open in VS Code-family editors and JetBrains IDEs
+  gitRepos?:     GitRepoInfo[];   // repositories found via recent files / window titles / workspace roots
+  shellHistory?: ShellHistory;    // recent bash / zsh / PowerShell commands (redacted) and open shells' cwd
+  extras?:       ExtraSection[];  // sections from collector plugins (<appData>/collectors)
+  screenshots?:  SessionScreenshot[]; // taken by captureScreenshots() before the other collectors, see main.ts
+  privateTabsExcluded?: number;   // incognito / private tabs the collectors skipped — capture panel only, never saved
+  privateWindowsExcluded?: number; // private browser windows left out of `windows` — likewise
+  otherContextTabsExcluded?: number; // CDP tabs outside the default context (incognito or another profile) — likewise
   /** @deprecated kept for backward-compat reads only */
   browserUrls?: string[];
 }
@@ -20,6 +41,12 @@ export interface SessionData {
 export interface CaptureOptions {
   historyMinutesBack?: number;
   clipboardCapture?: boolean;  // LOW-04: opt-out of clipboard capture
+  clipboardSince?: string | null; // previous capture time — older clipboard entries belong to that session
+  shellHistoryCapture?: boolean; // opt-out of terminal history capture
+  browserProfiles?: ProfileFilter; // which browser profiles tabs / history may come from
+  safariTabs?: boolean;        // macOS: also read Safari's tabs (private windows included — opt-in)
+  gitCapture?: boolean;        // default true — record the state of git repositories in use
+  gitWorkspaceRoots?: string[]; // folders whose repositories are always included
 }
 
 export async function captureContext(optionsOrMinutes: CaptureOptions | number = 60): Promise<SessionData> {
@@ -30,14 +57,37 @@ export async function captureContext(optionsOrMinutes: CaptureOptions | number =
   const historyMinutesBack = opts.historyMinutesBack ?? 60;
   const shouldCaptureClipboard = opts.clipboardCapture !== false;
 
-  const [windows, recentFiles, browserTabs, browserHistory] = await Promise.all([
-    collectWindows(),
-    Promise.resolve(collectRecentFiles()),
-    collectBrowserTabs(),
-    collectBrowserHistory(historyMinutesBack),
+  // Editor workspaces and git repositories are found from the windows and
+  // recent files, so they start as soon as those two are in while the
+  // browser collectors keep going
+  const collectedWindows = collectWindows();
+  const windowsAndFiles = Promise.all([collectedWindows.then(c => c.windows), Promise.resolve(collectRecentFiles())]);
+  const gitRepos = opts.gitCapture === false
+    ? Promise.resolve([])
+    : windowsAndFiles.then(([w, f]) => collectGitRepos(f, w, opts.gitWorkspaceRoots));
+  const workspaces = windowsAndFiles.then(([w]) => collectEditorWorkspaces(w));
+
+  const [[windows, recentFiles], { privateWindows }, { tabs: browserTabs, privateTabs, otherContextTabs }, browserHistory, editorWorkspaces, repos, shellHistory, extras] = await Promise.all([
+    windowsAndFiles,
+    collectedWindows,
+    collectBrowserTabs(opts.browserProfiles, opts.safariTabs === true),
+    collectBrowserHistory(historyMinutesBack, opts.browserProfiles),
+    workspaces,
+    gitRepos,
+    opts.shellHistoryCapture === false
+      ? Promise.resolve(undefined)
+      : collectShellHistory(historyMinutesBack),
+    collectPluginSections(),
   ]);
 
   const clipboard = shouldCaptureClipboard ? collectClipboard() : '';
+  const clipboardHistory = shouldCaptureClipboard ? collectClipboardHistory(opts.clipboardSince ?? null) : [];
 
-  return { windows, clipboard, recentFiles, browserTabs, browserHistory };
+  return {
+    windows, clipboard, clipboardHistory, recentFiles, browserTabs, browserHistory,
+    workspaces: editorWorkspaces, gitRepos: repos, shellHistory, extras,
+    privateTabsExcluded: privateTabs,
+    privateWindowsExcluded: privateWindows,
+    otherContextTabsExcluded: otherContextTabs ?? 0,
+  };
 }
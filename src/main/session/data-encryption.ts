@@ -0,0 +1,115 @@
+/**
+ * data-encryption.ts
+ *
+ * Optional at-rest encryption for the session database and archive.
+ *
+ * A random 256-bit data key is generated once and stored in <appData>/.data-key,
+ * itself encrypted with Electron's safeStorage (OS keychain / DPAPI / libsecret),
+ * the same protection config-store.ts uses for API keys.
+ *
+ * Encrypted files are AES-256-GCM:
+ *   "TKENC1" (6 bytes) | IV (12 bytes) | auth tag (16 bytes) | ciphertext
+ *
+ * Reading always accepts both plain and encrypted files (so switching the
+ * setting migrates in place on the next write); writing encrypts only while
+ * encryption is enabled.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { safeStorage } from 'electron';
+import { getAppDataDir } from '../platform';
+import { writeFileAtomic } from '../atomic-file';
+
+const DATA_KEY_FILE = path.join(getAppDataDir(), '.data-key');
+const MAGIC         = Buffer.from('TKENC1', 'ascii');
+const IV_LEN        = 12;
+const TAG_LEN       = 16;
+
+let enabled = false;
+let keyCache: Buffer | null = null;
+
+export function setEncryptionEnabled(on: boolean): void {
+  enabled = on;
+}
+
+export function isEncryptionEnabled(): boolean {
+  return enabled;
+}
+
+export function isEncryptedBlob(buf: Buffer): boolean {
+  return buf.length >= MAGIC.length && buf.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+// ── Data key ─────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the data key, creating it when `create` is set and none exists.
+ * Never creates a new key over an existing one — that would orphan every
+ * file encrypted with it.
+ */
+export function getDataKey(create = false): Buffer {
+  if (keyCache) return keyCache;
+  if (!safeStorage.isEncryptionAvailable()) {
+    throw new Error('OS secure storage (safeStorage) is not available on this system');
+  }
+
+  if (fs.existsSync(DATA_KEY_FILE)) {
+    try {
+      const sealed = Buffer.from(fs.readFileSync(DATA_KEY_FILE, 'utf-8').trim(), 'base64');
+      const key    = Buffer.from(safeStorage.decryptString(sealed), 'hex');
+      if (key.length !== 32) throw new Error('bad key length');
+      keyCache = key;
+      return key;
+    } catch (err) {
+      throw new Error(`The session encryption key could not be unlocked (${(err as Error).message})`);
+    }
+  }
+
+  if (!create) throw new Error('The session encryption key file is missing');
+
+  const key = crypto.randomBytes(32);
+  writeFileAtomic(DATA_KEY_FILE, safeStorage.encryptString(key.toString('hex')).toString('base64'), { mode: 0o600 });
+  keyCache = key;
+  console.log('[TK] Created session encryption key');
+  return key;
+}
+
+// ── Blobs ────────────────────────────────────────────────────────────────────
+
+function encryptBlob(plain: Buffer, key: Buffer): Buffer {
+  const iv     = crypto.randomBytes(IV_LEN);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const body   = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), body]);
+}
+
+function decryptBlob(blob: Buffer, key: Buffer): Buffer {
+  const ivStart  = MAGIC.length;
+  const tagStart = ivStart + IV_LEN;
+  const body     = tagStart + TAG_LEN;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, blob.subarray(ivStart, tagStart));
+  decipher.setAuthTag(blob.subarray(tagStart, body));
+  return Buffer.concat([decipher.update(blob.subarray(body)), decipher.final()]);
+}
+
+/** Prepares file contents for disk: encrypted while encryption is enabled. */
+export function sealForDisk(plain: Buffer): Buffer {
+  return enabled ? encryptBlob(plain, getDataKey(true)) : plain;
+}
+
+/**
+ * Decodes file contents read from disk.  Plain files pass through; encrypted
+ * ones need the key and throw if it can't be unlocked or the file doesn't
+ * authenticate with it.
+ */
+export function openFromDisk(blob: Buffer): Buffer {
+  if (!isEncryptedBlob(blob)) return blob;
+  const key = getDataKey(false);
+  try {
+    return decryptBlob(blob, key);
+  } catch {
+    throw new Error('An encrypted session file could not be decrypted with the current key');
+  }
+}
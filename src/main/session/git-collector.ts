@@ -0,0 +1,249 @@
+/**
+ * git-collector.ts
+ *
+ * Finds the git repositories the user is working in and records their state
+ * through the git CLI.  Candidates come from:
+ *   - recent files (the repository containing each file)
+ *   - editor / terminal window titles (absolute paths in the title, or a
+ *     project name matching a folder under one of the workspace roots)
+ *   - the configured workspace roots themselves and their direct children
+ *
+ * A missing git binary or a broken repository only drops that repository.
+ *
+ * Candidates come from arbitrary paths, so git runs defensively: the
+ * repository's own fsmonitor and hooks are switched off, optional locks
+ * aren't taken (the user's own git never waits on us), and a repository is
+ * only read when the current user owns it — git's safe.directory rule —
+ * or it lies under a workspace root the user configured.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import type { WindowInfo } from './window-collector';
+
+const execFileAsync = promisify(execFile);
+
+export interface GitChange {
+  status: string; // porcelain XY code, e.g. 'M', 'A', 'D', 'R', '??', 'UU'
+  path:   string;
+}
+
+export interface GitRepoInfo {
+  path:         string;
+  name:         string;
+  branch:       string | null; // null = detached HEAD
+  upstream?:    string;
+  ahead:        number;
+  behind:       number;
+  changes:      GitChange[];   // at most MAX_CHANGES
+  changedCount: number;        // total, including the ones cut off
+  commits:      Array<{ hash: string; subject: string }>;
+  stashes:      string[];
+}
+
+const GIT_TIMEOUT_MS = 4_000;
+const MAX_REPOS      = 8;
+const MAX_CHANGES    = 50;
+const MAX_COMMITS    = 5;
+const MAX_STASHES    = 5;
+const MAX_WALK_UP    = 12;
+
+// Repository config must not make us run its commands or block the user's git
+const GIT_SAFE_ARGS = ['-c', 'core.fsmonitor=false', '-c', 'core.hooksPath=/dev/null', '--no-optional-locks'];
+
+// Windows whose titles name a file or project (process names, lower-case, no .exe)
+const EDITOR_PROCESSES = new Set([
+  'code', 'code - insiders', 'cursor', 'codium', 'vscodium', 'windsurf', 'zed',
+  'idea', 'idea64', 'pycharm', 'pycharm64', 'webstorm', 'webstorm64', 'goland', 'goland64',
+  'clion', 'clion64', 'rider', 'rider64', 'phpstorm', 'phpstorm64', 'rubymine', 'rubymine64',
+  'studio', 'studio64', 'sublime_text', 'subl', 'atom', 'gvim', 'vim', 'nvim', 'emacs',
+  'windowsterminal', 'terminal', 'iterm2', 'gnome-terminal-server', 'konsole', 'alacritty',
+  'kitty', 'wezterm-gui', 'xterm',
+]);
+
+// Absolute paths (POSIX, ~/ and drive letters) inside a window title
+const TITLE_PATH = /(?:~|[A-Za-z]:)?[\\/][^\s:*?"<>|()[\]]+/g;
+
+function expandHome(p: string): string {
+  return p === '~' || p.startsWith('~/') || p.startsWith('~\\') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/** The repository root containing `start` (a file or folder), or null. */
+export function findRepoRoot(start: string): string | null {
+  let dir = start;
+  try {
+    if (!fs.statSync(dir).isDirectory()) dir = path.dirname(dir);
+  } catch {
+    dir = path.dirname(dir);
+  }
+  for (let i = 0; i < MAX_WALK_UP; i++) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir; // folder, or file for worktrees / submodules
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return null;
+}
+
+function candidatesFromTitles(windows: WindowInfo[], roots: string[]): string[] {
+  const out: string[] = [];
+  for (const w of windows) {
+    if (!EDITOR_PROCESSES.has(w.name.toLowerCase().replace(/\.exe$/, ''))) continue;
+    for (const m of w.title.match(TITLE_PATH) ?? []) out.push(expandHome(m.replace(/[.,;]+$/, '')));
+    // "file.ts - project - Visual Studio Code", "project – file.ts": try each part under the roots
+    for (const part of w.title.split(/\s+[-–—]\s+/)) {
+      const name = part.trim().replace(/^[●•*]\s*/, '').replace(/\s*\[.*\]$/, '');
+      if (!name || /[\\/]/.test(name)) continue;
+      for (const root of roots) out.push(path.join(root, name));
+    }
+  }
+  return out;
+}
+
+function candidatesFromRoots(roots: string[]): string[] {
+  const out: string[] = [];
+  for (const root of roots) {
+    out.push(root);
+    try {
+      for (const e of fs.readdirSync(root, { withFileTypes: true })) {
+        if (e.isDirectory() && !e.name.startsWith('.') && fs.existsSync(path.join(root, e.name, '.git'))) {
+          out.push(path.join(root, e.name));
+        }
+      }
+    } catch { /* ignore */ }
+  }
+  return out;
+}
+
+/**
+ * `trusted` repositories (under a workspace root) are read even when someone
+ * else owns them; for the rest git's own safe.directory check applies.
+ */
+async function git(repo: string, args: string[], trusted: boolean): Promise<string> {
+  const safeDir = trusted ? ['-c', `safe.directory=${repo.replace(/\\/g, '/')}`] : [];
+  const { stdout } = await execFileAsync('git', [...GIT_SAFE_ARGS, ...safeDir, '-C', repo, ...args], {
+    timeout: GIT_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024, windowsHide: true,
+    env: { ...process.env, GIT_OPTIONAL_LOCKS: '0' },
+  });
+  return stdout;
+}
+
+/**
+ * Whether the current user owns the work tree and its .git, like git's
+ * safe.directory check.  Windows has no uid here — git itself refuses
+ * repositories of other owners there.
+ */
+function isOwnedByUser(repo: string): boolean {
+  if (typeof process.getuid !== 'function') return true;
+  const uid = process.getuid();
+  try {
+    return fs.statSync(repo).uid === uid && fs.statSync(path.join(repo, '.git')).uid === uid;
+  } catch {
+    return false;
+  }
+}
+
+function isUnder(dir: string, root: string): boolean {
+  const rel = path.relative(root, dir);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/** Parses `git status --porcelain=v2 --branch -z`. */
+export function parseStatusV2(out: string): Pick<GitRepoInfo, 'branch' | 'upstream' | 'ahead' | 'behind' | 'changes' | 'changedCount'> {
+  const info = { branch: null as string | null, upstream: undefined as string | undefined, ahead: 0, behind: 0 };
+  const changes: GitChange[] = [];
+  let changedCount = 0;
+  const records = out.split('\0');
+  for (let i = 0; i < records.length; i++) {
+    const rec = records[i];
+    if (!rec) continue;
+    if (rec.startsWith('# branch.head ')) {
+      const head = rec.slice(14);
+      info.branch = head === '(detached)' ? null : head;
+    } else if (rec.startsWith('# branch.upstream ')) {
+      info.upstream = rec.slice(18);
+    } else if (rec.startsWith('# branch.ab ')) {
+      const m = /\+(\d+) -(\d+)/.exec(rec);
+      if (m) { info.ahead = Number(m[1]); info.behind = Number(m[2]); }
+    } else if (rec[0] === '1' || rec[0] === '2' || rec[0] === 'u') {
+      // "1 XY sub mH mI mW hH hI path", "2 XY sub mH mI mW hH hI Xscore path" + orig path record,
+      // "u XY sub m1 m2 m3 mW h1 h2 h3 path"
+      const fieldCount = rec[0] === '1' ? 8 : rec[0] === '2' ? 9 : 10;
+      const parts = rec.split(' ');
+      const xy = parts[1].replace(/\./g, '');
+      changedCount++;
+      if (changes.length < MAX_CHANGES) {
+        changes.push({ status: rec[0] === 'u' ? 'UU' : xy[0] ?? 'M', path: parts.slice(fieldCount).join(' ') });
+      }
+      if (rec[0] === '2') i++; // skip the original path
+    } else if (rec.startsWith('? ')) {
+      changedCount++;
+      if (changes.length < MAX_CHANGES) changes.push({ status: '??', path: rec.slice(2) });
+    }
+  }
+  return { ...info, changes, changedCount };
+}
+
+async function readRepo(repo: string, trusted: boolean): Promise<GitRepoInfo | null> {
+  try {
+    const [status, log, stash] = await Promise.all([
+      git(repo, ['status', '--porcelain=v2', '--branch', '-z'], trusted),
+      git(repo, ['log', `-n${MAX_COMMITS}`, '--format=%h%x09%s'], trusted).catch(() => ''), // empty repo: no HEAD yet
+      git(repo, ['stash', 'list', `-n${MAX_STASHES}`, '--format=%gd: %s'], trusted).catch(() => ''),
+    ]);
+    return {
+      path: repo,
+      name: path.basename(repo),
+      ...parseStatusV2(status),
+      commits: log.split('\n').filter(Boolean).map(line => {
+        const tab = line.indexOf('\t');
+        return { hash: line.slice(0, tab), subject: line.slice(tab + 1) };
+      }),
+      stashes: stash.split('\n').filter(Boolean),
+    };
+  } catch (err) {
+    console.warn(`[TK] git status failed for ${repo}:`, (err as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Repository state for everything the recent files, window titles and
+ * workspace roots point at — most recently touched sources first.
+ */
+export async function collectGitRepos(
+  recentFiles: string[],
+  windows: WindowInfo[],
+  workspaceRoots: string[] = [],
+): Promise<GitRepoInfo[]> {
+  const roots = workspaceRoots.map(r => expandHome(r.trim())).filter(r => r && path.isAbsolute(r));
+  const candidates = [
+    ...recentFiles,
+    ...candidatesFromTitles(windows, roots),
+    ...candidatesFromRoots(roots),
+  ];
+
+  const repos: string[] = [];
+  const checked = new Set<string>();
+  for (const c of candidates) {
+    if (repos.length >= MAX_REPOS) break;
+    if (!c || !path.isAbsolute(c) || checked.has(c)) continue;
+    checked.add(c);
+    if (!fs.existsSync(c)) continue;
+    const root = findRepoRoot(c);
+    if (!root || repos.includes(root) || checked.has(`repo:${root}`)) continue;
+    checked.add(`repo:${root}`);
+    if (roots.some(r => isUnder(root, r)) || isOwnedByUser(root)) {
+      repos.push(root);
+    } else {
+      console.log(`[TK] git: skipped ${root} (owned by another user, not under a workspace root)`);
+    }
+  }
+  if (repos.length === 0) return [];
+
+  const infos = await Promise.all(repos.map(repo => readRepo(repo, roots.some(r => isUnder(repo, r)))));
+  return infos.filter((r): r is GitRepoInfo => r !== null);
+}
@@ -1,25 +1,36 @@
 /**
  * history-collector.ts
  *
- * Reads recent browser history from Chrome / Edge / Brave SQLite databases.
- * No extension or special startup flags required — works out of the box.
+ * Reads recent browser history from Chrome / Edge / Brave and Firefox SQLite
+ * databases.  No extension or special startup flags required — works out of
+ * the box.
  *
  * Strategy:
- *   1. Locate the History SQLite file for each installed Chromium browser.
- *   2. Copy it to %TEMP% (Chrome locks the original while running).
- *   3. Query the `urls` table for entries in the last N minutes.
+ *   1. Locate the History SQLite file for every profile of each installed
+ *      Chromium browser (listed in its Local State), and places.sqlite for
+ *      each Firefox profile listed in profiles.ini.  Profiles the user left
+ *      out in settings are skipped.
+ *   2. Copy it to %TEMP% (browsers lock the original while running) —
+ *      together with places.sqlite-wal, which holds Firefox's latest visits.
+ *   3. Query `urls` (Chromium) / `moz_places` + `moz_historyvisits` (Firefox)
+ *      for entries in the last N minutes.
  *   4. Return de-duplicated results sorted by visit time (newest first).
  *
- * Chrome timestamps: microseconds since 1601-01-01 (Windows FILETIME epoch).
- * Unix timestamps:   milliseconds  since 1970-01-01
+ * Chrome timestamps:  microseconds since 1601-01-01 (Windows FILETIME epoch).
+ * Firefox timestamps: microseconds since 1970-01-01
+ * Unix timestamps:    milliseconds  since 1970-01-01
  * Offset: 11,644,473,600,000 ms
  */
 
 import * as fs   from 'fs';
 import * as os   from 'os';
 import * as path from 'path';
-import { app }   from 'electron';
-import { getBrowserHistoryPaths, BrowserProfile } from '../platform';
+import {
+  getBrowserHistoryPaths, getFirefoxProfiles, isProfileAllowed,
+  BrowserProfile, FirefoxProfile, ProfileFilter,
+} from '../platform';
+import { getSqlJs, mergeWal } from './sqljs-loader';
+import type { SqlJsStatic } from './sqljs-loader';
 
 // ── Types ─────────────────────────────────────────────────────────────────────
 
@@ -27,7 +38,8 @@ export interface HistoryEntry {
   url:       string;
   title:     string;
   visitedAt: string; // ISO-8601 string
-  browser:   string; // 'chrome' | 'edge' | 'brave'
+  browser:   string; // 'chrome' | 'edge' | 'brave' | 'firefox'
+  profile?:  string; // browser profile display name (absent in older sessions)
 }
 
 // ── Constants ─────────────────────────────────────────────────────────────────
@@ -45,88 +57,128 @@ function nowToChrome(): number {
 
 // ── History file paths ────────────────────────────────────────────────────────
 
-function getCandidates(): BrowserProfile[] {
-  return getBrowserHistoryPaths().filter(p => fs.existsSync(p.history));
+function getCandidates(filter?: ProfileFilter): BrowserProfile[] {
+  return getBrowserHistoryPaths()
+    .filter(p => isProfileAllowed(filter, p.name, p.profile) && fs.existsSync(p.history));
 }
 
-// ── SQLite loader ─────────────────────────────────────────────────────────────
+// ── Chromium ──────────────────────────────────────────────────────────────────
 
-let sqlJsCache: unknown | null = null;
-
-async function getSqlJs(): Promise<unknown | null> {
-  if (sqlJsCache) return sqlJsCache;
+function readChromiumHistory(SQL: SqlJsStatic, profile: BrowserProfile, minutesBack: number): HistoryEntry[] {
+  // cutoff in Chrome microseconds
+  const cutoffChrome = nowToChrome() - minutesBack * 60 * 1_000_000;
+  const tempPath = path.join(os.tmpdir(), `ck-hist-${Date.now()}.db`);
+  const entries: HistoryEntry[] = [];
   try {
-    // eslint-disable-next-line @typescript-eslint/no-var-requires
-    const initSqlJs = require('sql.js');
-    const wasmPath  = path.join(app.getAppPath(), 'node_modules', 'sql.js', 'dist', 'sql-wasm.wasm');
-    sqlJsCache = await initSqlJs({ locateFile: () => wasmPath });
-    return sqlJsCache;
+    // Copy to temp to avoid sharing violations (Chrome locks the DB while running)
+    fs.copyFileSync(profile.history, tempPath);
+
+    const buf = fs.readFileSync(tempPath);
+    const db  = new SQL.Database(buf);
+
+    const result = db.exec(`
+      SELECT url, title, last_visit_time
+      FROM   urls
+      WHERE  last_visit_time > ${cutoffChrome}
+        AND  (url LIKE 'http://%' OR url LIKE 'https://%')
+        AND  url NOT LIKE 'chrome://%'
+        AND  url NOT LIKE 'edge://%'
+      ORDER  BY last_visit_time DESC
+      LIMIT  60
+    `);
+
+    db.close();
+
+    if (result.length > 0 && result[0].values) {
+      for (const [url, title, visitTime] of result[0].values) {
+        entries.push({
+          url:       String(url),
+          title:     String(title || url),
+          visitedAt: chromeTimeToDate(Number(visitTime)).toISOString(),
+          browser:   profile.name,
+          profile:   profile.profile,
+        });
+      }
+    }
   } catch (e) {
-    console.warn('[TK] sql.js load error:', e);
-    return null;
+    console.warn(`[TK] History read failed (${profile.name} ${profile.profile}):`, (e as Error).message);
+  } finally {
+    try { fs.unlinkSync(tempPath); } catch { /* ignore */ }
   }
+  return entries;
 }
 
-// ── Main export ───────────────────────────────────────────────────────────────
-
-export async function collectBrowserHistory(minutesBack = 60): Promise<HistoryEntry[]> {
-  const profiles = getCandidates();
-  if (profiles.length === 0) return [];
-
-  const SQL = await getSqlJs() as {
-    Database: new (data: Buffer) => {
-      exec: (sql: string) => Array<{ values: unknown[][] }>;
-      close: () => void;
-    };
-  } | null;
-
-  if (!SQL) return [];
-
-  // cutoff in Chrome microseconds
-  const cutoffChrome = nowToChrome() - minutesBack * 60 * 1_000_000;
+// ── Firefox ───────────────────────────────────────────────────────────────────
 
-  const allEntries: HistoryEntry[] = [];
+function readFirefoxHistory(SQL: SqlJsStatic, profile: FirefoxProfile, minutesBack: number): HistoryEntry[] {
+  const places = path.join(profile.dir, 'places.sqlite');
+  if (!fs.existsSync(places)) return [];
 
-  for (const profile of profiles) {
-    const tempPath = path.join(os.tmpdir(), `ck-hist-${Date.now()}.db`);
+  // cutoff in Firefox microseconds (Unix epoch)
+  const cutoffFirefox = (Date.now() - minutesBack * 60_000) * 1000;
+  const tempPath = path.join(os.tmpdir(), `ck-places-${Date.now()}.db`);
+  const entries: HistoryEntry[] = [];
+  try {
+    // Copy the DB and its WAL together — recent visits may not be checkpointed yet
+    fs.copyFileSync(places, tempPath);
+    let wal: Buffer | null = null;
     try {
-      // Copy to temp to avoid sharing violations (Chrome locks the DB while running)
-      fs.copyFileSync(profile.history, tempPath);
-
-      const buf = fs.readFileSync(tempPath);
-      const db  = new SQL.Database(buf);
-
-      const result = db.exec(`
-        SELECT url, title, last_visit_time
-        FROM   urls
-        WHERE  last_visit_time > ${cutoffChrome}
-          AND  (url LIKE 'http://%' OR url LIKE 'https://%')
-          AND  url NOT LIKE 'chrome://%'
-          AND  url NOT LIKE 'edge://%'
-        ORDER  BY last_visit_time DESC
-        LIMIT  60
-      `);
-
-      db.close();
-
-      if (result.length > 0 && result[0].values) {
-        for (const [url, title, visitTime] of result[0].values) {
-          allEntries.push({
-            url:       String(url),
-            title:     String(title || url),
-            visitedAt: chromeTimeToDate(Number(visitTime)).toISOString(),
-            browser:   profile.name,
-          });
-        }
+      fs.copyFileSync(`${places}-wal`, `${tempPath}-wal`);
+      wal = fs.readFileSync(`${tempPath}-wal`);
+    } catch { /* no WAL — everything is in the main file */ }
+
+    const db = new SQL.Database(mergeWal(fs.readFileSync(tempPath), wal));
+
+    const result = db.exec(`
+      SELECT   p.url, p.title, MAX(v.visit_date) AS visited
+      FROM     moz_historyvisits v
+      JOIN     moz_places p ON p.id = v.place_id
+      WHERE    v.visit_date > ${cutoffFirefox}
+        AND    (p.url LIKE 'http://%' OR p.url LIKE 'https://%')
+      GROUP BY p.id
+      ORDER BY visited DESC
+      LIMIT    60
+    `);
+
+    db.close();
+
+    if (result.length > 0 && result[0].values) {
+      for (const [url, title, visitTime] of result[0].values) {
+        entries.push({
+          url:       String(url),
+          title:     String(title || url),
+          visitedAt: new Date(Math.floor(Number(visitTime) / 1000)).toISOString(),
+          browser:   'firefox',
+          profile:   profile.name,
+        });
       }
-    } catch (e) {
-      console.warn(`[TK] History read failed (${profile.name}):`, (e as Error).message);
-    } finally {
-      try { fs.unlinkSync(tempPath); } catch { /* ignore */ }
     }
+  } catch (e) {
+    console.warn(`[TK] History read failed (firefox ${profile.name}):`, (e as Error).message);
+  } finally {
+    try { fs.unlinkSync(tempPath); } catch { /* ignore */ }
+    try { fs.unlinkSync(`${tempPath}-wal`); } catch { /* ignore */ }
   }
+  return entries;
+}
+
+// ── Main export ───────────────────────────────────────────────────────────────
+
+export async function collectBrowserHistory(minutesBack = 60, filter?: ProfileFilter): Promise<HistoryEntry[]> {
+  const profiles = getCandidates(filter);
+  const firefoxProfiles = getFirefoxProfiles().filter(p => isProfileAllowed(filter, 'firefox', p.name));
+  if (profiles.length === 0 && firefoxProfiles.length === 0) return [];
+
+  const SQL = await getSqlJs();
+  if (!SQL) return [];
+
+  const allEntries: HistoryEntry[] = [
+    ...profiles.flatMap(p => readChromiumHistory(SQL, p, minutesBack)),
+    ...firefoxProfiles.flatMap(p => readFirefoxHistory(SQL, p, minutesBack)),
+  ];
 
-  // De-duplicate by URL (keep most recent visit)
+  // Newest first across browsers, then de-duplicate by URL (keep most recent visit)
+  allEntries.sort((a, b) => b.visitedAt.localeCompare(a.visitedAt));
   const seen = new Set<string>();
   const unique = allEntries.filter(e => {
     const key = e.url.replace(/[?#].*$/, ''); // normalise: strip query/hash for dedup
@@ -0,0 +1,229 @@
+/**
+ * privacy-rules.ts
+ *
+ * User-defined privacy rules, applied to a capture after captureContext()
+ * and before anything is saved, compared or sent to an AI provider:
+ *
+ *   blockedDomains    'bank.example' drops tabs / history on that host and
+ *                     its subdomains ('*.bank.example' means the same)
+ *   blockedUrls       URL patterns with * wildcards, e.g. 'https://mail.google.com/*';
+ *                     they also match file and folder paths ('*acme-corp*')
+ *   blockedProcesses  process names whose windows are dropped ('1password', 'keepass*'),
+ *                     and editor workspaces of those apps
+ *   redactPatterns    regular expressions ('/…/flags' or a bare pattern, case-
+ *                     insensitive); matches become [REDACTED].  Patterns that
+ *                     match empty text ('a*') are rejected
+ *   redactEmails      also mask e-mail addresses
+ *
+ * Everything that carries text is covered: windows, tabs, history, the
+ * clipboard, recent files, git repositories, editor workspaces, shell
+ * commands and folders, and plugin sections.  Blocked URLs inside free text
+ * are masked.  The built-in secret rules of redact.ts always run too.  When
+ * a blocked window or tab — or a private browser window the collectors
+ * skipped — was on screen the screenshots are dropped: they would show it.
+ */
+
+import { redactWith, REDACTED } from './redact';
+import { deleteScreenshots } from './screenshot-store';
+import type { SessionData, ExtraSection } from './collector';
+
+export interface PrivacyRules {
+  blockedDomains:   string[];
+  blockedUrls:      string[];
+  blockedProcesses: string[];
+  redactPatterns:   string[];
+  redactEmails:     boolean;
+}
+
+export interface PrivacyReport {
+  windows:     number; // dropped by blockedProcesses
+  tabs:        number; // dropped by blockedDomains / blockedUrls
+  history:     number;
+  other:       number; // recent files, repositories, workspaces, shell folders, plugin items
+  screenshots: number;
+}
+
+export interface PrivacyTestResult {
+  errors:         string[];       // patterns that don't compile, with the reason
+  urlBlocked:     boolean | null; // null = no URL given
+  processBlocked: boolean | null;
+  redacted:       string;         // the sample text after redaction
+}
+
+interface CompiledRules {
+  domains:   string[];
+  urls:      RegExp[];
+  processes: RegExp[];
+  redact:    RegExp[];
+  emails:    boolean;
+  errors:    string[];
+}
+
+const MAX_PATTERN_CHARS = 500;
+const EMBEDDED_URL = /\bhttps?:\/\/[^\s"'<>]+/gi;
+
+function globToRegExp(glob: string): RegExp {
+  const src = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${src}$`, 'i');
+}
+
+function processKey(name: string): string {
+  return name.trim().toLowerCase().replace(/\.exe$/, '');
+}
+
+/** "/source/flags" or a bare source; always global, case-insensitive unless flags say otherwise. */
+function parsePattern(raw: string): RegExp {
+  if (raw.length > MAX_PATTERN_CHARS) throw new Error(`longer than ${MAX_PATTERN_CHARS} characters`);
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(raw);
+  const source = m ? m[1] : raw;
+  const flags  = m ? Array.from(new Set(`${m[2]}g`)).join('') : 'gi';
+  const re = new RegExp(source, flags);
+  // An empty match would put [REDACTED] between every character
+  if (['', 'a b', 'x-1'].some(sample => Array.from(sample.matchAll(re)).some(hit => hit[0] === ''))) {
+    throw new Error('matches empty text');
+  }
+  return re;
+}
+
+function clean(list: unknown): string[] {
+  return Array.isArray(list) ? list.map(v => String(v ?? '').trim()).filter(Boolean) : [];
+}
+
+export function compilePrivacyRules(rules: Partial<PrivacyRules>): CompiledRules {
+  const errors: string[] = [];
+  const redact: RegExp[] = [];
+  for (const raw of clean(rules.redactPatterns)) {
+    try {
+      redact.push(parsePattern(raw));
+    } catch (err) {
+      errors.push(`${raw}: ${(err as Error).message}`);
+    }
+  }
+  return {
+    domains:   clean(rules.blockedDomains).map(d => d.toLowerCase().replace(/^\*\./, '').replace(/^www\./, '')),
+    urls:      clean(rules.blockedUrls).map(globToRegExp),
+    processes: clean(rules.blockedProcesses).map(p => globToRegExp(processKey(p))),
+    redact,
+    emails:    rules.redactEmails === true,
+    errors,
+  };
+}
+
+/** URLs by domain and pattern; file / folder paths by pattern only. */
+function isUrlBlocked(url: string, c: CompiledRules): boolean {
+  let host = '';
+  try { host = new URL(url).hostname.toLowerCase().replace(/^www\./, ''); } catch { /* not a URL — patterns still apply */ }
+  if (host && c.domains.some(d => host === d || host.endsWith(`.${d}`))) return true;
+  return c.urls.some(re => re.test(url));
+}
+
+function isProcessBlocked(name: string, c: CompiledRules): boolean {
+  const key = processKey(name);
+  return c.processes.some(re => re.test(key));
+}
+
+function maskBlockedUrls(text: string, c: CompiledRules): string {
+  if (c.domains.length === 0 && c.urls.length === 0) return text;
+  return text.replace(EMBEDDED_URL, url => isUrlBlocked(url, c) ? REDACTED : url);
+}
+
+/**
+ * Drops blocked windows / tabs / history and redacts what is left.  Returns
+ * a new SessionData; images of dropped screenshots are deleted.  Never throws
+ * on bad patterns — they are skipped (the settings tester reports them).
+ */
+export function applyPrivacyRules(context: SessionData, rules: Partial<PrivacyRules>): { context: SessionData; report: PrivacyReport } {
+  const c = compilePrivacyRules(rules);
+  for (const e of c.errors) console.warn('[TK] Privacy rule ignored:', e);
+  const r = (text: string) => redactWith(maskBlockedUrls(text, c), c.redact, c.emails);
+  const report: PrivacyReport = { windows: 0, tabs: 0, history: 0, other: 0, screenshots: 0 };
+  // Keeps the entries that pass, counting the rest under `key`
+  const keep = <T>(list: T[], key: keyof PrivacyReport, blocked: (item: T) => boolean): T[] => {
+    const kept = list.filter(item => !blocked(item));
+    report[key] += list.length - kept.length;
+    return kept;
+  };
+
+  const windows = keep(context.windows, 'windows', w => isProcessBlocked(w.name, c));
+  const tabs    = keep(context.browserTabs ?? [], 'tabs', tb => isUrlBlocked(tb.url, c));
+  const history = keep(context.browserHistory ?? [], 'history', h => isUrlBlocked(h.url, c));
+  const recentFiles = keep(context.recentFiles, 'other', f => isUrlBlocked(f, c));
+
+  // A dropped window, open tab or private window may be in the picture
+  const privateSeen = (context.privateWindowsExcluded ?? 0) > 0 || (context.privateTabsExcluded ?? 0) > 0;
+  let screenshots = context.screenshots;
+  if ((report.windows > 0 || report.tabs > 0 || privateSeen) && screenshots?.length) {
+    deleteScreenshots(screenshots);
+    report.screenshots = screenshots.length;
+    screenshots = [];
+  }
+
+  const out: SessionData = {
+    ...context,
+    windows:        windows.map(w => ({ ...w, title: r(w.title) })),
+    clipboard:      r(context.clipboard),
+    recentFiles:    recentFiles.map(r),
+    browserTabs:    tabs.map(tb => ({ ...tb, url: r(tb.url), title: r(tb.title) })),
+    browserHistory: history.map(h => ({ ...h, url: r(h.url), title: r(h.title) })),
+    screenshots,
+  };
+  if (context.clipboardHistory) {
+    out.clipboardHistory = context.clipboardHistory.map(e => ({
+      ...e,
+      text: r(e.text),
+      ...(e.html ? { html: r(e.html) } : {}),
+    }));
+  }
+  if (context.shellHistory) {
+    out.shellHistory = {
+      commands: context.shellHistory.commands.map(cmd => ({ ...cmd, command: r(cmd.command) })),
+      cwds:     keep(context.shellHistory.cwds, 'other', dir => isUrlBlocked(dir, c)).map(r),
+    };
+  }
+  if (context.workspaces) {
+    out.workspaces = keep(context.workspaces, 'other', ws => isProcessBlocked(ws.app, c) || isUrlBlocked(ws.path, c))
+      .map(ws => ({ ...ws, path: r(ws.path) }));
+  }
+  if (context.gitRepos) {
+    out.gitRepos = keep(context.gitRepos, 'other', repo => isUrlBlocked(repo.path, c)).map(repo => ({
+      ...repo,
+      path:    r(repo.path),
+      name:    r(repo.name),
+      branch:  repo.branch === null ? null : r(repo.branch),
+      ...(repo.upstream ? { upstream: r(repo.upstream) } : {}),
+      changes: repo.changes.map(ch => ({ ...ch, path: r(ch.path) })),
+      commits: repo.commits.map(cm => ({ ...cm, subject: r(cm.subject) })),
+      stashes: repo.stashes.map(r),
+    }));
+  }
+  if (context.extras) {
+    out.extras = context.extras.map((sec): ExtraSection => {
+      const title = r(sec.title);
+      if (sec.type === 'text') return { ...sec, title, text: r(sec.text) };
+      if (sec.type === 'list') return { ...sec, title, items: keep(sec.items, 'other', item => isUrlBlocked(item.trim(), c)).map(r) };
+      return {
+        ...sec,
+        title,
+        fields: keep(sec.fields, 'other', f => isUrlBlocked(f.value.trim(), c))
+          .map(f => ({ label: r(f.label), value: r(f.value) })),
+      };
+    });
+  }
+  return { context: out, report };
+}
+
+/** Runs the rules against a sample for the settings tester. */
+export function testPrivacyRules(
+  rules: Partial<PrivacyRules>,
+  sample: { text?: string; url?: string; process?: string },
+): PrivacyTestResult {
+  const c = compilePrivacyRules(rules);
+  const url  = String(sample.url ?? '').trim();
+  const proc = String(sample.process ?? '').trim();
+  return {
+    errors:         c.errors,
+    urlBlocked:     url ? isUrlBlocked(url, c) : null,
+    processBlocked: proc ? isProcessBlocked(proc, c) : null,
+    redacted:       redactWith(maskBlockedUrls(String(sample.text ?? ''), c), c.redact, c.emails),
+  };
+}
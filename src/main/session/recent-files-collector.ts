@@ -2,7 +2,8 @@ import * as fs from 'fs';
 import * as path from 'path';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
-import { isMac, getRecentFilesDir } from '../platform';
+import { fileURLToPath } from 'url';
+import { isMac, isLinux, getRecentFilesDir, getRecentlyUsedXbel } from '../platform';
 
 const execFileAsync = promisify(execFile);
 
@@ -71,9 +72,47 @@ async function collectRecentFilesMac(): Promise<string[]> {
   }
 }
 
+function xbelAttr(attrs: string, name: string): string {
+  return new RegExp(`\\b${name}="([^"]*)"`).exec(attrs)?.[1] ?? '';
+}
+
+/**
+ * Reads the freedesktop.org recently-used.xbel list (GTK / KDE apps write
+ * it) and returns the most recently used local files that still exist.
+ */
+async function collectRecentFilesLinux(): Promise<string[]> {
+  try {
+    const xml = await fs.promises.readFile(getRecentlyUsedXbel(), 'utf8');
+    const entries: Array<{ file: string; at: number }> = [];
+    for (const m of xml.matchAll(/<bookmark\b([^>]*)>/g)) {
+      const href = xbelAttr(m[1], 'href');
+      if (!href.startsWith('file://')) continue;
+      const at = Math.max(Date.parse(xbelAttr(m[1], 'modified')) || 0, Date.parse(xbelAttr(m[1], 'visited')) || 0);
+      try {
+        entries.push({ file: fileURLToPath(href.replace(/&amp;/g, '&')), at });
+      } catch { /* not a local path */ }
+    }
+
+    const home = process.env.HOME || '';
+    return entries
+      .sort((a, b) => b.at - a.at)
+      .map(e => e.file)
+      .filter((f, i, a) => a.indexOf(f) === i)
+      .filter(f => f.startsWith(home) && fs.existsSync(f))
+      .slice(0, 10);
+  } catch (e) {
+    if ((e as NodeJS.ErrnoException).code !== 'ENOENT') {
+      console.error('[TK] recent-files-collector Linux error:', e);
+    }
+    return [];
+  }
+}
+
 /** Dispatches to the platform-specific recent-files collector. */
 export async function collectRecentFiles(): Promise<string[]> {
-  return isMac ? collectRecentFilesMac() : collectRecentFilesWin();
+  if (isMac)   return collectRecentFilesMac();
+  if (isLinux) return collectRecentFilesLinux();
+  return collectRecentFilesWin();
 }
 
 /** Fallback: returns the full paths of .lnk files in the Recent folder */
@@ -0,0 +1,62 @@
+/**
+ * screenshot-collector.ts
+ *
+ * Optional screenshots at capture time through Electron's desktopCapturer:
+ * every display, or only the focused window.  desktopCapturer lists windows
+ * front to back, so the focused window is the first one that isn't
+ * ThreadKeeper's own.  Images are downscaled to fit MAX_SIZE, stored as
+ * JPEG by screenshot-store.ts and referenced from the session.
+ *
+ * A focused private browser window (incognito / InPrivate / private
+ * browsing, by its title) is never taken.  Display images can't be checked
+ * that way, so applyPrivacyRules() deletes them when the collectors skipped
+ * a private window or tab during the same capture.
+ *
+ * macOS only returns real images once Screen Recording permission is
+ * granted in System Settings; without it the capture yields nothing.
+ */
+
+import { desktopCapturer, BrowserWindow } from 'electron';
+import type { ScreenshotMode } from '../config-store';
+import { writeScreenshots } from './screenshot-store';
+import { hasPrivateWindowTitle } from './browser-collector';
+import type { SessionScreenshot, ScreenshotImage } from './screenshot-store';
+
+const MAX_SIZE      = { width: 1280, height: 1280 }; // aspect ratio is kept inside this box
+const THUMB_WIDTH   = 320;
+const JPEG_QUALITY  = 70;
+const THUMB_QUALITY = 60;
+const MAX_DISPLAYS  = 4;
+
+/** Takes and stores the screenshots for `mode`.  Never throws. */
+export async function captureScreenshots(mode: ScreenshotMode): Promise<SessionScreenshot[]> {
+  if (mode !== 'displays' && mode !== 'window') return [];
+  try {
+    const sources = await desktopCapturer.getSources({
+      types:            [mode === 'window' ? 'window' : 'screen'],
+      thumbnailSize:    MAX_SIZE,
+      fetchWindowIcons: false,
+    });
+    const own = new Set(BrowserWindow.getAllWindows().map(w => w.getMediaSourceId()));
+    const usable = sources.filter(s => !own.has(s.id) && !s.thumbnail.isEmpty());
+    // Not the next window down — that isn't what the user was looking at
+    const picked = mode === 'window'
+      ? usable.slice(0, 1).filter(s => !hasPrivateWindowTitle(s.name))
+      : usable.slice(0, MAX_DISPLAYS);
+
+    const images: ScreenshotImage[] = picked.map(s => {
+      const { width, height } = s.thumbnail.getSize();
+      return {
+        jpeg:  s.thumbnail.toJPEG(JPEG_QUALITY),
+        thumb: s.thumbnail.resize({ width: THUMB_WIDTH, quality: 'good' }).toJPEG(THUMB_QUALITY),
+        width,
+        height,
+        label: s.name,
+      };
+    });
+    return writeScreenshots(images);
+  } catch (err) {
+    console.warn('[TK] Screenshot capture failed:', (err as Error).message);
+    return [];
+  }
+}
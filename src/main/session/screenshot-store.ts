@@ -0,0 +1,169 @@
+/**
+ * screenshot-store.ts
+ *
+ * Image files for session screenshots, kept in <appData>/screenshots/ next
+ * to sessions.db:
+ *
+ *   screenshots/<captureId>/<n>.jpg        downscaled capture of one display / window
+ *   screenshots/<captureId>/<n>-thumb.jpg  small version for session cards
+ *
+ * Images copied to the clipboard (clipboard-collector.ts) are stored the
+ * same way, with label 'clipboard'.
+ *
+ * Files are sealed like the database (data-encryption.ts).  The session
+ * record holds a SessionScreenshot per image with the SHA-256 of both files'
+ * plain contents; the record is HMAC-signed, so a replaced or edited image
+ * fails readScreenshot() the same way an edited row fails its HMAC check.
+ *
+ * Images are removed with their session (deleteSession / deleteArchivedSession);
+ * pruneScreenshots() sweeps folders no session refers to any more — skipped
+ * captures, discarded quarantine entries, sessions deleted by a sync.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getAppDataDir } from '../platform';
+import { sealForDisk, openFromDisk } from './data-encryption';
+import { writeFileAtomic } from '../atomic-file';
+
+export interface SessionScreenshot {
+  file:        string; // "<captureId>/<n>.jpg", relative to the screenshots folder
+  thumb:       string; // "<captureId>/<n>-thumb.jpg"
+  sha256:      string; // of the plain JPEG bytes
+  thumbSha256: string;
+  width:       number;
+  height:      number;
+  label:       string; // display or window name
+}
+
+export interface ScreenshotImage {
+  jpeg:   Buffer;
+  thumb:  Buffer;
+  width:  number;
+  height: number;
+  label:  string;
+}
+
+const SCREENSHOT_DIR = path.join(getAppDataDir(), 'screenshots');
+// Folders younger than this are left alone by the sweep: the capture panel
+// may still be showing them
+const ORPHAN_GRACE_MS = 24 * 60 * 60_000;
+const FILE_RE = /^[0-9a-f-]{36}\/\d+(?:-thumb)?\.jpg$/;
+
+function sha256(buf: Buffer): string {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+/** Absolute path of a stored file; null for anything that isn't one of ours. */
+function resolveFile(rel: unknown): string | null {
+  return typeof rel === 'string' && FILE_RE.test(rel) ? path.join(SCREENSHOT_DIR, ...rel.split('/')) : null;
+}
+
+function captureDirsOf(shots: SessionScreenshot[] | undefined): string[] {
+  return Array.from(new Set((shots ?? []).map(s => String(s.file).split('/')[0]).filter(d => /^[0-9a-f-]{36}$/.test(d))));
+}
+
+/** Every image file a session refers to: screenshots and clipboard images. */
+export function imagesOf(
+  s: { screenshots?: SessionScreenshot[]; clipboardHistory?: Array<{ image?: SessionScreenshot }> } | null | undefined,
+): SessionScreenshot[] {
+  if (!s) return [];
+  return [
+    ...(s.screenshots ?? []),
+    ...(s.clipboardHistory ?? []).map(e => e.image).filter((i): i is SessionScreenshot => !!i),
+  ];
+}
+
+/** Writes the images of one capture into a new folder and returns their metadata. */
+export function writeScreenshots(images: ScreenshotImage[]): SessionScreenshot[] {
+  if (images.length === 0) return [];
+  const captureId = uuidv4();
+  const dir = path.join(SCREENSHOT_DIR, captureId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  return images.map((img, i) => {
+    writeFileAtomic(path.join(dir, `${i}.jpg`), sealForDisk(img.jpeg));
+    writeFileAtomic(path.join(dir, `${i}-thumb.jpg`), sealForDisk(img.thumb));
+    return {
+      file:        `${captureId}/${i}.jpg`,
+      thumb:       `${captureId}/${i}-thumb.jpg`,
+      sha256:      sha256(img.jpeg),
+      thumbSha256: sha256(img.thumb),
+      width:       img.width,
+      height:      img.height,
+      label:       img.label,
+    };
+  });
+}
+
+/**
+ * The JPEG bytes of a screenshot (or its thumbnail); null if the file is
+ * missing — e.g. a session synced from another machine — or doesn't match
+ * the hash in the session record.
+ */
+export function readScreenshot(shot: SessionScreenshot, thumb = false): Buffer | null {
+  const file = resolveFile(thumb ? shot.thumb : shot.file);
+  if (!file) return null;
+  let plain: Buffer;
+  try {
+    plain = openFromDisk(fs.readFileSync(file));
+  } catch {
+    return null;
+  }
+  if (sha256(plain) !== (thumb ? shot.thumbSha256 : shot.sha256)) {
+    console.warn(`[TK] Screenshot ${path.basename(file)}: hash mismatch — possible tampering`);
+    return null;
+  }
+  return plain;
+}
+
+/** Removes the folders holding these screenshots. */
+export function deleteScreenshots(shots: SessionScreenshot[] | undefined): void {
+  for (const dir of captureDirsOf(shots)) {
+    try { fs.rmSync(path.join(SCREENSHOT_DIR, dir), { recursive: true, force: true }); } catch { /* ignore */ }
+  }
+}
+
+/**
+ * Removes capture folders that none of `referenced` (every session still
+ * kept anywhere) points at.  Returns the number of folders removed.
+ */
+export function pruneScreenshots(referenced: Array<SessionScreenshot[] | undefined>): number {
+  let dirs: string[];
+  try { dirs = fs.readdirSync(SCREENSHOT_DIR); } catch { return 0; }
+  const keep = new Set(referenced.flatMap(captureDirsOf));
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  let removed = 0;
+  for (const dir of dirs) {
+    if (keep.has(dir)) continue;
+    const full = path.join(SCREENSHOT_DIR, dir);
+    try {
+      if (fs.statSync(full).mtimeMs > cutoff) continue;
+      fs.rmSync(full, { recursive: true, force: true });
+      removed++;
+    } catch { /* ignore */ }
+  }
+  if (removed > 0) console.log(`[TK] Removed ${removed} unreferenced screenshot folders`);
+  return removed;
+}
+
+/** Re-seals every image after the encryption setting changed. */
+export function rewriteScreenshots(): void {
+  let dirs: string[];
+  try { dirs = fs.readdirSync(SCREENSHOT_DIR); } catch { return; }
+  for (const dir of dirs) {
+    let files: string[];
+    try { files = fs.readdirSync(path.join(SCREENSHOT_DIR, dir)); } catch { continue; }
+    for (const f of files) {
+      const file = resolveFile(`${dir}/${f}`);
+      if (!file) continue;
+      try {
+        writeFileAtomic(file, sealForDisk(openFromDisk(fs.readFileSync(file))));
+      } catch (err) {
+        console.warn(`[TK] Screenshot ${dir}/${f} could not be re-sealed:`, (err as Error).message);
+      }
+    }
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * session-archive.ts
+ *
+ * Gzip-compressed archive for sessions removed by the retention policy.
+ * Instead of being deleted, old sessions are moved here and can be browsed
+ * and restored from the Archive view.
+ *
+ * File: <appData>/archive.json.gz
+ *   { version: 1, entries: ArchiveEntry[] }
+ *
+ * Each entry keeps the exact session JSON and HMAC it had in the database,
+ * so integrity is re-checked by session-store.ts when an entry is restored.
+ * When session encryption is on, the gzip stream is encrypted like the
+ * database (data-encryption.ts).
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import { getAppDataDir } from '../platform';
+import { sealForDisk, openFromDisk } from './data-encryption';
+import { writeFileAtomic } from '../atomic-file';
+
+const ARCHIVE_FILE = path.join(getAppDataDir(), 'archive.json.gz');
+const ARCHIVE_VERSION = 1;
+
+export interface ArchiveEntry {
+  id:         string;
+  capturedAt: string;
+  archivedAt: string;
+  data:       string; // StoredSession JSON as stored in the database
+  hmac:       string; // HMAC of `data`
+}
+
+interface ArchiveFile {
+  version: number;
+  entries: ArchiveEntry[];
+}
+
+/**
+ * Reads all entries.  Throws if the file exists but can't be read (locked
+ * key, corruption) — writers must not replace an archive they couldn't read.
+ */
+function loadEntries(): ArchiveEntry[] {
+  if (!fs.existsSync(ARCHIVE_FILE)) return [];
+  const json = zlib.gunzipSync(openFromDisk(fs.readFileSync(ARCHIVE_FILE))).toString('utf-8');
+  const parsed = JSON.parse(json) as ArchiveFile;
+  return Array.isArray(parsed.entries) ? parsed.entries : [];
+}
+
+export function readArchive(): ArchiveEntry[] {
+  try {
+    return loadEntries();
+  } catch (err) {
+    console.warn('[TK] Failed to read session archive:', (err as Error).message);
+    return [];
+  }
+}
+
+function writeArchive(entries: ArchiveEntry[]): void {
+  const file: ArchiveFile = { version: ARCHIVE_VERSION, entries };
+  writeFileAtomic(ARCHIVE_FILE, sealForDisk(zlib.gzipSync(JSON.stringify(file))));
+}
+
+/** Re-writes the archive so it matches the current encryption setting. */
+export function rewriteArchive(): void {
+  if (fs.existsSync(ARCHIVE_FILE)) writeArchive(loadEntries());
+}
+
+/** Appends entries (replacing any with the same id), newest capture first. */
+export function appendToArchive(added: ArchiveEntry[]): void {
+  if (added.length === 0) return;
+  const ids = new Set(added.map(e => e.id));
+  const entries = loadEntries().filter(e => !ids.has(e.id)).concat(added);
+  entries.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+  writeArchive(entries);
+}
+
+/** Removes entries from the archive; returns the removed entries. */
+export function removeFromArchive(ids: string[]): ArchiveEntry[] {
+  const remove = new Set(ids);
+  const entries = loadEntries();
+  const removed = entries.filter(e => remove.has(e.id));
+  if (removed.length > 0) writeArchive(entries.filter(e => !remove.has(e.id)));
+  return removed;
+}
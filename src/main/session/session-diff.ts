@@ -0,0 +1,185 @@
+/**
+ * session-diff.ts
+ *
+ * Compares two snapshots of the desktop (saved sessions or a live capture):
+ *   tabs    — open tabs keyed by normalized URL
+ *   apps    — windows grouped by process name
+ *   files   — recent files keyed by path
+ *   domains — browser history grouped by hostname (visit counts)
+ *
+ * Each section lists what was added in `after`, what was removed since
+ * `before`, and how many items both share.  Pure functions — the caller
+ * decides which snapshot is older.
+ *
+ * isSameContext() answers the narrower question auto-capture asks: would
+ * saving `after` just repeat `before`?
+ */
+
+import type { SessionData } from './collector';
+import type { BrowserTab } from './browser-collector';
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export type DiffSnapshot = Pick<SessionData, 'windows' | 'recentFiles' | 'browserTabs' | 'browserHistory'> & {
+  /** @deprecated legacy sessions without browserTabs */
+  browserUrls?: string[];
+};
+
+export interface DiffSection<T> {
+  added:     T[];
+  removed:   T[];
+  unchanged: number;
+}
+
+export interface AppUsage {
+  name:   string;
+  titles: string[];
+}
+
+export interface DomainVisits {
+  domain: string;
+  visits: number;
+}
+
+export interface SessionDiff {
+  tabs:    DiffSection<BrowserTab>;
+  apps:    DiffSection<AppUsage>;
+  files:   DiffSection<string>;
+  domains: DiffSection<DomainVisits>;
+}
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+
+/** Query parameters that only track where a click came from */
+const TRACKING_PARAM = /^(utm_|fbclid$|gclid$|mc_eid$|ref_src$)/i;
+
+/**
+ * Normalizes a URL so the same page opened twice compares equal:
+ * lowercased host without "www.", no fragment, no tracking parameters,
+ * sorted query and no trailing slash.  Non-URLs are compared as-is.
+ */
+export function normalizeUrl(url: string): string {
+  try {
+    const u = new URL(url);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return url;
+    const params = [...u.searchParams.entries()]
+      .filter(([k]) => !TRACKING_PARAM.test(k))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+    const host  = u.host.toLowerCase().replace(/^www\./, '');
+    const pathname = u.pathname.length > 1 ? u.pathname.replace(/\/+$/, '') : '';
+    return host + pathname + query;
+  } catch {
+    return url;
+  }
+}
+
+function hostnameOf(url: string): string {
+  try { return new URL(url).hostname.replace(/^www\./, '').toLowerCase(); } catch { return ''; }
+}
+
+function fileKey(p: string): string {
+  // Windows and macOS file systems are case-insensitive by default
+  return p.replace(/\\/g, '/').toLowerCase();
+}
+
+// ── Diff ──────────────────────────────────────────────────────────────────────
+
+function diffMaps<T>(before: Map<string, T>, after: Map<string, T>): DiffSection<T> {
+  const added: T[] = [];
+  const removed: T[] = [];
+  let unchanged = 0;
+  for (const [key, item] of after) {
+    if (before.has(key)) unchanged++;
+    else added.push(item);
+  }
+  for (const [key, item] of before) {
+    if (!after.has(key)) removed.push(item);
+  }
+  return { added, removed, unchanged };
+}
+
+function tabMap(s: DiffSnapshot): Map<string, BrowserTab> {
+  const tabs: BrowserTab[] = s.browserTabs?.length
+    ? s.browserTabs
+    : (s.browserUrls ?? []).map(url => ({ url, title: '', browser: '' }));
+  const map = new Map<string, BrowserTab>();
+  for (const tab of tabs) {
+    const key = normalizeUrl(tab.url);
+    if (!map.has(key)) map.set(key, tab);
+  }
+  return map;
+}
+
+function appMap(s: DiffSnapshot): Map<string, AppUsage> {
+  const map = new Map<string, AppUsage>();
+  for (const w of s.windows ?? []) {
+    const key = w.name.toLowerCase();
+    let app = map.get(key);
+    if (!app) {
+      app = { name: w.name, titles: [] };
+      map.set(key, app);
+    }
+    if (w.title && !app.titles.includes(w.title)) app.titles.push(w.title);
+  }
+  return map;
+}
+
+function fileMap(s: DiffSnapshot): Map<string, string> {
+  const map = new Map<string, string>();
+  for (const f of s.recentFiles ?? []) {
+    const key = fileKey(f);
+    if (!map.has(key)) map.set(key, f);
+  }
+  return map;
+}
+
+function domainMap(s: DiffSnapshot): Map<string, DomainVisits> {
+  const map = new Map<string, DomainVisits>();
+  for (const h of s.browserHistory ?? []) {
+    const domain = hostnameOf(h.url);
+    if (!domain) continue;
+    const entry = map.get(domain);
+    if (entry) entry.visits++;
+    else map.set(domain, { domain, visits: 1 });
+  }
+  return map;
+}
+
+/** Diffs `before` → `after`: "added" means present in `after` only. */
+export function diffSessions(before: DiffSnapshot, after: DiffSnapshot): SessionDiff {
+  const domains = diffMaps(domainMap(before), domainMap(after));
+  domains.added.sort((a, b) => b.visits - a.visits);
+  domains.removed.sort((a, b) => b.visits - a.visits);
+  return {
+    tabs:  diffMaps(tabMap(before), tabMap(after)),
+    apps:  diffMaps(appMap(before), appMap(after)),
+    files: diffMaps(fileMap(before), fileMap(after)),
+    domains,
+  };
+}
+
+function sameKeys(a: Map<string, unknown>, b: Map<string, unknown>): boolean {
+  return a.size === b.size && Array.from(a.keys()).every(k => b.has(k));
+}
+
+/**
+ * True when nothing the user works with changed: the same windows (process
+ * and title), tabs, recent files, clipboard, editor workspaces, git state,
+ * the last terminal command and plugin sections.  History is ignored — its
+ * time window slides even while the desktop sits untouched.
+ */
+export function isSameContext(
+  before: DiffSnapshot & Pick<SessionData, 'clipboard' | 'workspaces' | 'gitRepos' | 'shellHistory' | 'extras'>,
+  after:  DiffSnapshot & Pick<SessionData, 'clipboard' | 'workspaces' | 'gitRepos' | 'shellHistory' | 'extras'>,
+): boolean {
+  const windowKeys = (s: DiffSnapshot) => new Map((s.windows ?? []).map(w => [`${w.name.toLowerCase()}\t${w.title}`, true]));
+  return sameKeys(windowKeys(before), windowKeys(after))
+    && sameKeys(tabMap(before), tabMap(after))
+    && sameKeys(fileMap(before), fileMap(after))
+    && (before.clipboard ?? '') === (after.clipboard ?? '')
+    && JSON.stringify(before.workspaces ?? []) === JSON.stringify(after.workspaces ?? [])
+    && JSON.stringify(before.gitRepos ?? []) === JSON.stringify(after.gitRepos ?? [])
+    && (before.shellHistory?.commands[0]?.command ?? '') === (after.shellHistory?.commands[0]?.command ?? '')
+    && JSON.stringify(before.extras ?? []) === JSON.stringify(after.extras ?? []);
+}
@@ -0,0 +1,268 @@
+/**
+ * session-export.ts
+ *
+ * Renders saved sessions for sharing outside the app:
+ *   markdown — summary, note, tab links, files and history grouped by domain
+ *              (same grouping as groupHistory() in the renderer)
+ *   html     — a single self-contained page (inline CSS, no external assets)
+ *   json     — a versioned bundle that the importer can read back
+ *
+ * Pure string builders — the caller picks the sessions and writes the file.
+ */
+
+import type { StoredSession } from './session-store';
+import type { HistoryEntry } from './history-collector';
+import { t } from '../i18n';
+
+export type ExportFormat = 'markdown' | 'html' | 'json';
+
+export const BUNDLE_FORMAT  = 'threadkeeper-sessions';
+export const BUNDLE_VERSION = 1;
+
+export interface SessionBundle {
+  format:     typeof BUNDLE_FORMAT;
+  version:    number;
+  exportedAt: string;
+  appVersion: string;
+  sessions:   StoredSession[];
+}
+
+export interface ExportOptions {
+  language:     string;
+  translations: Record<string, unknown>;
+  appVersion:   string;
+}
+
+export const EXPORT_EXTENSIONS: Record<ExportFormat, string> = {
+  markdown: 'md',
+  html:     'html',
+  json:     'json',
+};
+
+// ── History grouping (mirrors groupHistory() in app.js) ─────────────────────
+
+interface HistoryGroup {
+  domain:      string;
+  searches:    Array<{ query: string; entry: HistoryEntry }>;
+  pages:       HistoryEntry[];
+  lastVisitMs: number;
+}
+
+function hostnameOf(url: string): string {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return ''; }
+}
+
+function extractSearchQuery(url: string): string | null {
+  try {
+    const u = new URL(url);
+    const h = u.hostname.replace(/^www\./, '');
+    if (u.pathname === '/search' && (h === 'google.com' || /^google\./.test(h))) return u.searchParams.get('q');
+    if (h.includes('bing.com') && u.pathname === '/search')                      return u.searchParams.get('q');
+    if (h === 'youtube.com' && u.pathname === '/results')                        return u.searchParams.get('search_query');
+    if (h === 'duckduckgo.com')                                                  return u.searchParams.get('q');
+  } catch { /* not a URL */ }
+  return null;
+}
+
+function groupHistory(entries: HistoryEntry[]): HistoryGroup[] {
+  const groups = new Map<string, HistoryGroup>();
+  for (const entry of entries) {
+    const domain = hostnameOf(entry.url);
+    if (!domain) continue;
+    let g = groups.get(domain);
+    if (!g) {
+      g = { domain, searches: [], pages: [], lastVisitMs: 0 };
+      groups.set(domain, g);
+    }
+    const visitMs = new Date(entry.visitedAt).getTime();
+    if (visitMs > g.lastVisitMs) g.lastVisitMs = visitMs;
+
+    const query = extractSearchQuery(entry.url);
+    if (query) g.searches.push({ query, entry });
+    else       g.pages.push(entry);
+  }
+  return Array.from(groups.values()).sort((a, b) => b.lastVisitMs - a.lastVisitMs);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Local "YYYY-MM-DD HH:mm" — exports are read by people, not parsed. */
+function formatLocal(iso: string): string {
+  const d   = new Date(iso);
+  const pad = (n: number): string => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function escMd(text: string): string {
+  return text.replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\s+/g, ' ').trim();
+}
+
+/** Parentheses and spaces would end a Markdown link target early. */
+function mdUrl(url: string): string {
+  return url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20');
+}
+
+function escHtml(text: string): string {
+  return String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+}
+
+/** Only http(s) links are made clickable in HTML exports. */
+function isWebUrl(url: string): boolean {
+  return /^https?:\/\//i.test(url);
+}
+
+function tabsOf(s: StoredSession): Array<{ url: string; title: string }> {
+  return s.browserTabs?.length
+    ? s.browserTabs
+    : (s.browserUrls ?? []).map(url => ({ url, title: url }));
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+
+function sessionToMarkdown(s: StoredSession, tr: Record<string, unknown>): string {
+  const out: string[] = [`## ${formatLocal(s.capturedAt)}`, ''];
+
+  if (s.aiSummary?.trim()) {
+    out.push(`### ${t(tr, 'export_summary')}`, '', s.aiSummary.trim(), '');
+  }
+  if (s.userNote?.trim()) {
+    out.push(`### ${t(tr, 'export_note')}`, '', ...s.userNote.trim().split('\n').map(l => `> ${l}`), '');
+  }
+
+  const tabs = tabsOf(s);
+  if (tabs.length > 0) {
+    out.push(`### ${t(tr, 'detail_browser_tabs')} (${tabs.length})`, '');
+    for (const tab of tabs) out.push(`- [${escMd(tab.title || tab.url)}](${mdUrl(tab.url)})`);
+    out.push('');
+  }
+
+  if (s.recentFiles?.length) {
+    out.push(`### ${t(tr, 'detail_recent_files')} (${s.recentFiles.length})`, '');
+    for (const f of s.recentFiles) out.push(`- \`${f.replace(/`/g, "'")}\``);
+    out.push('');
+  }
+
+  const groups = groupHistory(s.browserHistory ?? []);
+  if (groups.length > 0) {
+    out.push(`### ${t(tr, 'export_history', { n: s.browserHistory.length })}`, '');
+    for (const g of groups) {
+      out.push(`- **${escMd(g.domain)}** (${g.searches.length + g.pages.length})`);
+      for (const sq of g.searches) out.push(`  - ${t(tr, 'export_search', { q: escMd(sq.query) })}`);
+      for (const p of g.pages)     out.push(`  - [${escMd(p.title || p.url)}](${mdUrl(p.url)})`);
+    }
+    out.push('');
+  }
+
+  return out.join('\n');
+}
+
+export function exportMarkdown(sessions: StoredSession[], opts: ExportOptions): string {
+  const header = `# ${t(opts.translations, 'export_title', { n: sessions.length })}\n\n`;
+  return header + sessions.map(s => sessionToMarkdown(s, opts.translations)).join('\n---\n\n');
+}
+
+// ── HTML ─────────────────────────────────────────────────────────────────────
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, 'Segoe UI', 'Hiragino Sans', 'Yu Gothic UI', sans-serif;
+         max-width: 860px; margin: 32px auto; padding: 0 20px; color: #1a1a1a; line-height: 1.6; }
+  h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 32px; border-bottom: 1px solid #e2e2e2; }
+  h3 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.06em; color: #666; margin: 18px 0 6px; }
+  ul { padding-left: 20px; margin: 4px 0; } li { margin: 2px 0; word-break: break-all; }
+  blockquote { margin: 0; padding: 6px 12px; border-left: 3px solid #1A56E8; background: #f4f6fb; }
+  .summary { white-space: pre-wrap; } .domain { font-weight: 600; } code { font-size: 12px; }
+  a { color: #1A56E8; text-decoration: none; } a:hover { text-decoration: underline; }
+  footer { margin-top: 40px; font-size: 11px; color: #999; }
+`;
+
+function htmlLink(url: string, title: string): string {
+  const label = escHtml(title || url);
+  return isWebUrl(url) ? `<a href="${escHtml(url)}">${label}</a>` : label;
+}
+
+function sessionToHtml(s: StoredSession, tr: Record<string, unknown>): string {
+  const out: string[] = [`<section>`, `<h2>${escHtml(formatLocal(s.capturedAt))}</h2>`];
+
+  if (s.aiSummary?.trim()) {
+    out.push(`<h3>${escHtml(t(tr, 'export_summary'))}</h3>`, `<div class="summary">${escHtml(s.aiSummary.trim())}</div>`);
+  }
+  if (s.userNote?.trim()) {
+    out.push(`<h3>${escHtml(t(tr, 'export_note'))}</h3>`, `<blockquote class="summary">${escHtml(s.userNote.trim())}</blockquote>`);
+  }
+
+  const tabs = tabsOf(s);
+  if (tabs.length > 0) {
+    out.push(`<h3>${escHtml(t(tr, 'detail_browser_tabs'))} (${tabs.length})</h3>`, '<ul>');
+    for (const tab of tabs) out.push(`<li>${htmlLink(tab.url, tab.title)}</li>`);
+    out.push('</ul>');
+  }
+
+  if (s.recentFiles?.length) {
+    out.push(`<h3>${escHtml(t(tr, 'detail_recent_files'))} (${s.recentFiles.length})</h3>`, '<ul>');
+    for (const f of s.recentFiles) out.push(`<li><code>${escHtml(f)}</code></li>`);
+    out.push('</ul>');
+  }
+
+  const groups = groupHistory(s.browserHistory ?? []);
+  if (groups.length > 0) {
+    out.push(`<h3>${escHtml(t(tr, 'export_history', { n: s.browserHistory.length }))}</h3>`, '<ul>');
+    for (const g of groups) {
+      out.push(`<li><span class="domain">${escHtml(g.domain)}</span> (${g.searches.length + g.pages.length})<ul>`);
+      for (const sq of g.searches) out.push(`<li>${escHtml(t(tr, 'export_search', { q: sq.query }))}</li>`);
+      for (const p of g.pages)     out.push(`<li>${htmlLink(p.url, p.title)}</li>`);
+      out.push('</ul></li>');
+    }
+    out.push('</ul>');
+  }
+
+  out.push('</section>');
+  return out.join('\n');
+}
+
+export function exportHtml(sessions: StoredSession[], opts: ExportOptions): string {
+  const tr    = opts.translations;
+  const title = escHtml(t(tr, 'export_title', { n: sessions.length }));
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escHtml(opts.language)}">`,
+    '<head>',
+    '<meta charset="UTF-8">',
+    // Self-contained: nothing is loaded from outside the file
+    `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">`,
+    `<title>${title}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${title}</h1>`,
+    ...sessions.map(s => sessionToHtml(s, tr)),
+    `<footer>ThreadKeeper ${escHtml(opts.appVersion)} — ${escHtml(formatLocal(new Date().toISOString()))}</footer>`,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+// ── JSON bundle ──────────────────────────────────────────────────────────────
+
+export function exportJsonBundle(sessions: StoredSession[], opts: ExportOptions): string {
+  const bundle: SessionBundle = {
+    format:     BUNDLE_FORMAT,
+    version:    BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: opts.appVersion,
+    sessions,
+  };
+  return JSON.stringify(bundle, null, 2);
+}
+
+export function renderExport(format: ExportFormat, sessions: StoredSession[], opts: ExportOptions): string {
+  switch (format) {
+    case 'html': return exportHtml(sessions, opts);
+    case 'json': return exportJsonBundle(sessions, opts);
+    case 'markdown':
+    default:     return exportMarkdown(sessions, opts);
+  }
+}
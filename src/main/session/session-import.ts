@@ -0,0 +1,394 @@
+/**
+ * session-import.ts
+ *
+ * Parses files from other tools into StoredSession drafts:
+ *
+ *   threadkeeper — our own JSON bundle (session-export.ts), any version up to
+ *                  BUNDLE_VERSION.  Every session field is carried over after
+ *                  a shape check, except images: screenshots and clipboard
+ *                  images live in files next to the database, not in the
+ *                  bundle, so they are dropped.  A threadId only survives
+ *                  when that thread exists here (importSessions)
+ *   onetab       — OneTab text export: one "url | title" per line, tab groups
+ *                  separated by blank lines
+ *   session-json — JSON exports of browser session managers (Tab Session
+ *                  Manager, Session Buddy and similar): sessions holding windows
+ *                  holding tabs, where windows/tabs may be arrays or id-keyed maps
+ *
+ * Parsing is pure; de-duplication against saved sessions happens here too so
+ * the caller only has to hand the result to importSessions() in session-store.
+ */
+
+import * as crypto from 'crypto';
+import { normalizeTags } from './session-store';
+import type { StoredSession } from './session-store';
+import type { BrowserTab } from './browser-collector';
+import type { HistoryEntry } from './history-collector';
+import type { GitRepoInfo } from './git-collector';
+import type { EditorWorkspace } from './workspace-collector';
+import type { ShellHistory, ShellName } from './shell-history-collector';
+import type { ClipboardEntry } from './clipboard-collector';
+import type { ExtraSection } from './collector-plugins';
+import { toSection } from './collector-plugins';
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from './session-export';
+
+export type ImportSource = 'threadkeeper' | 'onetab' | 'session-json';
+
+/** A parsed session not yet saved; `id` is only kept for our own bundles. */
+export interface ImportDraft {
+  session:      Omit<StoredSession, 'id'> & { id?: string };
+  source:       ImportSource;
+  /** false when the source has no capture time (OneTab) — capturedAt is the import time */
+  hasTimestamp: boolean;
+  /** Group / session name from the source, if any */
+  name:         string;
+}
+
+export interface ParseResult {
+  source:    ImportSource | null;
+  drafts:    ImportDraft[];
+  malformed: number;
+}
+
+export interface ImportReport {
+  imported:  number;
+  skipped:   number;
+  malformed: number;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const IMPORTABLE_SCHEMES = new Set(['http:', 'https:', 'file:', 'ftp:']);
+
+function isImportableUrl(url: unknown): url is string {
+  return urlStatus(url) === 'ok';
+}
+
+/** 'unsupported' = valid URL we don't keep (chrome://, about:) — dropped without counting as malformed. */
+function urlStatus(url: unknown): 'ok' | 'unsupported' | 'invalid' {
+  if (typeof url !== 'string') return 'invalid';
+  try {
+    return IMPORTABLE_SCHEMES.has(new URL(url).protocol) ? 'ok' : 'unsupported';
+  } catch {
+    return 'invalid';
+  }
+}
+
+function str(v: unknown, fallback = ''): string {
+  return typeof v === 'string' ? v : fallback;
+}
+
+/** Accepts ms / s epoch numbers and date strings; null if unusable. */
+function toIso(v: unknown): string | null {
+  let ms: number;
+  if (typeof v === 'number') ms = v < 1e12 ? v * 1000 : v;
+  else if (typeof v === 'string' && v.trim()) ms = new Date(v).getTime();
+  else return null;
+  return Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString() : null;
+}
+
+/** Arrays stay arrays; id-keyed maps ({ "12": {...} }) become their values. */
+function listOf(v: unknown): unknown[] {
+  if (Array.isArray(v)) return v;
+  if (v && typeof v === 'object') return Object.values(v as Record<string, unknown>);
+  return [];
+}
+
+function objectsOf(v: unknown): Array<Record<string, unknown>> {
+  return listOf(v).filter((o): o is Record<string, unknown> => !!o && typeof o === 'object');
+}
+
+function strings(v: unknown): string[] {
+  return listOf(v).filter((s): s is string => typeof s === 'string');
+}
+
+function count(v: unknown): number {
+  return typeof v === 'number' && Number.isFinite(v) && v >= 0 ? Math.floor(v) : 0;
+}
+
+function emptySession(capturedAt: string): ImportDraft['session'] {
+  return {
+    capturedAt,
+    windows:        [],
+    clipboard:      '',
+    recentFiles:    [],
+    browserTabs:    [],
+    browserHistory: [],
+    aiSummary:      '',
+    userNote:       '',
+    approved:       true,
+  };
+}
+
+// ── ThreadKeeper bundle ──────────────────────────────────────────────────────
+
+const WORKSPACE_EDITORS = new Set<EditorWorkspace['editor']>(['vscode', 'jetbrains']);
+const WORKSPACE_KINDS   = new Set<EditorWorkspace['kind']>(['folder', 'workspace', 'file']);
+const SHELLS            = new Set<ShellName>(['bash', 'zsh', 'pwsh']);
+
+function bundleGitRepos(v: unknown): GitRepoInfo[] {
+  return objectsOf(v)
+    .filter(r => typeof r.path === 'string' && r.path)
+    .map(r => ({
+      path:         r.path as string,
+      name:         str(r.name),
+      branch:       typeof r.branch === 'string' ? r.branch : null,
+      ...(typeof r.upstream === 'string' ? { upstream: r.upstream } : {}),
+      ahead:        count(r.ahead),
+      behind:       count(r.behind),
+      changes:      objectsOf(r.changes)
+        .filter(c => typeof c.path === 'string')
+        .map(c => ({ status: str(c.status, 'M'), path: c.path as string })),
+      changedCount: count(r.changedCount),
+      commits:      objectsOf(r.commits)
+        .filter(c => typeof c.hash === 'string')
+        .map(c => ({ hash: c.hash as string, subject: str(c.subject) })),
+      stashes:      strings(r.stashes),
+    }));
+}
+
+function bundleWorkspaces(v: unknown): EditorWorkspace[] {
+  return objectsOf(v)
+    .filter(w => typeof w.path === 'string' && w.path
+      && WORKSPACE_EDITORS.has(w.editor as EditorWorkspace['editor'])
+      && WORKSPACE_KINDS.has(w.kind as EditorWorkspace['kind']))
+    .map(w => ({
+      editor: w.editor as EditorWorkspace['editor'],
+      app:    str(w.app),
+      kind:   w.kind as EditorWorkspace['kind'],
+      path:   w.path as string,
+    }));
+}
+
+function bundleShellHistory(v: unknown): ShellHistory | undefined {
+  if (!v || typeof v !== 'object') return undefined;
+  const h = v as Record<string, unknown>;
+  return {
+    commands: objectsOf(h.commands)
+      .filter(c => typeof c.command === 'string' && SHELLS.has(c.shell as ShellName))
+      .map(c => ({
+        shell:   c.shell as ShellName,
+        command: c.command as string,
+        ...(toIso(c.at) ? { at: toIso(c.at) as string } : {}),
+      })),
+    cwds: strings(h.cwds),
+  };
+}
+
+function bundleExtras(v: unknown): ExtraSection[] {
+  return listOf(v)
+    .map((sec, i) => toSection(sec, `section-${i + 1}`, ''))
+    .filter((sec): sec is ExtraSection => sec !== null);
+}
+
+/** Text and HTML entries; image entries point at files the bundle doesn't carry. */
+function bundleClipboardHistory(v: unknown): ClipboardEntry[] {
+  return objectsOf(v)
+    .filter(e => (e.kind === 'text' || e.kind === 'html') && typeof e.text === 'string' && toIso(e.copiedAt))
+    .map(e => ({
+      kind:     e.kind as 'text' | 'html',
+      text:     e.text as string,
+      ...(e.kind === 'html' && typeof e.html === 'string' ? { html: e.html } : {}),
+      copiedAt: toIso(e.copiedAt) as string,
+    }));
+}
+
+function parseBundle(json: Record<string, unknown>): ParseResult {
+  const result: ParseResult = { source: 'threadkeeper', drafts: [], malformed: 0 };
+  if (typeof json.version !== 'number' || json.version > BUNDLE_VERSION) {
+    console.warn(`[TK] Import: unsupported bundle version ${String(json.version)}`);
+    result.malformed = listOf(json.sessions).length || 1;
+    return result;
+  }
+
+  for (const raw of listOf(json.sessions)) {
+    const s = raw as Record<string, unknown>;
+    const capturedAt = s && toIso(s.capturedAt);
+    if (!capturedAt) { result.malformed++; continue; }
+
+    const session = emptySession(capturedAt);
+    session.id        = str(s.id) || undefined;
+    session.clipboard = str(s.clipboard);
+    session.aiSummary = str(s.aiSummary);
+    session.userNote  = str(s.userNote);
+    session.pinned    = s.pinned === true;
+    session.tags      = normalizeTags(s.tags);
+    session.windows = listOf(s.windows)
+      .filter((w): w is Record<string, unknown> => !!w && typeof w === 'object')
+      .map(w => ({ name: str(w.name), title: str(w.title) }));
+    session.recentFiles = listOf(s.recentFiles).filter((f): f is string => typeof f === 'string');
+    session.browserTabs = listOf(s.browserTabs ?? s.browserUrls)
+      .map(tb => (typeof tb === 'string' ? { url: tb } : tb) as Record<string, unknown>)
+      .filter(tb => tb && isImportableUrl(tb.url))
+      .map(tb => ({
+        url:     tb.url as string,
+        title:   str(tb.title, tb.url as string),
+        browser: str(tb.browser, 'browser'),
+        ...(typeof tb.profile === 'string' ? { profile: tb.profile } : {}),
+      }));
+    session.browserHistory = listOf(s.browserHistory)
+      .map(h => h as Record<string, unknown>)
+      .filter(h => h && isImportableUrl(h.url) && toIso(h.visitedAt))
+      .map((h): HistoryEntry => ({
+        url:       h.url as string,
+        title:     str(h.title, h.url as string),
+        visitedAt: toIso(h.visitedAt) as string,
+        browser:   str(h.browser, 'browser'),
+        ...(typeof h.profile === 'string' ? { profile: h.profile } : {}),
+      }));
+    if (s.gitRepos !== undefined)         session.gitRepos         = bundleGitRepos(s.gitRepos);
+    if (s.workspaces !== undefined)       session.workspaces       = bundleWorkspaces(s.workspaces);
+    if (s.extras !== undefined)           session.extras           = bundleExtras(s.extras);
+    const shellHistory = bundleShellHistory(s.shellHistory);
+    if (shellHistory)                     session.shellHistory     = shellHistory;
+    const clipboardHistory = bundleClipboardHistory(s.clipboardHistory);
+    if (clipboardHistory.length > 0)      session.clipboardHistory = clipboardHistory;
+    if (typeof s.threadId === 'string')   session.threadId         = s.threadId;
+
+    result.drafts.push({ session, source: 'threadkeeper', hasTimestamp: true, name: '' });
+  }
+  return result;
+}
+
+// ── OneTab text ──────────────────────────────────────────────────────────────
+
+function parseOneTab(text: string, now: string): ParseResult {
+  const result: ParseResult = { source: 'onetab', drafts: [], malformed: 0 };
+  let tabs: BrowserTab[] = [];
+
+  const flush = (): void => {
+    if (tabs.length === 0) return;
+    const session = emptySession(now);
+    session.browserTabs = tabs;
+    result.drafts.push({ session, source: 'onetab', hasTimestamp: false, name: '' });
+    tabs = [];
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) { flush(); continue; }
+    const sep   = line.indexOf(' | ');
+    const url   = (sep >= 0 ? line.slice(0, sep) : line).trim();
+    const title = sep >= 0 ? line.slice(sep + 3).trim() : '';
+    const status = urlStatus(url);
+    if (status === 'invalid') { result.malformed++; continue; }
+    if (status === 'ok') tabs.push({ url, title: title || url, browser: 'onetab' });
+  }
+  flush();
+  return result;
+}
+
+// ── Session-manager JSON ─────────────────────────────────────────────────────
+
+function tabsOfWindow(win: unknown): unknown[] {
+  if (!win || typeof win !== 'object') return [];
+  const w = win as Record<string, unknown>;
+  // { tabs: [...] } (Session Buddy, chrome.windows shape) or a map of tabs (Tab Session Manager)
+  return w.tabs !== undefined ? listOf(w.tabs) : listOf(w);
+}
+
+function looksLikeSession(v: unknown): v is Record<string, unknown> {
+  return !!v && typeof v === 'object' && ('windows' in (v as object) || 'tabs' in (v as object));
+}
+
+function parseSessionManagerJson(json: unknown, now: string): ParseResult {
+  const result: ParseResult = { source: 'session-json', drafts: [], malformed: 0 };
+
+  // Top level: array of sessions, { sessions: [...] }, or a single session
+  const top = (json ?? {}) as Record<string, unknown>;
+  const candidates: unknown[] = Array.isArray(json)
+    ? json
+    : 'windows' in top || 'tabs' in top ? [top] : listOf(top.sessions ?? top.collections);
+
+  for (const c of candidates) {
+    if (!looksLikeSession(c)) { result.malformed++; continue; }
+
+    const rawTabs = c.windows !== undefined
+      ? listOf(c.windows).flatMap(tabsOfWindow)
+      : listOf(c.tabs);
+    const tabs: BrowserTab[] = [];
+    for (const raw of rawTabs) {
+      const tb = raw as Record<string, unknown>;
+      const status = urlStatus(tb?.url);
+      if (status === 'invalid') { result.malformed++; continue; }
+      if (status === 'unsupported') continue;
+      tabs.push({ url: tb.url as string, title: str(tb.title, tb.url as string), browser: 'browser' });
+    }
+    if (rawTabs.length === 0) { result.malformed++; continue; }
+    if (tabs.length === 0) continue; // only internal pages (chrome://newtab etc.)
+
+    const capturedAt = toIso(c.date ?? c.created ?? c.generated ?? c.timestamp ?? c.lastEditedTime);
+    const session = emptySession(capturedAt ?? now);
+    session.browserTabs = tabs;
+    result.drafts.push({
+      session,
+      source:       'session-json',
+      hasTimestamp: !!capturedAt,
+      name:         str(c.name ?? c.title).trim(),
+    });
+  }
+  return result;
+}
+
+// ── Entry point ──────────────────────────────────────────────────────────────
+
+/** Detects the format from the content and parses it. */
+export function parseImportFile(content: string): ParseResult {
+  const now  = new Date().toISOString();
+  const text = content.replace(/^\uFEFF/, '');
+
+  let json: unknown;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // Not JSON — OneTab is the only text format we know
+    const result = parseOneTab(text, now);
+    return result.drafts.length > 0 ? result : { source: null, drafts: [], malformed: Math.max(result.malformed, 1) };
+  }
+
+  if (json && typeof json === 'object' && (json as Record<string, unknown>).format === BUNDLE_FORMAT) {
+    return parseBundle(json as Record<string, unknown>);
+  }
+  const result = parseSessionManagerJson(json, now);
+  return result.drafts.length > 0 || result.malformed > 0 ? result : { source: null, drafts: [], malformed: 1 };
+}
+
+// ── De-duplication ───────────────────────────────────────────────────────────
+
+/**
+ * Content key of a session: its tab URLs and files (order-insensitive), plus
+ * the capture time when the source has one.  Sources without timestamps
+ * (OneTab) are compared on content only, so re-importing the same export
+ * doesn't create copies.
+ */
+function fingerprint(s: Pick<StoredSession, 'browserTabs' | 'recentFiles' | 'capturedAt'>, withTime: boolean): string {
+  const urls  = Array.from(new Set((s.browserTabs ?? []).map(tb => tb.url))).sort();
+  const files = Array.from(new Set(s.recentFiles ?? [])).sort();
+  const time  = withTime ? new Date(s.capturedAt).toISOString().slice(0, 19) : '';
+  return crypto.createHash('sha256').update(JSON.stringify([urls, files, time])).digest('hex');
+}
+
+/**
+ * Drops drafts that match an existing session (same id, or same content) or
+ * an earlier draft in the same file.  Returns the drafts to save and the
+ * number skipped.
+ */
+export function dedupeDrafts(drafts: ImportDraft[], existing: StoredSession[]): { fresh: ImportDraft[]; skipped: number } {
+  const ids  = new Set(existing.map(s => s.id));
+  const seen = new Set<string>();
+  for (const s of existing) {
+    seen.add(fingerprint(s, true));
+    seen.add(fingerprint(s, false));
+  }
+
+  const fresh: ImportDraft[] = [];
+  let skipped = 0;
+  for (const d of drafts) {
+    const key = fingerprint(d.session, d.hasTimestamp);
+    if ((d.session.id && ids.has(d.session.id)) || seen.has(key)) { skipped++; continue; }
+    seen.add(key);
+    if (d.hasTimestamp) seen.add(fingerprint(d.session, false));
+    fresh.push(d);
+  }
+  return { fresh, skipped };
+}
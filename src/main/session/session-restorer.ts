@@ -1,5 +1,6 @@
 import { shell } from 'electron';
 import { loadSession } from './session-store';
+import { getAppDataDir } from '../platform';
 
 /**
  * Attempts to restore a saved session.
@@ -17,13 +18,7 @@ export async function restoreSession(id: string): Promise<{ success: boolean; se
   // Open the ThreadKeeper data folder as a "restore anchor"
   // In the future this would re-launch apps and open files
   try {
-    const appDir = require('path').join(
-      require('os').homedir(),
-      'AppData',
-      'Roaming',
-      'ThreadKeeper'
-    );
-    await shell.openPath(appDir);
+    await shell.openPath(getAppDataDir());
   } catch {
     // ignore
   }
@@ -0,0 +1,194 @@
+/**
+ * session-search.ts
+ *
+ * In-memory full-text index over saved sessions.
+ *
+ * Each session is flattened into a list of searchable fields
+ * (AI summary, note, tags, tab titles/URLs, history, window titles, file names).
+ * Queries are split on whitespace; every term must match somewhere in the
+ * session (AND semantics).  Matching is substring-based on normalized text so
+ * CJK queries work without a word tokenizer.
+ *
+ * Ranking = Σ (field weight × matched terms) + a small recency bonus.
+ */
+
+import type { StoredSession } from './session-store';
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export type SearchField =
+  | 'aiSummary'
+  | 'userNote'
+  | 'tags'
+  | 'browserTabs'
+  | 'browserHistory'
+  | 'windows'
+  | 'recentFiles';
+
+export interface SearchMatch {
+  field: SearchField;
+  text:  string; // original (un-normalized) text of the matching item
+}
+
+export interface SearchResult {
+  session: StoredSession;
+  score:   number;
+  matches: SearchMatch[];
+}
+
+interface IndexedField {
+  field: SearchField;
+  text:  string;
+  norm:  string;
+}
+
+interface IndexedSession {
+  session: StoredSession;
+  fields:  IndexedField[];
+}
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+const FIELD_WEIGHTS: Record<SearchField, number> = {
+  userNote:       5,
+  tags:           5,
+  aiSummary:      4,
+  browserTabs:    3,
+  recentFiles:    3,
+  windows:        2,
+  browserHistory: 1,
+};
+
+const MAX_MATCHES_PER_RESULT = 5;
+const RECENCY_WINDOW_DAYS    = 30;
+
+// ── Normalization ─────────────────────────────────────────────────────────────
+
+/** Lower-cases and folds full-width ASCII (Ａ→a) so mixed-width input matches. */
+export function normalizeText(text: string): string {
+  return text.normalize('NFKC').toLowerCase();
+}
+
+export function splitQuery(query: string): string[] {
+  return normalizeText(query)
+    .split(/\s+/)
+    .map(term => term.trim())
+    .filter(Boolean)
+    .filter((term, i, a) => a.indexOf(term) === i);
+}
+
+function hostnameOf(url: string): string {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return ''; }
+}
+
+function fileNameOf(filePath: string): string {
+  return (filePath.split(/[/\\]/).pop() || filePath).replace(/\.lnk$/i, '');
+}
+
+// ── Index ─────────────────────────────────────────────────────────────────────
+
+let indexCache: Map<string, IndexedSession> = new Map();
+
+function indexSession(s: StoredSession): IndexedSession {
+  const fields: IndexedField[] = [];
+  // `text` is what the UI shows; `extra` is searchable but not displayed (e.g. full URL)
+  const push = (field: SearchField, text: string | undefined, extra = ''): void => {
+    if (!text || !text.trim()) return;
+    fields.push({ field, text, norm: normalizeText(`${text} ${extra}`) });
+  };
+
+  push('aiSummary', s.aiSummary);
+  push('userNote',  s.userNote);
+  for (const tag of s.tags ?? []) push('tags', tag);
+  for (const tab of s.browserTabs ?? []) {
+    push('browserTabs', `${tab.title} — ${hostnameOf(tab.url)}`, tab.url);
+  }
+  for (const h of s.browserHistory ?? []) {
+    push('browserHistory', `${h.title} — ${hostnameOf(h.url)}`, h.url);
+  }
+  for (const w of s.windows ?? []) {
+    push('windows', `${w.title} (${w.name})`);
+  }
+  for (const f of s.recentFiles ?? []) {
+    push('recentFiles', f, fileNameOf(f));
+  }
+
+  return { session: s, fields };
+}
+
+/**
+ * Re-syncs the index with the given sessions.  Sessions already in the cache
+ * keep their entries so repeated searches don't re-normalize everything;
+ * the store calls invalidateSearchIndex() whenever a session changes.
+ */
+function syncIndex(sessions: StoredSession[]): IndexedSession[] {
+  const next = new Map<string, IndexedSession>();
+  const out: IndexedSession[] = [];
+  for (const s of sessions) {
+    const entry = indexCache.get(s.id) ?? indexSession(s);
+    next.set(s.id, entry);
+    out.push(entry);
+  }
+  indexCache = next;
+  return out;
+}
+
+/** Drops all cached entries (call after sessions are modified). */
+export function invalidateSearchIndex(): void {
+  indexCache.clear();
+}
+
+// ── Query ─────────────────────────────────────────────────────────────────────
+
+function scoreSession(entry: IndexedSession, terms: string[]): SearchResult | null {
+  let score = 0;
+  const matches: SearchMatch[] = [];
+  const matchedItems = new Set<IndexedField>();
+
+  for (const term of terms) {
+    let termHit = false;
+    for (const f of entry.fields) {
+      if (!f.norm.includes(term)) continue;
+      termHit = true;
+      score += FIELD_WEIGHTS[f.field];
+      matchedItems.add(f);
+    }
+    if (!termHit) return null; // AND semantics: every term must match
+  }
+
+  // Report the highest-weighted matching items first
+  const ordered = Array.from(matchedItems)
+    .sort((a, b) => FIELD_WEIGHTS[b.field] - FIELD_WEIGHTS[a.field]);
+  for (const f of ordered) {
+    if (matches.length >= MAX_MATCHES_PER_RESULT) break;
+    matches.push({ field: f.field, text: f.text });
+  }
+
+  // Recency bonus: up to +2 for sessions captured within the last 30 days
+  const ageDays = (Date.now() - new Date(entry.session.capturedAt).getTime()) / 86_400_000;
+  if (ageDays >= 0 && ageDays < RECENCY_WINDOW_DAYS) {
+    score += 2 * (1 - ageDays / RECENCY_WINDOW_DAYS);
+  }
+
+  return { session: entry.session, score, matches };
+}
+
+/**
+ * Searches the given sessions and returns matching ones, best match first.
+ * An empty query returns no results (the caller shows the full list instead).
+ */
+export function searchSessions(sessions: StoredSession[], query: string, limit = 100): SearchResult[] {
+  const terms = splitQuery(query);
+  if (terms.length === 0) return [];
+
+  const results: SearchResult[] = [];
+  for (const entry of syncIndex(sessions)) {
+    const r = scoreSession(entry, terms);
+    if (r) results.push(r);
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score
+      || new Date(b.session.capturedAt).getTime() - new Date(a.session.capturedAt).getTime())
+    .slice(0, limit);
+}
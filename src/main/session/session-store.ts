@@ -1,39 +1,210 @@
+/**
+ * session-store.ts
+ *
+ * Persists captured sessions in a single SQLite database (sql.js) that is
+ * written to <appData>/sessions.db after every change.
+ *
+ * Schema:
+ *   sessions         — one row per session; full StoredSession JSON in `data`,
+ *                      HMAC of `data` in `hmac`, plus indexed columns for the
+ *                      capture timestamp, the pinned flag and the thread.
+ *   threads          — named work threads; StoredThread JSON + HMAC like sessions
+ *   session_domains  — (session_id, domain) for tabs + history, indexed by domain
+ *   session_apps     — (session_id, app) for window process names, indexed by app
+ *   session_tags     — (session_id, tag) for user / AI tags, indexed by tag
+ *   meta             — key/value flags (e.g. one-time JSON migration)
+ *
+ * Sessions from the old `sessions/<id>.json` + `index.json` layout are
+ * imported once on first start; their HMAC is verified before import.  The
+ * JSON files are left on disk untouched as a backup.
+ *
+ * Files are written atomically (atomic-file.ts).  sessions.db.bak keeps the
+ * previous version of the database and is restored automatically on start
+ * if sessions.db turns out to be damaged.
+ *
+ * With session encryption enabled the database file (and the archive) are
+ * AES-256-GCM encrypted on disk — see data-encryption.ts.  Turning it on or
+ * off re-writes both files in place.
+ *
+ * Screenshots and clipboard images are files in <appData>/screenshots/
+ * (screenshot-store.ts); a session lists them with their hashes, so its HMAC
+ * covers the images too.
+ * They go with the session when it is deleted, and applyRetention() sweeps
+ * folders no session refers to.
+ *
+ * repairSessionStore() re-checks every row: sessions failing their HMAC (or
+ * unreadable) are moved to <appData>/quarantine/ and the index tables are
+ * rebuilt from the remaining data.  Quarantined sessions and leftover legacy
+ * JSON files can then be re-signed or discarded from the settings report.
+ *
+ * Retention (applyRetention) never deletes: unpinned sessions past the
+ * configured limit are moved to the compressed archive (session-archive.ts)
+ * and can be restored from there.
+ *
+ * A sync folder (session-sync.ts) shares the HMAC key between machines:
+ * rekeySessionStore() re-signs everything with the folder's key and
+ * applySyncChanges() writes what the merge decided in one transaction.
+ *
+ * initSessionStore() must be awaited once at startup (sql.js loads async);
+ * every other function is synchronous.
+ */
+
 import * as fs from 'fs';
 import * as path from 'path';
 import * as crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { BrowserTab } from './browser-collector';
 import { HistoryEntry } from './history-collector';
+import type { ExtraSection } from './collector-plugins';
+import type { GitRepoInfo } from './git-collector';
+import type { EditorWorkspace } from './workspace-collector';
+import type { ShellHistory } from './shell-history-collector';
+import type { ClipboardEntry } from './clipboard-collector';
+import { deleteScreenshots, pruneScreenshots, rewriteScreenshots, imagesOf } from './screenshot-store';
+import type { SessionScreenshot } from './screenshot-store';
 import { getAppDataDir } from '../platform';
+import { invalidateSearchIndex } from './session-search';
+import { getSqlJs, SqlJsDatabase, SqlJsStatic, SqlValue } from './sqljs-loader';
+import { readArchive, appendToArchive, removeFromArchive, rewriteArchive, ArchiveEntry } from './session-archive';
+import { setEncryptionEnabled, isEncryptionEnabled, isEncryptedBlob, sealForDisk, openFromDisk, getDataKey } from './data-encryption';
+import { writeFileAtomic, readWithRecovery, withFileLock, refreshBackup } from '../atomic-file';
+import type { RetentionMode } from '../config-store';
 
 const APP_DIR = getAppDataDir();
-const DATA_DIR = path.join(APP_DIR, 'sessions');
-const INDEX_FILE = path.join(APP_DIR, 'index.json');
+const DB_FILE = path.join(APP_DIR, 'sessions.db');
 const HMAC_KEY_FILE = path.join(APP_DIR, '.hmac-key');
+// Legacy JSON layout (read once by the migration)
+const LEGACY_DATA_DIR = path.join(APP_DIR, 'sessions');
+const LEGACY_INDEX_FILE = path.join(APP_DIR, 'index.json');
+// Rows that failed the integrity check, one sealed JSON file per session
+const QUARANTINE_DIR = path.join(APP_DIR, 'quarantine');
 
 export interface StoredSession {
   id: string;
   capturedAt: string;
   windows: Array<{ name: string; title: string }>;
   clipboard: string;
+  clipboardHistory?: ClipboardEntry[]; // text / HTML / images copied since the previous capture, newest first
   recentFiles: string[];
   browserTabs: BrowserTab[];       // open tabs (url + title + browser)
   browserHistory: HistoryEntry[];  // recent visited history (last 60 min)
+  workspaces?: EditorWorkspace[];  // editor folders / projects — reopened by restore
+  gitRepos?: GitRepoInfo[];        // state of the git repositories in use
+  shellHistory?: ShellHistory;     // recent terminal commands (redacted)
+  extras?: ExtraSection[];         // sections from collector plugins
+  screenshots?: SessionScreenshot[]; // display / window images (see screenshot-store.ts)
   /** @deprecated legacy field kept for reading old sessions */
   browserUrls?: string[];
   aiSummary: string;
   userNote: string;
+  /** False for automatic captures nobody has looked at yet ("unreviewed"). */
   approved: boolean;
+  /** What started an automatic capture; unset for manual captures. */
+  autoTrigger?: AutoCaptureTrigger;
+  /** Pinned sessions are never archived by the retention policy. */
+  pinned?: boolean;
+  /** Thread this session belongs to (see StoredThread); unset = unthreaded. */
+  threadId?: string;
+  /** Free-form tags (project names, technologies…), see normalizeTags(). */
+  tags?: string[];
+}
+
+export type AutoCaptureTrigger = 'interval' | 'idle' | 'lock' | 'suspend' | 'restore';
+
+/** A named, long-running line of work that sessions can be assigned to. */
+export interface StoredThread {
+  id: string;
+  name: string;
+  createdAt: string;
+  /** Rolling AI summary, refreshed as sessions are added to the thread. */
+  summary: string;
+  summaryUpdatedAt?: string;
+}
+
+/** A thread plus figures computed from its sessions, for listing. */
+export interface ThreadInfo extends StoredThread {
+  sessionCount:   number;
+  lastCapturedAt: string | null;
+}
+
+/** Fields the user may edit after a session has been saved (`approved` = mark reviewed). */
+export type SessionPatch = Partial<Pick<StoredSession, 'aiSummary' | 'userNote' | 'browserTabs' | 'tags' | 'approved'>>;
+
+export interface RetentionPolicy {
+  mode:        RetentionMode;
+  maxAgeDays:  number;
+  maxCount:    number;
+}
+
+export interface TagCount {
+  tag:   string;
+  count: number;
+}
+
+export interface ArchivedSession {
+  session:    StoredSession;
+  archivedAt: string;
+}
+
+export type IntegrityIssueKind = 'hmac-mismatch' | 'unreadable' | 'orphaned-file';
+
+/** A session the integrity check could not keep in the database as-is. */
+export interface IntegrityIssue {
+  id:         string;
+  kind:       IntegrityIssueKind;
+  capturedAt: string | null; // null when the data can't be parsed
+  aiSummary:  string;
+  detectedAt: string;
+}
+
+export interface IntegrityReport {
+  checkedAt:       string;
+  sessionsChecked: number;
+  /** Ids referenced by index rows (or threads) that had no session — dropped. */
+  missing:         string[];
+  /** Quarantined rows and orphaned legacy files awaiting re-sign / discard. */
+  issues:          IntegrityIssue[];
 }
 
-interface IndexEntry {
+interface LegacyIndexEntry {
   id: string;
   capturedAt: string;
   aiSummary: string;
 }
 
-function ensureDirs(): void {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+// Session ids are v4 UUIDs — validated before they reach SQL or the filesystem
+const SESSION_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isValidSessionId(id: string): boolean {
+  return typeof id === 'string' && SESSION_ID_RE.test(id);
+}
+
+// Thread ids are v4 UUIDs too
+const isValidThreadId = isValidSessionId;
+
+const MAX_THREAD_NAME = 80;
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS       = 20;
+
+/**
+ * Cleans a tag list: trims, collapses whitespace, drops a leading "#" and
+ * removes case-insensitive duplicates (the first spelling wins).
+ */
+export function normalizeTags(tags: unknown): string[] {
+  if (!Array.isArray(tags)) return [];
+  const out: string[] = [];
+  const seen = new Set<string>();
+  for (const raw of tags) {
+    if (typeof raw !== 'string') continue;
+    const tag = raw.replace(/\s+/g, ' ').trim().replace(/^#+\s*/, '').slice(0, MAX_TAG_LENGTH).trim();
+    const key = tag.normalize('NFKC').toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    out.push(tag);
+    if (out.length >= MAX_TAGS) break;
+  }
+  return out;
 }
 
 // ── MEDIUM-03: HMAC integrity helpers ────────────────────────────────────────
@@ -45,29 +216,316 @@ function getHmacKey(): string {
   } catch { /* generate new key */ }
   const key = crypto.randomBytes(32).toString('hex');
   try {
-    fs.mkdirSync(path.dirname(HMAC_KEY_FILE), { recursive: true });
-    fs.writeFileSync(HMAC_KEY_FILE, key, { encoding: 'utf-8', mode: 0o600 });
+    writeFileAtomic(HMAC_KEY_FILE, key, { mode: 0o600 });
   } catch (err) {
     console.warn('[TK] Failed to write HMAC key:', (err as Error).message);
   }
   return key;
 }
 
-function computeHmac(data: string): string {
-  return crypto.createHmac('sha256', getHmacKey()).update(data).digest('hex');
+function computeHmac(data: string, key = getHmacKey()): string {
+  return crypto.createHmac('sha256', key).update(data).digest('hex');
+}
+
+// ── Database ─────────────────────────────────────────────────────────────────
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id          TEXT PRIMARY KEY,
+    captured_at TEXT    NOT NULL,
+    captured_ms INTEGER NOT NULL,
+    ai_summary  TEXT    NOT NULL DEFAULT '',
+    pinned      INTEGER NOT NULL DEFAULT 0,
+    thread_id   TEXT,
+    data        TEXT    NOT NULL,
+    hmac        TEXT    NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_captured ON sessions (captured_ms);
+
+  CREATE TABLE IF NOT EXISTS threads (
+    id         TEXT PRIMARY KEY,
+    name       TEXT    NOT NULL,
+    created_ms INTEGER NOT NULL,
+    data       TEXT    NOT NULL,
+    hmac       TEXT    NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS session_domains (
+    session_id TEXT NOT NULL,
+    domain     TEXT NOT NULL,
+    PRIMARY KEY (session_id, domain)
+  );
+  CREATE INDEX IF NOT EXISTS idx_session_domains_domain ON session_domains (domain);
+
+  CREATE TABLE IF NOT EXISTS session_apps (
+    session_id TEXT NOT NULL,
+    app        TEXT NOT NULL,
+    PRIMARY KEY (session_id, app)
+  );
+  CREATE INDEX IF NOT EXISTS idx_session_apps_app ON session_apps (app);
+
+  CREATE TABLE IF NOT EXISTS session_tags (
+    session_id TEXT NOT NULL,
+    tag        TEXT NOT NULL,
+    PRIMARY KEY (session_id, tag)
+  );
+  CREATE INDEX IF NOT EXISTS idx_session_tags_tag ON session_tags (tag);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+let db: SqlJsDatabase | null = null;
+let sqlJs: SqlJsStatic | null = null; // kept for reloadFromDisk()
+let initError: string | null = null; // why the store couldn't open (shown in the UI)
+
+function getDb(): SqlJsDatabase {
+  if (!db) throw new Error('Session store is not initialized');
+  return db;
+}
+
+/**
+ * Writes the in-memory database to disk (encrypted if enabled) via a temp
+ * file + rename, keeping the previous version as sessions.db.bak.
+ */
+function persist(): void {
+  const data = sealForDisk(Buffer.from(getDb().export()));
+  withFileLock(DB_FILE, () => writeFileAtomic(DB_FILE, data, { backup: true }));
 }
 
-function readIndex(): IndexEntry[] {
+/**
+ * Replaces the in-memory database with the one on disk.  Used after a failed
+ * persist(), so memory doesn't keep a change the file never got.
+ */
+function reloadFromDisk(): void {
+  if (!sqlJs) return;
   try {
-    if (!fs.existsSync(INDEX_FILE)) return [];
-    return JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8')) as IndexEntry[];
-  } catch {
-    return [];
+    const onDisk = fs.existsSync(DB_FILE) ? openFromDisk(fs.readFileSync(DB_FILE)) : null;
+    const reopened = new sqlJs.Database(onDisk);
+    if (!onDisk) reopened.exec(SCHEMA);
+    db?.close();
+    db = reopened;
+  } catch (err) {
+    console.warn('[TK] Session database could not be reloaded after a failed write:', (err as Error).message);
+  }
+}
+
+/**
+ * Runs `fn` inside a transaction, rolling back on error, then persists.  A
+ * failed persist throws its own error, with the database reloaded from disk.
+ */
+function transaction<T>(fn: (d: SqlJsDatabase) => T): T {
+  const d = getDb();
+  d.run('BEGIN');
+  let result: T;
+  try {
+    result = fn(d);
+    d.run('COMMIT');
+  } catch (err) {
+    d.run('ROLLBACK');
+    throw err;
+  }
+  try {
+    persist();
+  } catch (err) {
+    reloadFromDisk();
+    throw err;
+  }
+  return result;
+}
+
+/** Returns all rows of a query as plain objects keyed by column name. */
+function queryRows(sql: string, params: SqlValue[] = []): Array<Record<string, SqlValue>> {
+  const res = getDb().exec(sql, params);
+  if (res.length === 0) return [];
+  const { columns, values } = res[0];
+  return values.map(row => {
+    const obj: Record<string, SqlValue> = {};
+    columns.forEach((c, i) => { obj[c] = row[i]; });
+    return obj;
+  });
+}
+
+/** Adds a column to a table created by an older schema version. */
+function ensureColumn(table: string, column: string, definition: string): void {
+  const cols = queryRows(`PRAGMA table_info(${table})`).map(r => String(r.name));
+  if (!cols.includes(column)) getDb().run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+function getMeta(key: string): string | null {
+  const rows = queryRows('SELECT value FROM meta WHERE key = ?', [key]);
+  return rows.length > 0 ? String(rows[0].value) : null;
+}
+
+function setMeta(d: SqlJsDatabase, key: string, value: string): void {
+  d.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, value]);
+}
+
+/**
+ * Loads sql.js, opens (or creates) sessions.db and runs the one-time JSON
+ * migration.  A database file that can't be opened is renamed aside and a
+ * fresh one is created, so the app still starts.
+ *
+ * An encrypted database whose key can't be unlocked is NOT renamed or
+ * replaced: the store stays closed and the error is kept for the UI, so the
+ * data is still there once the key is available again.
+ */
+export async function initSessionStore(opts: { encrypt?: boolean } = {}): Promise<void> {
+  if (db) return;
+  initError = null;
+  setEncryptionEnabled(opts.encrypt === true);
+
+  const SQL = await getSqlJs();
+  if (!SQL) {
+    initError = 'sql.js is unavailable — cannot open the session database';
+    throw new Error(initError);
+  }
+  sqlJs = SQL;
+
+  fs.mkdirSync(APP_DIR, { recursive: true });
+  let wasEncrypted = false;
+  const keyErrors = new Set<unknown>();
+  try {
+    // A damaged sessions.db is replaced by sessions.db.bak when that one opens
+    db = readWithRecovery(DB_FILE, raw => {
+      let plain: Buffer;
+      try {
+        plain = openFromDisk(raw);
+      } catch (err) {
+        keyErrors.add(err);
+        throw err;
+      }
+      const opened = new SQL.Database(plain);
+      try {
+        opened.exec('SELECT count(*) FROM sqlite_master');
+      } catch (err) {
+        opened.close();
+        throw err;
+      }
+      wasEncrypted = isEncryptedBlob(raw);
+      return opened;
+    });
+  } catch (err) {
+    if (keyErrors.has(err)) {
+      initError = (err as Error).message;
+      throw err;
+    }
+    const aside = `${DB_FILE}.corrupt-${Date.now()}`;
+    console.warn(`[TK] Session database unreadable (${(err as Error).message}) — moved to ${aside}`);
+    if (fs.existsSync(DB_FILE)) fs.renameSync(DB_FILE, aside);
+    db = null;
+  }
+  if (!db) db = new SQL.Database();
+
+  db.exec(SCHEMA);
+  ensureColumn('sessions', 'pinned', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn('sessions', 'thread_id', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_thread ON sessions (thread_id)');
+  migrateJsonSessions();
+
+  // Setting changed while the app wasn't running — convert the files in place
+  if (fs.existsSync(DB_FILE) && wasEncrypted !== isEncryptionEnabled()) {
+    applyEncryptionToFiles();
   }
 }
 
-function writeIndex(index: IndexEntry[]): void {
-  fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2), 'utf-8');
+/** Null when the store is open; otherwise the reason it couldn't be opened. */
+export function getSessionStoreError(): string | null {
+  return db ? null : (initError ?? 'Session store is not initialized');
+}
+
+// ── Encryption at rest ───────────────────────────────────────────────────────
+
+/**
+ * Re-writes the database and archive in the current encryption mode.  When
+ * encrypting, the plain-text JSON files kept from the SQLite migration are
+ * removed too — they hold the same data unencrypted.
+ */
+function applyEncryptionToFiles(): void {
+  persist();
+  refreshBackup(DB_FILE); // the backup must not keep the other mode's contents
+  rewriteArchive();
+  rewriteQuarantine();
+  rewriteScreenshots();
+  if (isEncryptionEnabled() && getMeta('json_migrated')) {
+    try { fs.rmSync(LEGACY_DATA_DIR, { recursive: true, force: true }); } catch { /* ignore */ }
+    try { fs.rmSync(LEGACY_INDEX_FILE, { force: true }); } catch { /* ignore */ }
+  }
+  console.log(`[TK] Session files ${isEncryptionEnabled() ? 'encrypted' : 'decrypted'}`);
+}
+
+/**
+ * Turns at-rest encryption on or off and migrates the files in place.
+ * Throws (leaving the previous mode in effect) if the key can't be created
+ * or unlocked, e.g. when OS secure storage is unavailable.
+ */
+export function setSessionEncryption(enabled: boolean): void {
+  getDb();
+  if (enabled === isEncryptionEnabled()) return;
+  if (enabled) getDataKey(true);
+
+  setEncryptionEnabled(enabled);
+  try {
+    applyEncryptionToFiles();
+  } catch (err) {
+    setEncryptionEnabled(!enabled);
+    try { persist(); } catch { /* keep the original error */ }
+    throw err;
+  }
+}
+
+// ── Row helpers ──────────────────────────────────────────────────────────────
+
+function hostnameOf(url: string): string {
+  try { return new URL(url).hostname.replace(/^www\./, '').toLowerCase(); } catch { return ''; }
+}
+
+/** Inserts or replaces a session row (plus its domain/app index rows). */
+function writeSessionRow(d: SqlJsDatabase, session: StoredSession): void {
+  const data = JSON.stringify(session);
+  d.run(
+    `INSERT OR REPLACE INTO sessions (id, captured_at, captured_ms, ai_summary, pinned, thread_id, data, hmac)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      session.id,
+      session.capturedAt,
+      new Date(session.capturedAt).getTime() || 0,
+      session.aiSummary ?? '',
+      session.pinned ? 1 : 0,
+      session.threadId ?? null,
+      data,
+      computeHmac(data),
+    ],
+  );
+
+  d.run('DELETE FROM session_domains WHERE session_id = ?', [session.id]);
+  d.run('DELETE FROM session_apps    WHERE session_id = ?', [session.id]);
+  d.run('DELETE FROM session_tags    WHERE session_id = ?', [session.id]);
+
+  const domains = new Set<string>();
+  for (const tb of session.browserTabs ?? [])    domains.add(hostnameOf(tb.url));
+  for (const h  of session.browserHistory ?? []) domains.add(hostnameOf(h.url));
+  for (const domain of domains) {
+    if (domain) d.run('INSERT INTO session_domains (session_id, domain) VALUES (?, ?)', [session.id, domain]);
+  }
+
+  const apps = new Set((session.windows ?? []).map(w => w.name.toLowerCase()).filter(Boolean));
+  for (const appName of apps) {
+    d.run('INSERT INTO session_apps (session_id, app) VALUES (?, ?)', [session.id, appName]);
+  }
+
+  for (const tag of session.tags ?? []) {
+    d.run('INSERT OR IGNORE INTO session_tags (session_id, tag) VALUES (?, ?)', [session.id, tag]);
+  }
+}
+
+function deleteSessionRows(d: SqlJsDatabase, id: string): void {
+  d.run('DELETE FROM sessions        WHERE id = ?',         [id]);
+  d.run('DELETE FROM session_domains WHERE session_id = ?', [id]);
+  d.run('DELETE FROM session_apps    WHERE session_id = ?', [id]);
+  d.run('DELETE FROM session_tags    WHERE session_id = ?', [id]);
 }
 
 /** Normalize a loaded session so old sessions without newer fields still work. */
@@ -85,95 +543,818 @@ function normalizeSession(s: StoredSession): StoredSession {
   return s;
 }
 
+/** Verifies a row's HMAC and parses it; tampered rows are rejected. */
+function parseRow(id: string, data: SqlValue, hmac: SqlValue, source = 'Session'): StoredSession | null {
+  const raw = String(data);
+  if (String(hmac) !== computeHmac(raw)) {
+    console.warn(`[TK] ${source} ${id}: HMAC mismatch — possible tampering`);
+    return null;
+  }
+  try {
+    return normalizeSession(JSON.parse(raw) as StoredSession);
+  } catch {
+    return null;
+  }
+}
+
+// ── One-time migration from JSON files ───────────────────────────────────────
+
+/**
+ * Imports sessions from `sessions/<id>.json`.  Both index.json and the
+ * directory listing are consulted so sessions missing from a drifted index
+ * are still picked up.  Files whose `.hmac` doesn't match are skipped.
+ */
+function migrateJsonSessions(): void {
+  if (getMeta('json_migrated')) return;
+
+  const ids = new Set<string>();
+  try {
+    if (fs.existsSync(LEGACY_INDEX_FILE)) {
+      const index = JSON.parse(fs.readFileSync(LEGACY_INDEX_FILE, 'utf-8')) as LegacyIndexEntry[];
+      for (const e of index) ids.add(e.id);
+    }
+  } catch { /* corrupted index — fall back to the directory listing */ }
+  try {
+    for (const f of fs.readdirSync(LEGACY_DATA_DIR)) {
+      if (f.endsWith('.json')) ids.add(f.slice(0, -'.json'.length));
+    }
+  } catch { /* no legacy directory */ }
+
+  let imported = 0;
+  let rejected = 0;
+
+  transaction(d => {
+    for (const id of ids) {
+      if (!isValidSessionId(id)) continue;
+      try {
+        const raw = fs.readFileSync(path.join(LEGACY_DATA_DIR, `${id}.json`), 'utf-8');
+        const hmacFile = path.join(LEGACY_DATA_DIR, `${id}.hmac`);
+        if (fs.existsSync(hmacFile) && fs.readFileSync(hmacFile, 'utf-8').trim() !== computeHmac(raw)) {
+          console.warn(`[TK] Migration: session ${id} failed HMAC check — skipped`);
+          rejected++;
+          continue;
+        }
+        // No .hmac file = legacy session from before signing — accepted as before
+        const session = normalizeSession(JSON.parse(raw) as StoredSession);
+        if (session.id !== id) { rejected++; continue; }
+        writeSessionRow(d, session);
+        imported++;
+      } catch {
+        rejected++;
+      }
+    }
+    setMeta(d, 'json_migrated', new Date().toISOString());
+  });
+
+  if (imported > 0 || rejected > 0) {
+    console.log(`[TK] Migrated ${imported} JSON sessions to SQLite (${rejected} skipped)`);
+  }
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
 export function saveSession(
   data: Omit<StoredSession, 'id' | 'capturedAt'>
 ): StoredSession {
-  ensureDirs();
-
   const session: StoredSession = {
     id: uuidv4(),
     capturedAt: new Date().toISOString(),
     ...data,
   };
+  if (session.tags) session.tags = normalizeTags(session.tags);
 
-  const sessionJson = JSON.stringify(session, null, 2);
-  const sessionFile = path.join(DATA_DIR, `${session.id}.json`);
-  fs.writeFileSync(sessionFile, sessionJson, 'utf-8');
-
-  // MEDIUM-03: Write HMAC signature alongside the session file
-  const hmacFile = path.join(DATA_DIR, `${session.id}.hmac`);
-  fs.writeFileSync(hmacFile, computeHmac(sessionJson), 'utf-8');
-
-  // Prepend to index (newest first)
-  const index = readIndex();
-  index.unshift({
-    id: session.id,
-    capturedAt: session.capturedAt,
-    aiSummary: session.aiSummary,
-  });
-  writeIndex(index);
+  transaction(d => writeSessionRow(d, session));
 
   console.log(`[TK] Session saved: ${session.id}`);
   return session;
 }
 
 export function loadSession(id: string): StoredSession | null {
-  try {
-    const sessionFile = path.join(DATA_DIR, `${id}.json`);
-    const raw = fs.readFileSync(sessionFile, 'utf-8');
-
-    // MEDIUM-03: Verify HMAC if it exists
-    const hmacFile = path.join(DATA_DIR, `${id}.hmac`);
-    if (fs.existsSync(hmacFile)) {
-      const storedHmac = fs.readFileSync(hmacFile, 'utf-8').trim();
-      const computedHmac = computeHmac(raw);
-      if (storedHmac !== computedHmac) {
-        console.warn(`[TK] Session ${id}: HMAC mismatch — possible tampering`);
-        return null; // reject tampered file
-      }
+  if (!isValidSessionId(id)) return null;
+  const rows = queryRows('SELECT data, hmac FROM sessions WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  return parseRow(id, rows[0].data, rows[0].hmac);
+}
+
+/** All sessions, newest first.  Rows failing their HMAC check are dropped. */
+export function loadAllSessions(): StoredSession[] {
+  return queryRows('SELECT id, data, hmac FROM sessions ORDER BY captured_ms DESC')
+    .map(r => parseRow(String(r.id), r.data, r.hmac))
+    .filter((s): s is StoredSession => s !== null);
+}
+
+/**
+ * The most recent session only — avoids decrypting the whole table.  Null if
+ * there are none or the newest row fails its HMAC check.
+ */
+export function loadLatestSession(): StoredSession | null {
+  const rows = queryRows('SELECT id, data, hmac FROM sessions ORDER BY captured_ms DESC LIMIT 1');
+  return rows.length > 0 ? parseRow(String(rows[0].id), rows[0].data, rows[0].hmac) : null;
+}
+
+/** ISO timestamp of the most recent capture, or null if there are none. */
+export function getLatestCaptureTime(): string | null {
+  const rows = queryRows('SELECT captured_at FROM sessions ORDER BY captured_ms DESC LIMIT 1');
+  return rows.length > 0 ? String(rows[0].captured_at) : null;
+}
+
+/**
+ * Applies a user edit to a saved session and re-signs it.  Returns null if
+ * the session can't be loaded (missing or failed its HMAC check).
+ */
+export function updateSession(id: string, patch: SessionPatch): StoredSession | null {
+  const current = loadSession(id);
+  if (!current) return null;
+
+  const updated: StoredSession = {
+    ...current,
+    ...patch,
+    ...(patch.tags ? { tags: normalizeTags(patch.tags) } : {}),
+    id: current.id,               // never editable
+    capturedAt: current.capturedAt,
+  };
+  transaction(d => writeSessionRow(d, updated));
+  invalidateSearchIndex();
+
+  console.log(`[TK] Session updated: ${id}`);
+  return updated;
+}
+
+/** Permanently removes a session. */
+export function deleteSession(id: string): boolean {
+  if (!isValidSessionId(id)) return false;
+  const rows = queryRows('SELECT data FROM sessions WHERE id = ?', [id]);
+  if (rows.length === 0) return false;
+
+  transaction(d => deleteSessionRows(d, id));
+  removeLegacyFiles(id);
+  deleteScreenshots(imagesOf(parseUnsigned(id, String(rows[0].data))));
+  invalidateSearchIndex();
+
+  console.log(`[TK] Session deleted: ${id}`);
+  return true;
+}
+
+/**
+ * Saves sessions from an import, keeping their capture time.  A bundle's
+ * original id is kept unless it is invalid or already taken.  Every row is
+ * signed like a fresh capture.  Returns the saved sessions.
+ */
+export function importSessions(drafts: Array<Omit<StoredSession, 'id'> & { id?: string }>): StoredSession[] {
+  const saved: StoredSession[] = [];
+  transaction(d => {
+    for (const draft of drafts) {
+      const keepId = draft.id && isValidSessionId(draft.id)
+        && queryRows('SELECT 1 FROM sessions WHERE id = ?', [draft.id]).length === 0;
+      const session: StoredSession = { ...draft, id: keepId ? draft.id as string : uuidv4() };
+      // Threads aren't part of a bundle — keep the link only if the thread is here
+      if (session.threadId && !loadThread(session.threadId)) delete session.threadId;
+      writeSessionRow(d, session);
+      saved.push(session);
+    }
+  });
+  invalidateSearchIndex();
+
+  console.log(`[TK] Imported ${saved.length} sessions`);
+  return saved;
+}
+
+/** Pins or unpins a session (pinned sessions are exempt from retention). */
+export function setSessionPinned(id: string, pinned: boolean): StoredSession | null {
+  const current = loadSession(id);
+  if (!current) return null;
+
+  const updated: StoredSession = { ...current, pinned };
+  transaction(d => writeSessionRow(d, updated));
+  invalidateSearchIndex();
+  return updated;
+}
+
+// ── Tags ─────────────────────────────────────────────────────────────────────
+
+/** Every tag in use with its session count, most used first. */
+export function listTags(): TagCount[] {
+  return queryRows('SELECT tag, count(*) AS n FROM session_tags GROUP BY tag ORDER BY n DESC, tag')
+    .map(r => ({ tag: String(r.tag), count: Number(r.n) }));
+}
+
+/**
+ * Replaces the `sources` tags with `target` on every session that has one of
+ * them.  Renaming is a merge of a single source; merging into a tag a session
+ * already has just drops the duplicate.  Returns the number of sessions
+ * changed.
+ */
+export function mergeTags(sources: string[], target: string): number {
+  const [clean] = normalizeTags([target]);
+  const from = new Set(sources.filter(tag => typeof tag === 'string' && tag !== clean));
+  if (!clean || from.size === 0) return 0;
+
+  const placeholders = Array.from(from, () => '?').join(', ');
+  const ids = queryRows(
+    `SELECT DISTINCT session_id FROM session_tags WHERE tag IN (${placeholders})`,
+    Array.from(from),
+  ).map(r => String(r.session_id));
+
+  const updated: StoredSession[] = [];
+  for (const id of ids) {
+    const s = loadSession(id);
+    if (!s) continue; // failed its HMAC check — leave it alone
+    s.tags = normalizeTags((s.tags ?? []).map(tag => (from.has(tag) ? clean : tag)));
+    updated.push(s);
+  }
+  if (updated.length === 0) return 0;
+
+  transaction(d => { for (const s of updated) writeSessionRow(d, s); });
+  invalidateSearchIndex();
+
+  console.log(`[TK] Merged ${from.size} tags into one on ${updated.length} sessions`);
+  return updated.length;
+}
+
+// ── LOW-03: Data retention policy — archive unpinned sessions past the limit ─
+
+/** Ids of unpinned sessions that fall outside the policy, oldest first. */
+function selectForRetention(policy: RetentionPolicy): string[] {
+  switch (policy.mode) {
+    case 'max-age': {
+      const days   = Math.max(1, Math.floor(policy.maxAgeDays) || 1);
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      return queryRows(
+        'SELECT id FROM sessions WHERE pinned = 0 AND captured_ms < ? ORDER BY captured_ms',
+        [cutoff],
+      ).map(r => String(r.id));
+    }
+    case 'max-count': {
+      // Pinned sessions don't count towards the limit
+      const keep = Math.max(1, Math.floor(policy.maxCount) || 1);
+      return queryRows(
+        'SELECT id FROM sessions WHERE pinned = 0 ORDER BY captured_ms DESC LIMIT -1 OFFSET ?',
+        [keep],
+      ).map(r => String(r.id));
+    }
+    case 'never':
+    default:
+      return [];
+  }
+}
+
+/**
+ * Moves unpinned sessions outside the retention policy into the archive, then
+ * removes image folders no session refers to any more.  Archived sessions
+ * keep their images.  Returns the number of sessions archived.
+ */
+export function applyRetention(policy: RetentionPolicy): number {
+  const count = moveToArchive(selectForRetention(policy));
+  if (count > 0) console.log(`[TK] Archived ${count} sessions (retention: ${policy.mode})`);
+  pruneScreenshots(referencedImages());
+  return count;
+}
+
+/**
+ * Image lists of every session kept anywhere — database, archive and
+ * quarantine.  Signatures aren't checked: a row failing its HMAC still owns
+ * its images until it is discarded.
+ */
+function referencedImages(): SessionScreenshot[][] {
+  const raws: Array<[string, string]> = [
+    ...queryRows('SELECT id, data FROM sessions').map(r => [String(r.id), String(r.data)] as [string, string]),
+    ...readArchive().map(e => [e.id, e.data] as [string, string]),
+    ...readQuarantine().map(e => [e.id, e.data] as [string, string]),
+  ];
+  return raws.map(([id, raw]) => imagesOf(parseUnsigned(id, raw)));
+}
+
+/**
+ * Moves sessions from the database into the archive.  The archive is
+ * written before rows are deleted, so a failed write never loses a session.
+ */
+function moveToArchive(ids: string[]): number {
+  if (ids.length === 0) return 0;
+  const entries = archiveEntriesOf(ids);
+  appendToArchive(entries);
+  transaction(d => { for (const e of entries) deleteSessionRows(d, e.id); });
+  invalidateSearchIndex();
+  return entries.length;
+}
+
+/** Archive entries for the stored rows among `ids`, copied as they are. */
+function archiveEntriesOf(ids: string[]): ArchiveEntry[] {
+  const archivedAt = new Date().toISOString();
+  const entries: ArchiveEntry[] = [];
+  for (const id of ids) {
+    const rows = queryRows('SELECT captured_at, data, hmac FROM sessions WHERE id = ?', [id]);
+    if (rows.length === 0) continue;
+    entries.push({
+      id,
+      capturedAt: String(rows[0].captured_at),
+      archivedAt,
+      data:       String(rows[0].data),
+      hmac:       String(rows[0].hmac),
+    });
+  }
+  return entries;
+}
+
+/** Archived sessions, newest capture first.  Entries failing HMAC are dropped. */
+export function listArchivedSessions(): ArchivedSession[] {
+  const out: ArchivedSession[] = [];
+  for (const e of readArchive()) {
+    const session = parseRow(e.id, e.data, e.hmac, 'Archived session');
+    if (session) out.push({ session, archivedAt: e.archivedAt });
+  }
+  return out;
+}
+
+/**
+ * Moves a session from the archive back into the database.  It is pinned on
+ * restore so the next retention pass doesn't archive it again.
+ */
+export function restoreArchivedSession(id: string): StoredSession | null {
+  if (!isValidSessionId(id)) return null;
+  const entry = readArchive().find(e => e.id === id);
+  if (!entry) return null;
+  const session = parseRow(id, entry.data, entry.hmac, 'Archived session');
+  if (!session) return null;
+
+  const restored: StoredSession = { ...session, pinned: true };
+  // Its thread may have been deleted while the session was archived
+  if (restored.threadId && !loadThread(restored.threadId)) delete restored.threadId;
+  transaction(d => writeSessionRow(d, restored));
+  removeFromArchive([id]);
+  invalidateSearchIndex();
+
+  console.log(`[TK] Session restored from archive: ${id}`);
+  return restored;
+}
+
+/** Permanently removes a session from the archive. */
+export function deleteArchivedSession(id: string): boolean {
+  if (!isValidSessionId(id)) return false;
+  const removed = removeFromArchive([id]);
+  for (const e of removed) deleteScreenshots(imagesOf(parseUnsigned(e.id, e.data)));
+  return removed.length > 0;
+}
+
+// ── Integrity check / repair ─────────────────────────────────────────────────
+
+interface QuarantineEntry {
+  id:            string;
+  kind:          Exclude<IntegrityIssueKind, 'orphaned-file'>;
+  quarantinedAt: string;
+  data:          string; // row data exactly as it was in the database
+  hmac:          string;
+}
+
+function quarantineFile(id: string): string {
+  return path.join(QUARANTINE_DIR, `${id}.json`);
+}
+
+function readQuarantine(): QuarantineEntry[] {
+  let files: string[];
+  try { files = fs.readdirSync(QUARANTINE_DIR); } catch { return []; }
+  const out: QuarantineEntry[] = [];
+  for (const f of files) {
+    const id = f.replace(/\.json$/, '');
+    if (!f.endsWith('.json') || !isValidSessionId(id)) continue;
+    try {
+      const entry = JSON.parse(openFromDisk(fs.readFileSync(quarantineFile(id))).toString('utf-8')) as QuarantineEntry;
+      if (entry.id === id) out.push(entry);
+    } catch (err) {
+      console.warn(`[TK] Unreadable quarantine file ${f}:`, (err as Error).message);
     }
-    // If no .hmac file exists, this is a legacy session — allow it (backward compat)
+  }
+  return out;
+}
+
+function writeQuarantineEntry(entry: QuarantineEntry): void {
+  fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+  writeFileAtomic(quarantineFile(entry.id), sealForDisk(Buffer.from(JSON.stringify(entry), 'utf-8')));
+}
+
+/** Re-seals quarantine files after the encryption setting changed. */
+function rewriteQuarantine(): void {
+  for (const entry of readQuarantine()) writeQuarantineEntry(entry);
+}
 
-    const s = JSON.parse(raw) as StoredSession;
-    return normalizeSession(s);
+function removeLegacyFiles(id: string): void {
+  try { fs.rmSync(path.join(LEGACY_DATA_DIR, `${id}.json`), { force: true }); } catch { /* ignore */ }
+  try { fs.rmSync(path.join(LEGACY_DATA_DIR, `${id}.hmac`), { force: true }); } catch { /* ignore */ }
+}
+
+/**
+ * Parses session JSON without checking its signature; null if it isn't a
+ * session with the expected id.
+ */
+function parseUnsigned(id: string, raw: string): StoredSession | null {
+  try {
+    const session = JSON.parse(raw) as StoredSession;
+    if (!session || typeof session !== 'object' || session.id !== id || typeof session.capturedAt !== 'string') return null;
+    return normalizeSession(session);
   } catch {
     return null;
   }
 }
 
-export function loadAllSessions(): StoredSession[] {
-  const index = readIndex();
-  return index
-    .map((e) => loadSession(e.id))
-    .filter((s): s is StoredSession => s !== null);
+/**
+ * Legacy `sessions/<id>.json` files whose session is neither in the database,
+ * the archive nor the quarantine — e.g. skipped by the migration for a bad
+ * `.hmac`.
+ */
+function findOrphanedFiles(): string[] {
+  let files: string[];
+  try { files = fs.readdirSync(LEGACY_DATA_DIR); } catch { return []; }
+  const known = new Set([
+    ...queryRows('SELECT id FROM sessions').map(r => String(r.id)),
+    ...readArchive().map(e => e.id),
+    ...readQuarantine().map(e => e.id),
+  ]);
+  return files
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.slice(0, -'.json'.length))
+    .filter(id => isValidSessionId(id) && !known.has(id));
+}
+
+function readLegacyFile(id: string): string | null {
+  try { return fs.readFileSync(path.join(LEGACY_DATA_DIR, `${id}.json`), 'utf-8'); } catch { return null; }
+}
+
+/** Quarantined sessions and orphaned legacy files, newest capture first. */
+export function listIntegrityIssues(): IntegrityIssue[] {
+  const issues: IntegrityIssue[] = readQuarantine().map(e => {
+    const session = parseUnsigned(e.id, e.data);
+    return {
+      id:         e.id,
+      kind:       e.kind,
+      capturedAt: session?.capturedAt ?? null,
+      aiSummary:  session?.aiSummary ?? '',
+      detectedAt: e.quarantinedAt,
+    };
+  });
+  const now = new Date().toISOString();
+  for (const id of findOrphanedFiles()) {
+    const raw = readLegacyFile(id);
+    const session = raw === null ? null : parseUnsigned(id, raw);
+    issues.push({
+      id,
+      kind:       'orphaned-file',
+      capturedAt: session?.capturedAt ?? null,
+      aiSummary:  session?.aiSummary ?? '',
+      detectedAt: now,
+    });
+  }
+  return issues.sort((a, b) => (b.capturedAt ?? '').localeCompare(a.capturedAt ?? ''));
 }
 
-// ── LOW-03: Data retention policy — auto-delete sessions older than 90 days ──
-export function pruneOldSessions(maxAgeDays = 90): number {
-  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
-  const index = readIndex();
-  const toRemove: string[] = [];
-  const kept: IndexEntry[] = [];
+/**
+ * Re-checks every session row.  Rows failing their HMAC or that can't be
+ * parsed are moved to the quarantine folder (written before the rows are
+ * deleted), then the domain / app / tag index tables are rebuilt from the
+ * sessions that remain.  Index rows and thread references pointing at
+ * nothing are dropped.
+ */
+export function repairSessionStore(): IntegrityReport {
+  const checkedAt = new Date().toISOString();
+  const rows = queryRows('SELECT id, data, hmac FROM sessions');
+  const valid: StoredSession[] = [];
+  const quarantined: QuarantineEntry[] = [];
+
+  for (const r of rows) {
+    const id = String(r.id);
+    const raw = String(r.data);
+    const entry = { id, quarantinedAt: checkedAt, data: raw, hmac: String(r.hmac) };
+    if (entry.hmac !== computeHmac(raw)) {
+      quarantined.push({ ...entry, kind: 'hmac-mismatch' });
+      continue;
+    }
+    const session = parseUnsigned(id, raw);
+    if (!session) {
+      quarantined.push({ ...entry, kind: 'unreadable' });
+      continue;
+    }
+    valid.push(session);
+  }
+  for (const entry of quarantined) writeQuarantineEntry(entry);
+
+  const rowIds = new Set(rows.map(r => String(r.id)));
+  const missing = new Set(
+    queryRows(
+      `SELECT session_id FROM session_domains
+       UNION SELECT session_id FROM session_apps
+       UNION SELECT session_id FROM session_tags`,
+    ).map(r => String(r.session_id)).filter(id => !rowIds.has(id)),
+  );
+  const threadIds = new Set(queryRows('SELECT id FROM threads').map(r => String(r.id)));
+  for (const s of valid) {
+    if (s.threadId && !threadIds.has(s.threadId)) {
+      missing.add(s.threadId);
+      delete s.threadId;
+    }
+  }
 
-  for (const entry of index) {
-    const ts = new Date(entry.capturedAt).getTime();
-    if (ts < cutoff) {
-      toRemove.push(entry.id);
+  transaction(d => {
+    for (const entry of quarantined) deleteSessionRows(d, entry.id);
+    d.run('DELETE FROM session_domains');
+    d.run('DELETE FROM session_apps');
+    d.run('DELETE FROM session_tags');
+    for (const s of valid) writeSessionRow(d, s);
+  });
+  invalidateSearchIndex();
+
+  console.log(
+    `[TK] Integrity check: ${rows.length} sessions, ${quarantined.length} quarantined, ${missing.size} missing references dropped`,
+  );
+  return {
+    checkedAt,
+    sessionsChecked: rows.length,
+    missing:         Array.from(missing),
+    issues:          listIntegrityIssues(),
+  };
+}
+
+/**
+ * Resolves one entry of the integrity report.  'resign' accepts the data as
+ * it is and stores it with a fresh signature (not possible for unreadable
+ * rows); 'discard' deletes the quarantined row or orphaned file for good.
+ */
+export function resolveIntegrityIssue(id: string, action: 'resign' | 'discard'): boolean {
+  if (!isValidSessionId(id)) return false;
+  const entry = readQuarantine().find(e => e.id === id);
+  const orphanRaw = entry ? null : (findOrphanedFiles().includes(id) ? readLegacyFile(id) : null);
+  if (!entry && orphanRaw === null) return false;
+
+  if (action === 'discard') {
+    if (entry) {
+      fs.rmSync(quarantineFile(id), { force: true });
+      deleteScreenshots(imagesOf(parseUnsigned(id, entry.data)));
     } else {
-      kept.push(entry);
+      removeLegacyFiles(id);
     }
+    console.log(`[TK] Integrity: discarded ${id}`);
+    return true;
   }
 
-  // Delete session files
-  for (const id of toRemove) {
-    try { fs.unlinkSync(path.join(DATA_DIR, `${id}.json`)); } catch { /* ok */ }
-    try { fs.unlinkSync(path.join(DATA_DIR, `${id}.hmac`)); } catch { /* ok */ }
+  const session = parseUnsigned(id, entry ? entry.data : orphanRaw as string);
+  if (!session) return false;
+  if (queryRows('SELECT 1 FROM sessions WHERE id = ?', [id]).length > 0) return false;
+  if (session.threadId && !loadThread(session.threadId)) delete session.threadId;
+  if (session.tags) session.tags = normalizeTags(session.tags);
+
+  transaction(d => writeSessionRow(d, session));
+  if (entry) fs.rmSync(quarantineFile(id), { force: true });
+  invalidateSearchIndex();
+
+  console.log(`[TK] Integrity: re-signed ${id}`);
+  return true;
+}
+
+// ── Threads ──────────────────────────────────────────────────────────────────
+
+function writeThreadRow(d: SqlJsDatabase, thread: StoredThread): void {
+  const data = JSON.stringify(thread);
+  d.run(
+    'INSERT OR REPLACE INTO threads (id, name, created_ms, data, hmac) VALUES (?, ?, ?, ?, ?)',
+    [thread.id, thread.name, new Date(thread.createdAt).getTime() || 0, data, computeHmac(data)],
+  );
+}
+
+function parseThreadRow(id: string, data: SqlValue, hmac: SqlValue): StoredThread | null {
+  const raw = String(data);
+  if (String(hmac) !== computeHmac(raw)) {
+    console.warn(`[TK] Thread ${id}: HMAC mismatch — possible tampering`);
+    return null;
+  }
+  try {
+    return JSON.parse(raw) as StoredThread;
+  } catch {
+    return null;
   }
+}
+
+/** Trimmed, single-line name; null if empty or already used by another thread. */
+function normalizeThreadName(name: string, exceptId?: string): string | null {
+  const clean = String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_THREAD_NAME);
+  if (!clean) return null;
+  const taken = queryRows('SELECT id FROM threads WHERE lower(name) = lower(?)', [clean])
+    .some(r => String(r.id) !== exceptId);
+  return taken ? null : clean;
+}
+
+export function loadThread(id: string): StoredThread | null {
+  if (!isValidThreadId(id)) return null;
+  const rows = queryRows('SELECT data, hmac FROM threads WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  return parseThreadRow(id, rows[0].data, rows[0].hmac);
+}
 
-  if (toRemove.length > 0) {
-    writeIndex(kept);
-    console.log(`[TK] Pruned ${toRemove.length} sessions older than ${maxAgeDays} days`);
+/** All threads with session counts, most recently active first. */
+export function listThreads(): ThreadInfo[] {
+  const stats = new Map<string, { count: number; lastMs: number }>();
+  for (const r of queryRows(
+    'SELECT thread_id, count(*) AS n, max(captured_ms) AS last_ms FROM sessions WHERE thread_id IS NOT NULL GROUP BY thread_id',
+  )) {
+    stats.set(String(r.thread_id), { count: Number(r.n), lastMs: Number(r.last_ms) });
   }
 
-  return toRemove.length;
+  return queryRows('SELECT id, data, hmac FROM threads')
+    .map(r => parseThreadRow(String(r.id), r.data, r.hmac))
+    .filter((th): th is StoredThread => th !== null)
+    .map(th => {
+      const st = stats.get(th.id);
+      return {
+        ...th,
+        sessionCount:   st?.count ?? 0,
+        lastCapturedAt: st ? new Date(st.lastMs).toISOString() : null,
+      };
+    })
+    .sort((a, b) => (b.lastCapturedAt ?? b.createdAt).localeCompare(a.lastCapturedAt ?? a.createdAt));
+}
+
+/** Sessions of a thread, oldest first (the thread's timeline). */
+export function loadThreadSessions(id: string): StoredSession[] {
+  if (!isValidThreadId(id)) return [];
+  return queryRows('SELECT id, data, hmac FROM sessions WHERE thread_id = ? ORDER BY captured_ms', [id])
+    .map(r => parseRow(String(r.id), r.data, r.hmac))
+    .filter((s): s is StoredSession => s !== null);
+}
+
+/** Creates a thread.  Returns null if the name is empty or already in use. */
+export function createThread(name: string): StoredThread | null {
+  getDb();
+  const clean = normalizeThreadName(name);
+  if (!clean) return null;
+
+  const thread: StoredThread = { id: uuidv4(), name: clean, createdAt: new Date().toISOString(), summary: '' };
+  transaction(d => writeThreadRow(d, thread));
+
+  console.log(`[TK] Thread created: ${thread.id}`);
+  return thread;
+}
+
+export function renameThread(id: string, name: string): StoredThread | null {
+  const current = loadThread(id);
+  if (!current) return null;
+  const clean = normalizeThreadName(name, id);
+  if (!clean) return null;
+
+  const updated: StoredThread = { ...current, name: clean };
+  transaction(d => writeThreadRow(d, updated));
+  return updated;
+}
+
+/** Stores a new rolling summary for a thread. */
+export function setThreadSummary(id: string, summary: string): StoredThread | null {
+  const current = loadThread(id);
+  if (!current) return null;
+
+  const updated: StoredThread = { ...current, summary, summaryUpdatedAt: new Date().toISOString() };
+  transaction(d => writeThreadRow(d, updated));
+  return updated;
+}
+
+/** Deletes a thread.  Its sessions are kept and become unthreaded. */
+/** Deletes a thread row and stores `members` (its sessions) unthreaded. */
+function deleteThreadRows(d: SqlJsDatabase, id: string, members: StoredSession[]): void {
+  for (const s of members) {
+    const { threadId: _removed, ...rest } = s;
+    writeSessionRow(d, rest);
+  }
+  // Rows that failed their HMAC check can't be re-signed — just detach them
+  d.run('UPDATE sessions SET thread_id = NULL WHERE thread_id = ?', [id]);
+  d.run('DELETE FROM threads WHERE id = ?', [id]);
+}
+
+export function deleteThread(id: string): boolean {
+  if (!isValidThreadId(id)) return false;
+  const exists = queryRows('SELECT 1 FROM threads WHERE id = ?', [id]).length > 0;
+  if (!exists) return false;
+
+  const members = loadThreadSessions(id);
+  transaction(d => deleteThreadRows(d, id, members));
+  invalidateSearchIndex();
+
+  console.log(`[TK] Thread deleted: ${id} (${members.length} sessions unthreaded)`);
+  return true;
+}
+
+/**
+ * Assigns a session to a thread, or removes it from its thread when
+ * `threadId` is null.  Returns null if the session or thread doesn't exist.
+ */
+export function setSessionThread(id: string, threadId: string | null): StoredSession | null {
+  const current = loadSession(id);
+  if (!current) return null;
+  if (threadId !== null && !loadThread(threadId)) return null;
+
+  const { threadId: _previous, ...rest } = current;
+  const updated: StoredSession = threadId ? { ...rest, threadId } : rest;
+  transaction(d => writeSessionRow(d, updated));
+  invalidateSearchIndex();
+  return updated;
+}
+
+// ── Sync support (session-sync.ts) ───────────────────────────────────────────
+
+/** Changes pulled from the sync folder, applied in one go. */
+export interface SyncChanges {
+  threads:        StoredThread[];
+  deletedThreads: string[];
+  sessions:       StoredSession[];
+  deleted:        string[];
+  /** Archived on the other machine — moved to the local archive too. */
+  archived:       string[];
+}
+
+/** The key rows are signed with; machines that sync share the same key. */
+export function getSigningKey(): string {
+  return getHmacKey();
+}
+
+export function signData(data: string): string {
+  return computeHmac(data);
+}
+
+/** Ids of every session / thread row, including rows failing their HMAC. */
+export function listRowIds(table: 'sessions' | 'threads'): string[] {
+  return queryRows(`SELECT id FROM ${table}`).map(r => String(r.id));
+}
+
+/**
+ * Re-signs every session, thread and archive entry with `key` and makes it
+ * the signing key.  Rows failing their current HMAC keep their old signature
+ * (the integrity check quarantines them).  Returns the number re-signed.
+ *
+ * The key file is written first, so a failed write changes nothing; if the
+ * archive or the database then can't be written, the old key and archive
+ * are put back (a failed transaction leaves the database as it was).
+ */
+export function rekeySessionStore(key: string): number {
+  const oldKey = getHmacKey();
+  if (key === oldKey) return 0;
+  const resign = (data: SqlValue, hmac: SqlValue): string | null =>
+    String(hmac) === computeHmac(String(data), oldKey) ? computeHmac(String(data), key) : null;
+
+  let count = 0;
+  const original = readArchive();
+  const resigned = original.flatMap(e => {
+    const hmac = resign(e.data, e.hmac);
+    return hmac ? [{ ...e, hmac }] : [];
+  });
+
+  writeFileAtomic(HMAC_KEY_FILE, key, { mode: 0o600 });
+  try {
+    appendToArchive(resigned);
+    transaction(d => {
+      for (const table of ['sessions', 'threads']) {
+        for (const r of queryRows(`SELECT id, data, hmac FROM ${table}`)) {
+          const hmac = resign(r.data, r.hmac);
+          if (!hmac) continue;
+          d.run(`UPDATE ${table} SET hmac = ? WHERE id = ?`, [hmac, r.id]);
+          count++;
+        }
+      }
+    });
+  } catch (err) {
+    try {
+      writeFileAtomic(HMAC_KEY_FILE, oldKey, { mode: 0o600 });
+      appendToArchive(original.filter(e => resigned.some(r => r.id === e.id)));
+    } catch (restoreErr) {
+      console.warn('[TK] Signing key could not be restored:', (restoreErr as Error).message);
+    }
+    throw err;
+  }
+  count += resigned.length;
+
+  console.log(`[TK] Signing key replaced; ${count} rows re-signed`);
+  return count;
+}
+
+/**
+ * Applies changes merged by the sync engine in one transaction (one persist).
+ * Threads are written before sessions so thread references resolve; a
+ * session whose thread is gone is stored unthreaded.  Archived sessions are
+ * copied to the archive file first — an interrupted merge leaves at most a
+ * duplicate there, which the next run overwrites.  Sessions that come back
+ * from another machine are dropped from the local archive.
+ */
+export function applySyncChanges(changes: SyncChanges): void {
+  const deletedThreads = changes.deletedThreads
+    .filter(id => isValidThreadId(id) && queryRows('SELECT 1 FROM threads WHERE id = ?', [id]).length > 0)
+    .map(id => ({ id, members: loadThreadSessions(id) }));
+  const archived = archiveEntriesOf(changes.archived);
+  appendToArchive(archived);
+
+  transaction(d => {
+    for (const t of deletedThreads) deleteThreadRows(d, t.id, t.members);
+    for (const e of archived) deleteSessionRows(d, e.id);
+    for (const thread of changes.threads) writeThreadRow(d, thread);
+    for (const s of changes.sessions) {
+      const session: StoredSession = { ...s };
+      if (session.threadId && !loadThread(session.threadId)) delete session.threadId;
+      if (session.tags) session.tags = normalizeTags(session.tags);
+      writeSessionRow(d, session);
+    }
+    for (const id of changes.deleted) deleteSessionRows(d, id);
+  });
+  if (changes.sessions.length > 0) removeFromArchive(changes.sessions.map(s => s.id));
+  invalidateSearchIndex();
 }
@@ -0,0 +1,312 @@
+/**
+ * session-sync.ts
+ *
+ * Mirrors sessions and threads into a folder the user already syncs between
+ * machines (network share, Dropbox/OneDrive/Syncthing directory…), without
+ * any server of our own.
+ *
+ * Folder layout (<folder>/ThreadKeeper/):
+ *   signing-key          — shared HMAC key; the first machine writes its own,
+ *                          later machines adopt it and re-sign their data
+ *   sessions/<id>.json   — one SyncRecord per session
+ *   threads/<id>.json    — one SyncRecord per thread
+ *   sync.lock            — held while a machine is syncing
+ *
+ * One file per record keeps edits on different sessions from ever touching
+ * the same file.  Deletions are written as tombstones (`deleted: true`;
+ * `archived: true` when retention moved the session to the archive).
+ *
+ * Every sync is a three-way merge against the last state both sides agreed
+ * on (kept locally in <appData>/sync-state.json):
+ *   only one side changed  → that side wins
+ *   both changed           → field-level merge (mergeSession / mergeThread):
+ *                            tags and tabs merge as sets, the pin is kept if
+ *                            either side pinned, differing notes are both kept,
+ *                            other fields prefer this machine
+ *   edited vs. deleted     → the edit wins
+ *
+ * Synced files are plain JSON — other machines can't open data sealed with
+ * this machine's key — so no sync runs while session encryption is on: it
+ * would put the encrypted store in plain text next to its signing key.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { getAppDataDir } from '../platform';
+import { writeFileAtomic, withFileLock } from '../atomic-file';
+import { sealForDisk, openFromDisk, isEncryptionEnabled } from './data-encryption';
+import {
+  loadAllSessions, listThreads, listArchivedSessions, isValidSessionId,
+  getSigningKey, signData, listRowIds, rekeySessionStore, applySyncChanges,
+} from './session-store';
+import type { StoredSession, StoredThread, SyncChanges } from './session-store';
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+interface SyncRecord {
+  id:        string;
+  updatedAt: string;
+  machine:   string;
+  deleted?:  boolean;
+  archived?: boolean;
+  data?:     string; // StoredSession / StoredThread JSON
+  hmac?:     string; // HMAC of `data` with the shared key
+}
+
+export interface SyncReport {
+  syncedAt:  string;
+  pulled:    number; // sessions / threads changed here from the folder
+  pushed:    number; // records written to the folder
+  conflicts: number; // edited on both machines and merged
+  rejected:  number; // folder records failing their HMAC check
+  error?:    string;
+}
+
+interface SyncState {
+  folder:   string;
+  sessions: Record<string, string>; // id → data both sides agreed on
+  threads:  Record<string, string>;
+  lastReport?: SyncReport;
+}
+
+type Kind = 'sessions' | 'threads';
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+const STATE_FILE = path.join(getAppDataDir(), 'sync-state.json');
+const ROOT_NAME  = 'ThreadKeeper';
+const KEY_RE     = /^[0-9a-f]{64}$/;
+
+const SYNC_BLOCKED_BY_ENCRYPTION = 'Sync is paused while session encryption is on — synced files are not encrypted';
+
+// ── State ─────────────────────────────────────────────────────────────────────
+
+function loadState(folder: string): SyncState {
+  try {
+    const state = JSON.parse(openFromDisk(fs.readFileSync(STATE_FILE)).toString('utf-8')) as SyncState;
+    if (state.folder === folder) return state;
+  } catch { /* first sync */ }
+  return { folder, sessions: {}, threads: {} };
+}
+
+function saveState(state: SyncState): void {
+  // Holds session data — sealed like the database when encryption is on
+  writeFileAtomic(STATE_FILE, sealForDisk(Buffer.from(JSON.stringify(state), 'utf-8')));
+}
+
+/** Result of the last sync with this folder, or null. */
+export function getLastSyncReport(folder: string): SyncReport | null {
+  return folder ? loadState(folder).lastReport ?? null : null;
+}
+
+// ── Folder ────────────────────────────────────────────────────────────────────
+
+function readRecords(dir: string, report: SyncReport): Map<string, SyncRecord> {
+  const records = new Map<string, SyncRecord>();
+  let files: string[];
+  try { files = fs.readdirSync(dir); } catch { return records; }
+  for (const f of files) {
+    const id = f.slice(0, -'.json'.length);
+    if (!f.endsWith('.json') || !isValidSessionId(id)) continue;
+    try {
+      const rec = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8')) as SyncRecord;
+      if (rec.id !== id) continue;
+      if (!rec.deleted && (typeof rec.data !== 'string' || rec.hmac !== signData(rec.data))) {
+        console.warn(`[TK] Sync: ${f} failed HMAC check — ignored`);
+        report.rejected++;
+        continue;
+      }
+      records.set(id, rec);
+    } catch { /* partially synced file — picked up next time */ }
+  }
+  return records;
+}
+
+/** Adopts the folder's signing key, or publishes ours if the folder is new. */
+function shareSigningKey(root: string): void {
+  const keyFile = path.join(root, 'signing-key');
+  let shared = '';
+  try { shared = fs.readFileSync(keyFile, 'utf-8').trim(); } catch { /* not there yet */ }
+  if (!shared) {
+    writeFileAtomic(keyFile, getSigningKey(), { mode: 0o600 });
+    return;
+  }
+  if (!KEY_RE.test(shared)) throw new Error('The signing key in the sync folder is malformed');
+  if (shared !== getSigningKey()) rekeySessionStore(shared);
+}
+
+// ── Merge ─────────────────────────────────────────────────────────────────────
+
+function same(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Three-way pick: the side that changed wins; this machine if both did. */
+function pick<T>(base: T, local: T, remote: T): T {
+  return same(local, base) ? remote : local;
+}
+
+/** Three-way set merge: additions and removals from both sides are kept. */
+function mergeList<T>(base: T[], local: T[], remote: T[], key: (item: T) => string): T[] {
+  const baseKeys = new Set(base.map(key));
+  const remoteKeys = new Set(remote.map(key));
+  const out = new Map<string, T>();
+  for (const item of local) {
+    const k = key(item);
+    if (remoteKeys.has(k) || !baseKeys.has(k)) out.set(k, item);
+  }
+  for (const item of remote) {
+    const k = key(item);
+    if (!out.has(k) && !baseKeys.has(k)) out.set(k, item);
+  }
+  return Array.from(out.values());
+}
+
+function mergeSession(base: StoredSession | null, local: StoredSession, remote: StoredSession, machine: string): StoredSession {
+  const b: Partial<StoredSession> = base ?? {};
+  const merged: StoredSession = { ...local };
+
+  merged.aiSummary = pick(b.aiSummary, local.aiSummary, remote.aiSummary) ?? '';
+  merged.threadId  = pick(b.threadId, local.threadId, remote.threadId);
+  if (!merged.threadId) delete merged.threadId;
+  merged.pinned = !same(local.pinned, b.pinned) && !same(remote.pinned, b.pinned)
+    ? !!(local.pinned || remote.pinned)
+    : pick(b.pinned, local.pinned, remote.pinned);
+
+  const notesDiffer = local.userNote !== remote.userNote;
+  merged.userNote = notesDiffer && local.userNote !== b.userNote && remote.userNote !== b.userNote
+    ? `${local.userNote}\n\n— ${machine} —\n${remote.userNote}`
+    : pick(b.userNote, local.userNote, remote.userNote) ?? '';
+
+  merged.tags = mergeList(b.tags ?? [], local.tags ?? [], remote.tags ?? [], tag => tag.toLowerCase());
+  merged.browserTabs = mergeList(b.browserTabs ?? [], local.browserTabs ?? [], remote.browserTabs ?? [], tab => tab.url);
+  return merged;
+}
+
+function mergeThread(base: StoredThread | null, local: StoredThread, remote: StoredThread): StoredThread {
+  const merged: StoredThread = { ...local, name: pick(base?.name, local.name, remote.name) ?? local.name };
+  if ((remote.summaryUpdatedAt ?? '') > (local.summaryUpdatedAt ?? '')) {
+    merged.summary = remote.summary;
+    merged.summaryUpdatedAt = remote.summaryUpdatedAt;
+  }
+  return merged;
+}
+
+// ── Sync ──────────────────────────────────────────────────────────────────────
+
+interface Outcome {
+  agreed: string | null;                 // new common state (null = gone)
+  local?: string | null;                 // write locally (null = delete)
+  push?:  SyncRecord;                    // write to the folder
+  conflict?: boolean;
+}
+
+/**
+ * Decides one record.  `local` / `remote` are data strings or null when the
+ * item doesn't exist on that side; a missing remote file counts as unchanged.
+ */
+function decide(
+  id: string,
+  kind: Kind,
+  base: string | undefined,
+  local: string | null,
+  rec: SyncRecord | undefined,
+  localArchived: boolean,
+  stamp: { updatedAt: string; machine: string },
+): Outcome {
+  const remote = rec ? (rec.deleted ? null : rec.data as string) : (base ?? null);
+  const record = (data: string | null): SyncRecord => data === null
+    ? { id, ...stamp, deleted: true, ...(localArchived ? { archived: true } : {}) }
+    : { id, ...stamp, data, hmac: signData(data) };
+  const needsPush = (data: string | null): boolean =>
+    !rec || (data === null ? !rec.deleted : rec.data !== data);
+
+  const localChanged  = local !== (base ?? null);
+  const remoteChanged = remote !== (base ?? null);
+
+  if (local === remote || !remoteChanged) {
+    return { agreed: local, ...(needsPush(local) && (local !== null || rec) ? { push: record(local) } : {}) };
+  }
+  if (!localChanged || local === null) {
+    // Remote change (or an edit on the other side of a local delete — edits win)
+    return { agreed: remote, local: remote, ...(local === null && remote !== null && localChanged ? { conflict: true } : {}) };
+  }
+  if (remote === null) {
+    // Deleted there, edited here — keep the edit
+    return { agreed: local, push: record(local), conflict: true };
+  }
+
+  // Edited on both machines
+  const baseObj = base ? JSON.parse(base) : null;
+  const merged = JSON.stringify(kind === 'sessions'
+    ? mergeSession(baseObj, JSON.parse(local), JSON.parse(remote), rec?.machine ?? '?')
+    : mergeThread(baseObj, JSON.parse(local), JSON.parse(remote)));
+  return { agreed: merged, local: merged, push: record(merged), conflict: true };
+}
+
+/**
+ * Runs one sync with `folder`.  Never throws: failures are reported in
+ * `error` and nothing is marked as agreed, so the next run retries.
+ */
+export function syncWithFolder(folder: string): SyncReport {
+  const report: SyncReport = { syncedAt: new Date().toISOString(), pulled: 0, pushed: 0, conflicts: 0, rejected: 0 };
+  const state = loadState(folder);
+  try {
+    if (isEncryptionEnabled()) throw new Error(SYNC_BLOCKED_BY_ENCRYPTION);
+    if (!fs.statSync(folder).isDirectory()) throw new Error(`${folder} is not a folder`);
+    const root = path.join(folder, ROOT_NAME);
+    fs.mkdirSync(path.join(root, 'sessions'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'threads'), { recursive: true });
+
+    withFileLock(path.join(root, 'sync'), () => {
+      shareSigningKey(root);
+      const stamp = { updatedAt: report.syncedAt, machine: os.hostname() };
+      const archivedIds = new Set(listArchivedSessions().map(a => a.session.id));
+      const changes: SyncChanges = { threads: [], deletedThreads: [], sessions: [], deleted: [], archived: [] };
+      const pushes: Array<{ kind: Kind; rec: SyncRecord }> = [];
+
+      const localThreads = new Map(listThreads().map(({ sessionCount: _n, lastCapturedAt: _at, ...th }) => [th.id, JSON.stringify(th)]));
+      const localSessions = new Map(loadAllSessions().map(s => [s.id, JSON.stringify(s)]));
+
+      for (const [kind, local] of [['threads', localThreads], ['sessions', localSessions]] as const) {
+        const remote = readRecords(path.join(root, kind), report);
+        const base   = state[kind];
+        const ids    = new Set([...local.keys(), ...remote.keys(), ...Object.keys(base)]);
+        // Rows that exist but failed their HMAC check aren't "deleted" — leave
+        // them alone until the integrity check has dealt with them
+        const unverified = new Set(listRowIds(kind).filter(id => !local.has(id)));
+        for (const id of ids) {
+          if (unverified.has(id)) continue;
+          const rec = remote.get(id);
+          const out = decide(id, kind, base[id], local.get(id) ?? null, rec, archivedIds.has(id), stamp);
+          if (out.push) pushes.push({ kind, rec: out.push });
+          if (out.conflict) report.conflicts++;
+          if (out.local !== undefined) {
+            report.pulled++;
+            if (out.local !== null && kind === 'sessions') changes.sessions.push(JSON.parse(out.local));
+            if (out.local !== null && kind === 'threads')  changes.threads.push(JSON.parse(out.local));
+            if (out.local === null && kind === 'threads')  changes.deletedThreads.push(id);
+            if (out.local === null && kind === 'sessions') (rec?.archived ? changes.archived : changes.deleted).push(id);
+          }
+          if (out.agreed === null) delete base[id];
+          else base[id] = out.agreed;
+        }
+      }
+
+      applySyncChanges(changes);
+      for (const { kind, rec } of pushes) {
+        writeFileAtomic(path.join(root, kind, `${rec.id}.json`), JSON.stringify(rec));
+        report.pushed++;
+      }
+    });
+    state.lastReport = report;
+    saveState(state);
+    console.log(`[TK] Sync: ${report.pulled} pulled, ${report.pushed} pushed, ${report.conflicts} merged`);
+  } catch (err) {
+    report.error = (err as Error).message;
+    console.warn('[TK] Sync failed:', report.error);
+    try { saveState({ ...loadState(folder), lastReport: report }); } catch { /* ignore */ }
+  }
+  return report;
+}
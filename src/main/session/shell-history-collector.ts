@@ -0,0 +1,217 @@
+/**
+ * shell-history-collector.ts
+ *
+ * Recent terminal commands from bash, zsh and PowerShell (PSReadLine), plus
+ * the working directories of the interactive shells that are still open.
+ *
+ * Timestamps are used where the shell writes them:
+ *   bash  "#1700000000" comment lines (HISTTIMEFORMAT set)
+ *   zsh   ": 1700000000:0;command" (EXTENDED_HISTORY)
+ * Without timestamps (plain bash / zsh files, PSReadLine) the newest
+ * MAX_UNTIMED commands are taken, and only when the file was written inside
+ * the capture window.  Every command goes through redactSecrets(), the same
+ * rules the clipboard uses.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { isMac, isLinux, isWin, getXdgDataHome } from '../platform';
+import { redactSecrets } from './redact';
+
+const execFileAsync = promisify(execFile);
+
+export type ShellName = 'bash' | 'zsh' | 'pwsh';
+
+export interface ShellCommand {
+  shell:   ShellName;
+  command: string;
+  at?:     string; // ISO timestamp, when the shell recorded one
+}
+
+export interface ShellHistory {
+  commands: ShellCommand[]; // newest first
+  cwds:     string[];       // working directories of open interactive shells
+}
+
+const TAIL_BYTES      = 256 * 1024; // history files can be huge — only the end matters
+const MAX_COMMANDS    = 30;
+const MAX_UNTIMED     = 10;         // per file without timestamps
+const MAX_CMD_CHARS   = 300;
+const SHELL_PROCESSES = new Set(['bash', 'zsh', 'fish', 'pwsh', 'sh']);
+
+interface HistoryFile {
+  shell: ShellName;
+  file:  string;
+}
+
+function historyFiles(): HistoryFile[] {
+  const home = os.homedir();
+  const histfile = process.env.HISTFILE; // the shell that launched us, if any
+  const files: HistoryFile[] = [
+    { shell: 'bash', file: path.join(home, '.bash_history') },
+    { shell: 'zsh',  file: path.join(home, '.zsh_history') },
+    { shell: 'zsh',  file: path.join(home, '.histfile') },
+    {
+      shell: 'pwsh',
+      file: isWin
+        ? path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'Microsoft', 'Windows', 'PowerShell', 'PSReadLine', 'ConsoleHost_history.txt')
+        : path.join(getXdgDataHome(), 'powershell', 'PSReadLine', 'ConsoleHost_history.txt'),
+    },
+  ];
+  if (histfile && path.isAbsolute(histfile) && !files.some(f => f.file === histfile)) {
+    files.push({ shell: /zsh/.test(histfile) ? 'zsh' : 'bash', file: histfile });
+  }
+  return files;
+}
+
+/** The last TAIL_BYTES of a file, starting at a line boundary. */
+function readTail(file: string): Buffer | null {
+  let fd: number;
+  try { fd = fs.openSync(file, 'r'); } catch { return null; }
+  try {
+    const size  = fs.fstatSync(fd).size;
+    const start = Math.max(0, size - TAIL_BYTES);
+    const buf   = Buffer.alloc(size - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+    if (start === 0) return buf;
+    const nl = buf.indexOf(0x0a);
+    return nl >= 0 ? buf.subarray(nl + 1) : Buffer.alloc(0);
+  } catch {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** zsh stores bytes >= 0x80 "metafied": 0x83 followed by the byte XOR 0x20. */
+function unmetafy(buf: Buffer): string {
+  const out = Buffer.alloc(buf.length);
+  let n = 0;
+  for (let i = 0; i < buf.length; i++) {
+    if (buf[i] === 0x83 && i + 1 < buf.length) out[n++] = buf[++i] ^ 0x20;
+    else out[n++] = buf[i];
+  }
+  return out.subarray(0, n).toString('utf-8');
+}
+
+interface RawCommand { command: string; ts?: number } // ts in ms
+
+export function parseBashHistory(text: string): RawCommand[] {
+  const out: RawCommand[] = [];
+  let ts: number | undefined;
+  for (const line of text.split('\n')) {
+    const m = /^#(\d{9,11})$/.exec(line);
+    if (m) { ts = Number(m[1]) * 1000; continue; }
+    if (line.trim()) out.push({ command: line, ts });
+    ts = undefined;
+  }
+  return out;
+}
+
+export function parseZshHistory(text: string): RawCommand[] {
+  const out: RawCommand[] = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    // Multi-line commands end each continued line with a backslash
+    while (line.endsWith('\\') && i + 1 < lines.length) line = line.slice(0, -1) + '\n' + lines[++i];
+    const m = /^: (\d+):\d+;([\s\S]*)$/.exec(line);
+    if (m) out.push({ command: m[2], ts: Number(m[1]) * 1000 });
+    else if (line.trim()) out.push({ command: line });
+  }
+  return out;
+}
+
+export function parsePsReadLineHistory(text: string): RawCommand[] {
+  const out: RawCommand[] = [];
+  const lines = text.replace(/\r/g, '').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    // Continuation lines end with a backtick
+    while (line.endsWith('`') && i + 1 < lines.length) line = line.slice(0, -1) + '\n' + lines[++i];
+    if (line.trim()) out.push({ command: line });
+  }
+  return out;
+}
+
+function readHistoryFile(h: HistoryFile, sinceMs: number): ShellCommand[] {
+  let mtimeMs: number;
+  try { mtimeMs = fs.statSync(h.file).mtimeMs; } catch { return []; }
+  if (mtimeMs < sinceMs) return []; // nothing written during the capture window
+  const buf = readTail(h.file);
+  if (!buf) return [];
+
+  const raw = h.shell === 'zsh'  ? parseZshHistory(unmetafy(buf))
+            : h.shell === 'bash' ? parseBashHistory(buf.toString('utf-8'))
+            : parsePsReadLineHistory(buf.toString('utf-8'));
+  const timed = raw.some(r => r.ts !== undefined);
+  const picked = timed
+    ? raw.filter(r => r.ts !== undefined && r.ts >= sinceMs)
+    : raw.slice(-MAX_UNTIMED);
+  return picked.map(r => ({
+    shell:   h.shell,
+    command: redactSecrets(r.command.trim()).substring(0, MAX_CMD_CHARS),
+    ...(r.ts !== undefined ? { at: new Date(r.ts).toISOString() } : {}),
+  }));
+}
+
+// ── Working directories of open shells ───────────────────────────────────────
+
+function shellCwdsLinux(): string[] {
+  const out: string[] = [];
+  let pids: string[];
+  try { pids = fs.readdirSync('/proc').filter(p => /^\d+$/.test(p)); } catch { return []; }
+  for (const pid of pids) {
+    try {
+      const comm = fs.readFileSync(`/proc/${pid}/comm`, 'utf-8').trim();
+      if (!SHELL_PROCESSES.has(comm)) continue;
+      // Interactive shells have a terminal: field 7 (tty_nr) of /proc/pid/stat is non-zero
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+      const ttyNr = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[4]);
+      if (!ttyNr) continue;
+      out.push(fs.readlinkSync(`/proc/${pid}/cwd`));
+    } catch { /* process gone or not ours */ }
+  }
+  return out;
+}
+
+async function shellCwdsMac(): Promise<string[]> {
+  try {
+    const { stdout } = await execFileAsync('/usr/sbin/lsof',
+      ['-a', '-d', 'cwd', '-c', 'zsh', '-c', 'bash', '-c', 'fish', '-c', 'pwsh', '-Fn', '-u', os.userInfo().username],
+      { timeout: 4000 });
+    return stdout.split('\n').filter(l => l.startsWith('n/')).map(l => l.slice(1));
+  } catch {
+    return [];
+  }
+}
+
+async function collectShellCwds(): Promise<string[]> {
+  const cwds = isLinux ? shellCwdsLinux() : isMac ? await shellCwdsMac() : []; // Windows exposes no cwd of other processes
+  const home = os.homedir();
+  return Array.from(new Set(cwds)).filter(d => d !== home && d !== '/').slice(0, 10);
+}
+
+/**
+ * Commands run in the last `minutesBack` minutes (newest first) and the
+ * directories open shells sit in.  Never throws.
+ */
+export async function collectShellHistory(minutesBack: number): Promise<ShellHistory> {
+  const sinceMs = Date.now() - minutesBack * 60_000;
+  const [cwds, perFile] = await Promise.all([
+    collectShellCwds().catch(() => []),
+    Promise.resolve().then(() => historyFiles().map(h => readHistoryFile(h, sinceMs))).catch(() => []),
+  ]);
+
+  // Timed commands by time; untimed ones keep file order behind them
+  const commands = perFile.flat().map((c, i) => ({ c, i }))
+    .sort((a, b) => (b.c.at ?? '').localeCompare(a.c.at ?? '') || b.i - a.i)
+    .map(x => x.c)
+    .filter((c, i, all) => i === 0 || c.command !== all[i - 1].command) // drop immediate repeats
+    .slice(0, MAX_COMMANDS);
+
+  return { commands, cwds };
+}
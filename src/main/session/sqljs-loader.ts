@@ -0,0 +1,129 @@
+/**
+ * sqljs-loader.ts
+ *
+ * Shared loader for sql.js (SQLite compiled to WebAssembly).
+ * Used by history-collector.ts (reading browser DBs) and session-store.ts
+ * (the session database).  The WASM module is initialized once and cached.
+ *
+ * sql.js ships no TypeScript types, so the subset of its API we use is
+ * declared here.
+ *
+ * sql.js opens a database from a single in-memory buffer and never sees a
+ * "-wal" file, so mergeWal() folds committed WAL frames into the main file
+ * first (Firefox keeps recent history in places.sqlite-wal).
+ */
+
+import * as path from 'path';
+import { app }   from 'electron';
+
+// ── Types ─────────────────────────────────────────────────────────────────────
+
+export type SqlValue = string | number | null | Uint8Array;
+
+export interface SqlJsExecResult {
+  columns: string[];
+  values:  SqlValue[][];
+}
+
+export interface SqlJsDatabase {
+  run:    (sql: string, params?: SqlValue[]) => void;
+  exec:   (sql: string, params?: SqlValue[]) => SqlJsExecResult[];
+  export: () => Uint8Array;
+  close:  () => void;
+}
+
+export interface SqlJsStatic {
+  Database: new (data?: ArrayLike<number> | Buffer | null) => SqlJsDatabase;
+}
+
+// ── Loader ────────────────────────────────────────────────────────────────────
+
+let sqlJsCache: SqlJsStatic | null = null;
+
+export async function getSqlJs(): Promise<SqlJsStatic | null> {
+  if (sqlJsCache) return sqlJsCache;
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const initSqlJs = require('sql.js');
+    const wasmPath  = path.join(app.getAppPath(), 'node_modules', 'sql.js', 'dist', 'sql-wasm.wasm');
+    sqlJsCache = await initSqlJs({ locateFile: () => wasmPath }) as SqlJsStatic;
+    return sqlJsCache;
+  } catch (e) {
+    console.warn('[TK] sql.js load error:', e);
+    return null;
+  }
+}
+
+// ── WAL ───────────────────────────────────────────────────────────────────────
+//
+// WAL file: 32-byte header, then frames of a 24-byte header + one page.
+//   header: magic (0x377f0682 little-endian / 0x377f0683 big-endian checksums),
+//           version, page size, checkpoint seq, salt-1, salt-2, checksum-1/2
+//   frame:  page number, db size in pages (non-zero = commit), salt-1, salt-2,
+//           cumulative checksum-1/2 over all previous frames
+// Only frames up to the last valid commit are applied, exactly as SQLite
+// would on recovery.
+
+const WAL_HEADER_SIZE = 32;
+const WAL_FRAME_HEADER_SIZE = 24;
+
+function walChecksum(buf: Buffer, start: number, end: number, bigEndian: boolean, s: [number, number]): [number, number] {
+  let [s0, s1] = s;
+  for (let i = start; i < end; i += 8) {
+    const x0 = bigEndian ? buf.readUInt32BE(i)     : buf.readUInt32LE(i);
+    const x1 = bigEndian ? buf.readUInt32BE(i + 4) : buf.readUInt32LE(i + 4);
+    s0 = (s0 + x0 + s1) >>> 0;
+    s1 = (s1 + x1 + s0) >>> 0;
+  }
+  return [s0, s1];
+}
+
+/**
+ * Returns a copy of `db` with the committed frames of `wal` applied, marked
+ * as a rollback-journal database so sql.js opens it as a plain file.
+ */
+export function mergeWal(db: Buffer, wal: Buffer | null): Buffer {
+  const out = applyWalFrames(db, wal) ?? Buffer.from(db);
+  // File format bytes 18/19 = 2 mark WAL mode
+  if (out.length > 19 && out[18] === 2) { out[18] = 1; out[19] = 1; }
+  return out;
+}
+
+function applyWalFrames(db: Buffer, wal: Buffer | null): Buffer | null {
+  if (!wal || wal.length < WAL_HEADER_SIZE) return null;
+  const magic = wal.readUInt32BE(0);
+  if (magic !== 0x377f0682 && magic !== 0x377f0683) return null;
+  const bigEndian = magic === 0x377f0683;
+  const pageSize  = wal.readUInt32BE(8) || 65536;
+  const salt1 = wal.readUInt32BE(16);
+  const salt2 = wal.readUInt32BE(20);
+
+  let sum = walChecksum(wal, 0, 24, bigEndian, [0, 0]);
+  if (sum[0] !== wal.readUInt32BE(24) || sum[1] !== wal.readUInt32BE(28)) return null;
+
+  const pending = new Map<number, number>(); // page number → frame offset
+  const committed = new Map<number, number>();
+  let dbPages = 0;
+  for (let off = WAL_HEADER_SIZE; off + WAL_FRAME_HEADER_SIZE + pageSize <= wal.length; off += WAL_FRAME_HEADER_SIZE + pageSize) {
+    if (wal.readUInt32BE(off + 8) !== salt1 || wal.readUInt32BE(off + 12) !== salt2) break;
+    sum = walChecksum(wal, off, off + 8, bigEndian, sum);
+    sum = walChecksum(wal, off + WAL_FRAME_HEADER_SIZE, off + WAL_FRAME_HEADER_SIZE + pageSize, bigEndian, sum);
+    if (sum[0] !== wal.readUInt32BE(off + 16) || sum[1] !== wal.readUInt32BE(off + 20)) break;
+
+    pending.set(wal.readUInt32BE(off), off + WAL_FRAME_HEADER_SIZE);
+    const commitSize = wal.readUInt32BE(off + 4);
+    if (commitSize > 0) {
+      for (const [page, at] of pending) committed.set(page, at);
+      pending.clear();
+      dbPages = commitSize;
+    }
+  }
+  if (committed.size === 0) return null;
+
+  const out = Buffer.alloc(dbPages * pageSize);
+  db.copy(out, 0, 0, Math.min(db.length, out.length));
+  for (const [page, at] of committed) {
+    if (page >= 1 && page <= dbPages) wal.copy(out, (page - 1) * pageSize, at, at + pageSize);
+  }
+  return out;
+}
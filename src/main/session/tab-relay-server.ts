@@ -4,8 +4,13 @@
  * Tiny HTTP server (localhost:9224) that receives tab data
  * from the ThreadKeeper browser extension and holds it in memory.
  *
- * The browser extension POSTs { url, title, active, windowId }[]
- * whenever tabs change. browser-collector.ts reads via getRelayTabs().
+ * The browser extension POSTs { account, privateTabs, tabs: { url, title, active, windowId }[] }
+ * whenever tabs change (older versions POST the bare array).  `account` is the
+ * browser profile's signed-in email, or '' — each profile running the
+ * extension keeps its own snapshot, so profiles don't overwrite each other.
+ * `privateTabs` counts incognito tabs the extension kept to itself; a tab
+ * that still arrives flagged `incognito` is dropped here and counted too.
+ * browser-collector.ts reads via getRelayTabs() / getRelayPrivateTabCount().
  *
  * Security:
  *  - HIGH-02: CORS restricted to browser-extension origins; auth token required
@@ -23,24 +28,31 @@ export interface RelayTab {
   title: string;
   active: boolean;
   windowId?: number;
+  account?: string; // signed-in email of the sending browser profile
 }
 
 const RELAY_PORT = 9224;
 const MAX_BODY_BYTES = 1 * 1024 * 1024; // MEDIUM-02: 1 MB limit
 const TOKEN_FILE = path.join(getAppDataDir(), '.relay-token');
 
-let latestTabs: RelayTab[] = [];
+const latestTabs = new Map<string, RelayTab[]>(); // account → tabs
+const privateTabs = new Map<string, number>();    // account → incognito tabs left out
 let server: http.Server | null = null;
 let authToken: string = '';
 
 /** Returns the most recent tab snapshot from the browser extension. */
 export function getRelayTabs(): RelayTab[] {
-  return latestTabs;
+  return Array.from(latestTabs.values()).flat();
+}
+
+/** Number of incognito / InPrivate tabs the extension reported but did not send. */
+export function getRelayPrivateTabCount(): number {
+  return Array.from(privateTabs.values()).reduce((sum, n) => sum + n, 0);
 }
 
 /** Returns true if at least one tab has been received from the extension. */
 export function isRelayConnected(): boolean {
-  return latestTabs.length > 0;
+  return getRelayTabs().length > 0;
 }
 
 /** Returns the current auth token (for passing to extension via other channels). */
@@ -152,11 +164,18 @@ export function startRelayServer(): void {
       req.on('end', () => {
         try {
           const parsed = JSON.parse(body);
-          if (Array.isArray(parsed)) {
-            latestTabs = (parsed as RelayTab[]).filter(
-              t => t.url && /^https?:\/\//.test(t.url)
-            );
-            console.log(`[TK] Relay: ${latestTabs.length} tabs received from extension`);
+          const tabs    = Array.isArray(parsed) ? parsed : parsed?.tabs;
+          const account = typeof parsed?.account === 'string' ? parsed.account : '';
+          if (Array.isArray(tabs)) {
+            const incoming = tabs as Array<RelayTab & { incognito?: boolean }>;
+            const incognito = incoming.filter(t => t.incognito === true).length;
+            const valid = incoming
+              .filter(t => t.incognito !== true && t.url && /^https?:\/\//.test(t.url))
+              .map(t => ({ ...t, ...(account ? { account } : {}) }));
+            const reported = Number(parsed?.privateTabs);
+            latestTabs.set(account, valid);
+            privateTabs.set(account, incognito + (Number.isInteger(reported) && reported > 0 ? reported : 0));
+            console.log(`[TK] Relay: ${valid.length} tabs received from extension${account ? ' (signed-in profile)' : ''}`);
           }
         } catch { /* ignore malformed body */ }
         res.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -173,7 +192,7 @@ export function startRelayServer(): void {
         return;
       }
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(latestTabs));
+      res.end(JSON.stringify(getRelayTabs()));
       return;
     }
 
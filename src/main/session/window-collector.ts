@@ -1,6 +1,9 @@
+import * as fs from 'fs';
+import * as path from 'path';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
-import { isMac } from '../platform';
+import { isMac, isLinux } from '../platform';
+import { isPrivateBrowserWindow } from './browser-collector';
 
 const execFileAsync = promisify(execFile);
 
@@ -95,6 +98,82 @@ async function collectWindowsMac(): Promise<WindowInfo[]> {
   }
 }
 
-export async function collectWindows(): Promise<WindowInfo[]> {
-  return isMac ? collectWindowsMac() : collectWindowsWin();
+/** Executable name of a Linux process (e.g. "code", "firefox"), or '' if gone. */
+function linuxProcessName(pid: number): string {
+  if (!(pid > 0)) return '';
+  try { return path.basename(fs.readlinkSync(`/proc/${pid}/exe`)); } catch { /* not ours to read */ }
+  try { return fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim(); } catch { return ''; }
+}
+
+/**
+ * X11 (and XWayland) windows via `wmctrl -lpx`.  Output columns:
+ *   window-id  desktop  pid  wm-class  host  title…
+ * Desktop -1 marks panels / docks, which are skipped.
+ */
+async function collectWindowsWmctrl(): Promise<WindowInfo[]> {
+  const { stdout } = await execFileAsync('wmctrl', ['-lpx'], { timeout: 10000, encoding: 'utf8' });
+  return stdout.split('\n')
+    .map(line => /^\S+\s+(-?\d+)\s+(\d+)\s+(\S+)\s+\S+\s+(.*)$/.exec(line))
+    .filter((m): m is RegExpExecArray => !!m && m[1] !== '-1')
+    .map(m => ({
+      // WM_CLASS is "instance.Class" — the process name is more useful for restore
+      name:  linuxProcessName(Number(m[2])) || m[3].split('.').pop() || m[3],
+      title: m[4].trim(),
+    }))
+    .filter(w => w.title.length > 0);
+}
+
+interface SwayNode {
+  pid?: number;
+  name?: string | null;
+  app_id?: string | null;
+  nodes?: SwayNode[];
+  floating_nodes?: SwayNode[];
+}
+
+/** Native Wayland windows under sway (wmctrl only sees XWayland clients there). */
+async function collectWindowsSway(): Promise<WindowInfo[]> {
+  const { stdout } = await execFileAsync('swaymsg', ['-t', 'get_tree', '-r'], {
+    timeout: 10000, encoding: 'utf8', maxBuffer: 16 * 1024 * 1024,
+  });
+  const out: WindowInfo[] = [];
+  const walk = (node: SwayNode): void => {
+    if (node.pid && node.name) {
+      out.push({ name: linuxProcessName(node.pid) || node.app_id || '', title: node.name });
+    }
+    for (const child of [...(node.nodes ?? []), ...(node.floating_nodes ?? [])]) walk(child);
+  };
+  walk(JSON.parse(stdout) as SwayNode);
+  return out.filter(w => w.name && w.title);
+}
+
+async function collectWindowsLinux(): Promise<WindowInfo[]> {
+  if (process.env.SWAYSOCK) {
+    try { return await collectWindowsSway(); } catch (e) {
+      console.warn('[TK] window-collector swaymsg failed:', (e as Error).message);
+    }
+  }
+  try {
+    return await collectWindowsWmctrl();
+  } catch (e) {
+    if ((e as NodeJS.ErrnoException).code === 'ENOENT') {
+      console.warn('[TK] window-collector: install wmctrl to capture open windows');
+    } else {
+      console.error('[TK] window-collector Linux error:', e);
+    }
+    return [];
+  }
+}
+
+/** The open windows, and how many private browser windows were left out. */
+export interface CollectedWindows {
+  windows:        WindowInfo[];
+  privateWindows: number;
+}
+
+export async function collectWindows(): Promise<CollectedWindows> {
+  const all = isMac ? await collectWindowsMac() : isLinux ? await collectWindowsLinux() : await collectWindowsWin();
+  // A private browser window's title is the page it shows
+  const windows = all.filter(w => !isPrivateBrowserWindow(w.name, w.title));
+  return { windows, privateWindows: all.length - windows.length };
 }
@@ -0,0 +1,235 @@
+/**
+ * workspace-collector.ts
+ *
+ * Which editor workspaces were open — as paths, not just window titles.
+ *
+ * VS Code (and Insiders / VSCodium / Cursor) keeps its recently opened
+ * folders, .code-workspace files and files in User/globalStorage/state.vscdb
+ * (key "history.recentlyOpenedPathsList") and the windows of the last
+ * session in storage.json.  The title of each running window carries the
+ * root name ("main.ts - thread-keeper - Visual Studio Code"), which picks
+ * the open ones out of that list.
+ *
+ * JetBrains IDEs list their projects in <config>/JetBrains/<Product><ver>/
+ * options/recentProjects.xml; projects in an open frame carry opened="true".
+ * Those are taken while a window of that IDE is on screen.
+ *
+ * restore-session (main.ts) reopens each workspace in its editor.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { getUserConfigRoot } from '../platform';
+import { getSqlJs, mergeWal } from './sqljs-loader';
+import type { WindowInfo } from './window-collector';
+
+export interface EditorWorkspace {
+  editor: 'vscode' | 'jetbrains';
+  app:    string;                          // VS Code flavor ('Code', 'Cursor', …) or JetBrains product ('PyCharm2024.2')
+  kind:   'folder' | 'workspace' | 'file'; // workspace = .code-workspace file
+  path:   string;
+}
+
+interface VsCodeFlavor {
+  dir:       string;   // user-data folder name under getUserConfigRoot()
+  scheme:    string;   // URL scheme the editor registers (scheme://file/<path>)
+  processes: string[]; // window process names, lower-case, without .exe
+}
+
+export const VSCODE_FLAVORS: VsCodeFlavor[] = [
+  { dir: 'Code',            scheme: 'vscode',          processes: ['code'] },
+  { dir: 'Code - Insiders', scheme: 'vscode-insiders', processes: ['code - insiders'] },
+  { dir: 'VSCodium',        scheme: 'vscodium',        processes: ['codium', 'vscodium'] },
+  { dir: 'Cursor',          scheme: 'cursor',          processes: ['cursor'] },
+];
+
+interface JetBrainsProduct {
+  match:   RegExp; // config folder name, e.g. 'IntelliJIdea2024.2'
+  cli:     string; // launcher name (idea, idea64.exe, idea.sh)
+  macApps: string[];
+}
+
+export const JETBRAINS_PRODUCTS: JetBrainsProduct[] = [
+  { match: /^IntelliJIdea/, cli: 'idea',      macApps: ['IntelliJ IDEA', 'IntelliJ IDEA Ultimate'] },
+  { match: /^IdeaIC/,       cli: 'idea',      macApps: ['IntelliJ IDEA CE', 'IntelliJ IDEA Community Edition'] },
+  { match: /^PyCharmCE/,    cli: 'pycharm',   macApps: ['PyCharm CE', 'PyCharm Community Edition'] },
+  { match: /^PyCharm/,      cli: 'pycharm',   macApps: ['PyCharm', 'PyCharm Professional Edition'] },
+  { match: /^WebStorm/,     cli: 'webstorm',  macApps: ['WebStorm'] },
+  { match: /^GoLand/,       cli: 'goland',    macApps: ['GoLand'] },
+  { match: /^CLion/,        cli: 'clion',     macApps: ['CLion'] },
+  { match: /^Rider/,        cli: 'rider',     macApps: ['Rider'] },
+  { match: /^PhpStorm/,     cli: 'phpstorm',  macApps: ['PhpStorm'] },
+  { match: /^RubyMine/,     cli: 'rubymine',  macApps: ['RubyMine'] },
+  { match: /^DataGrip/,     cli: 'datagrip',  macApps: ['DataGrip'] },
+  { match: /^RustRover/,    cli: 'rustrover', macApps: ['RustRover'] },
+];
+
+const JETBRAINS_PROCESSES = new Set(
+  JETBRAINS_PRODUCTS.flatMap(p => [p.cli, `${p.cli}64`, ...p.macApps.map(a => a.toLowerCase())]),
+);
+
+const MAX_WORKSPACES = 10;
+
+function processKey(name: string): string {
+  return name.toLowerCase().replace(/\.exe$/, '');
+}
+
+function fromFileUri(uri: unknown): string | null {
+  if (typeof uri !== 'string' || !uri.startsWith('file://')) return null; // remote / virtual workspaces can't be reopened locally
+  try { return fileURLToPath(uri); } catch { return null; }
+}
+
+// ── VS Code ─────────────────────────────────────────────────────────────────
+
+type Candidate = Pick<EditorWorkspace, 'kind' | 'path'>;
+
+async function readRecentlyOpened(userDir: string): Promise<Candidate[]> {
+  const dbPath = path.join(userDir, 'User', 'globalStorage', 'state.vscdb');
+  if (!fs.existsSync(dbPath)) return [];
+  const SQL = await getSqlJs();
+  if (!SQL) return [];
+
+  let raw: string | null = null;
+  try {
+    let wal: Buffer | null = null;
+    try { wal = fs.readFileSync(`${dbPath}-wal`); } catch { /* no WAL */ }
+    const db = new SQL.Database(mergeWal(fs.readFileSync(dbPath), wal));
+    try {
+      const res = db.exec("SELECT value FROM ItemTable WHERE key = 'history.recentlyOpenedPathsList'");
+      const v = res[0]?.values[0]?.[0];
+      raw = typeof v === 'string' ? v : v instanceof Uint8Array ? Buffer.from(v).toString('utf-8') : null;
+    } finally {
+      db.close();
+    }
+  } catch (err) {
+    console.warn('[TK] VS Code state read failed:', (err as Error).message);
+    return [];
+  }
+  if (!raw) return [];
+
+  const out: Candidate[] = [];
+  try {
+    const entries = (JSON.parse(raw) as { entries?: Array<Record<string, unknown>> }).entries ?? [];
+    for (const e of entries) {
+      const ws = e.workspace as Record<string, unknown> | undefined;
+      const folder = fromFileUri(e.folderUri);
+      const config = fromFileUri(ws?.configPath);
+      const file   = fromFileUri(e.fileUri);
+      if (folder) out.push({ kind: 'folder', path: folder });
+      else if (config) out.push({ kind: 'workspace', path: config });
+      else if (file) out.push({ kind: 'file', path: file });
+    }
+  } catch { /* ignore */ }
+  return out;
+}
+
+/** Windows of the last session from storage.json (older builds keep the recent list there too). */
+function readWindowsState(userDir: string): Candidate[] {
+  let storage: Record<string, unknown>;
+  try {
+    storage = JSON.parse(fs.readFileSync(path.join(userDir, 'User', 'globalStorage', 'storage.json'), 'utf-8'));
+  } catch {
+    return [];
+  }
+  const state = storage.windowsState as { lastActiveWindow?: unknown; openedWindows?: unknown[] } | undefined;
+  const windows = [state?.lastActiveWindow, ...(state?.openedWindows ?? [])] as Array<Record<string, unknown> | undefined>;
+  const out: Candidate[] = [];
+  for (const w of windows) {
+    if (!w) continue;
+    const ws = (w.workspaceIdentifier ?? w.workspace) as Record<string, unknown> | undefined;
+    const folder = fromFileUri(w.folder);
+    const config = fromFileUri(ws?.configURIPath ?? ws?.configPath);
+    if (folder) out.push({ kind: 'folder', path: folder });
+    else if (config) out.push({ kind: 'workspace', path: config });
+  }
+  return out;
+}
+
+/** The name VS Code shows for a root in its title bar. */
+function rootName(c: Candidate): string {
+  if (c.kind === 'workspace') return `${path.basename(c.path).replace(/\.code-workspace$/, '')} (Workspace)`;
+  return path.basename(c.path);
+}
+
+async function collectVsCode(windows: WindowInfo[]): Promise<EditorWorkspace[]> {
+  const out: EditorWorkspace[] = [];
+  for (const flavor of VSCODE_FLAVORS) {
+    const titles = windows.filter(w => flavor.processes.includes(processKey(w.name))).map(w => w.title);
+    if (titles.length === 0) continue;
+    const userDir = path.join(getUserConfigRoot(), flavor.dir);
+    if (!fs.existsSync(userDir)) continue;
+
+    // "● file.ts - root - Visual Studio Code" → title parts; a window without a folder shows only the file
+    const parts = new Set(titles.flatMap(t => t.split(/\s+[-—]\s+/).map(p => p.replace(/^[●•]\s*/, '').replace(/\s*\[[^\]]*\]$/, '').trim())));
+    const candidates = [...await readRecentlyOpened(userDir), ...readWindowsState(userDir)];
+    const seen = new Set<string>();
+    const fileNames = new Set<string>(); // the newest "index.ts" is the one in the title
+    for (const c of candidates) {
+      if (seen.has(c.path) || !parts.has(rootName(c))) continue;
+      seen.add(c.path);
+      if (c.kind === 'file') {
+        if (fileNames.has(rootName(c))) continue;
+        fileNames.add(rootName(c));
+      }
+      if (fs.existsSync(c.path)) out.push({ editor: 'vscode', app: flavor.dir, ...c });
+    }
+  }
+  return out;
+}
+
+// ── JetBrains ───────────────────────────────────────────────────────────────
+
+function decodeXml(s: string): string {
+  return s.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/** Open projects listed in one recentProjects.xml, newest activation first. */
+export function parseRecentProjects(xml: string, home = os.homedir()): string[] {
+  const projects: Array<{ path: string; ts: number }> = [];
+  const entryRe = /<entry key="([^"]+)">([\s\S]*?)<\/entry>/g;
+  let m: RegExpExecArray | null;
+  while ((m = entryRe.exec(xml)) !== null) {
+    const meta = /<RecentProjectMetaInfo\b([^>]*)>/.exec(m[2]);
+    if (!meta || !/\bopened="true"/.test(meta[1])) continue;
+    const ts = /<option name="activationTimestamp" value="(\d+)"/.exec(m[2]);
+    const p = decodeXml(m[1]).replace(/\$USER_HOME\$/g, home);
+    projects.push({ path: path.normalize(p), ts: ts ? Number(ts[1]) : 0 });
+  }
+  return projects.sort((a, b) => b.ts - a.ts).map(p => p.path);
+}
+
+function collectJetBrains(windows: WindowInfo[]): EditorWorkspace[] {
+  if (!windows.some(w => JETBRAINS_PROCESSES.has(processKey(w.name)))) return [];
+  const root = path.join(getUserConfigRoot(), 'JetBrains');
+  let dirs: string[];
+  try { dirs = fs.readdirSync(root); } catch { return []; }
+
+  const out: EditorWorkspace[] = [];
+  for (const dir of dirs) {
+    if (!JETBRAINS_PRODUCTS.some(p => p.match.test(dir))) continue;
+    let xml: string;
+    try { xml = fs.readFileSync(path.join(root, dir, 'options', 'recentProjects.xml'), 'utf-8'); } catch { continue; }
+    for (const p of parseRecentProjects(xml)) {
+      if (fs.existsSync(p)) out.push({ editor: 'jetbrains', app: dir, kind: 'folder', path: p });
+    }
+  }
+  return out;
+}
+
+/** Workspaces open in VS Code-family editors and JetBrains IDEs.  Never throws. */
+export async function collectEditorWorkspaces(windows: WindowInfo[]): Promise<EditorWorkspace[]> {
+  const [vscode, jetbrains] = await Promise.all([
+    collectVsCode(windows).catch(err => { console.warn('[TK] VS Code workspaces failed:', (err as Error).message); return []; }),
+    Promise.resolve().then(() => collectJetBrains(windows)).catch(() => []),
+  ]);
+  // The same project open in two JetBrains versions' configs counts once
+  const seen = new Set<string>();
+  return [...vscode, ...jetbrains].filter(w => {
+    const key = `${w.editor}\t${w.path}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_WORKSPACES);
+}
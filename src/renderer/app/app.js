@@ -7,6 +7,17 @@ let config = {};
 let pendingSession = null;
 let isCollecting = false; // true while context is being collected (before pendingSession is set)
 let currentLayout = localStorage.getItem('ck-layout') || 'cards';
+let searchQuery = '';
+let searchResults = null; // null = not searching; otherwise [{ session, score, matches }]
+const pendingDeletes = new Map(); // id → timer; hidden from the list until the undo window ends
+const UNDO_WINDOW_MS = 6000;
+let storeError = null; // set when the session database couldn't be opened (e.g. locked encryption key)
+let archivedSessions = []; // [{ session, archivedAt }] — loaded when the Archive tab opens
+let threads = []; // ThreadInfo[] — most recently active first
+let allTags = []; // [{ tag, count }] — most used first
+const activeTags = new Set(); // tag filter: sessions must carry every tag in here
+let captureTagsTouched = false; // user edited the tag field — late AI suggestions must not overwrite it
+let captureThreadTouched = false; // user picked a thread themselves — a late AI proposal must not override it
 let i18n = {}; // loaded translations
 
 // ── Update state ──
@@ -49,6 +60,11 @@ function applyTranslations() {
     const val = i18n[key];
     if (val && typeof val === 'string') el.label = val;
   });
+  document.querySelectorAll('[data-i18n-title]').forEach(el => {
+    const key = el.dataset.i18nTitle;
+    const val = i18n[key];
+    if (val && typeof val === 'string') el.title = val;
+  });
 }
 
 // ─── Update Banner ───────────────────────────────────────────────────────────
@@ -181,15 +197,31 @@ function formatDate(iso) {
   };
 }
 
-/** Builds the tag chips HTML shared across all 3 layouts.
+/** Pin / compare / export / edit / delete icon buttons shared across all layouts (handled via delegation). */
+function makeSessionActions(s) {
+  const pinTitle = s.pinned ? t('unpin_btn') : t('pin_btn');
+  return '<button class="btn-icon pin' + (s.pinned ? ' active' : '') + '" data-pin="' + esc(s.id) + '" title="' + esc(pinTitle) + '">📌</button>' +
+         '<button class="btn-icon" data-compare="' + esc(s.id) + '" title="' + esc(t('compare_btn')) + '">⇄</button>' +
+         '<button class="btn-icon" data-export="' + esc(s.id) + '" title="' + esc(t('export_btn')) + '">⤓</button>' +
+         '<button class="btn-icon" data-edit="' + esc(s.id) + '" title="' + esc(t('edit_btn')) + '">✎</button>' +
+         '<button class="btn-icon danger" data-delete="' + esc(s.id) + '" title="' + esc(t('delete_btn')) + '">🗑</button>';
+}
+
+/** Builds the tag chips HTML shared across all layouts.
  *  History count is intentionally omitted — all sessions have it and it adds noise. */
 function makeTags(s) {
+  const thread = s.threadId ? findThread(s.threadId) : null;
   const tabCount = (s.browserTabs && s.browserTabs.length) || (s.browserUrls && s.browserUrls.length) || 0;
+  const clipCount = clipboardEntriesOf(s).length;
   return [
     s.windows     && s.windows.length > 0     ? '<span class="tag">🪟 ' + s.windows.length + '</span>'     : '',
     tabCount > 0                               ? '<span class="tag">🌐 ' + tabCount + '</span>'              : '',
     s.recentFiles && s.recentFiles.length > 0  ? '<span class="tag">📁 ' + s.recentFiles.length + '</span>' : '',
-    s.clipboard   && s.clipboard.trim()        ? '<span class="tag">📋</span>'                               : '',
+    clipCount > 0                              ? '<span class="tag">📋' + (clipCount > 1 ? ' ' + clipCount : '') + '</span>' : '',
+    thread                                     ? '<span class="tag thread-tag">🧵 ' + esc(thread.name) + '</span>' : '',
+    s.approved === false                       ? '<button class="tag review-tag" data-review="' + esc(s.id) + '" title="' + esc(t('auto_capture_review_hint')) + '">⏱ ' + esc(t('auto_trigger_' + (s.autoTrigger || 'interval'))) + '</button>' : '',
+    ...(s.tags || []).map(tag =>
+      '<button class="tag user-tag' + (activeTags.has(tag) ? ' active' : '') + '" data-tag-filter="' + esc(tag) + '">#' + esc(tag) + '</button>'),
   ].filter(Boolean).join('');
 }
 
@@ -279,6 +311,7 @@ function switchTab(name) {
   document.querySelectorAll('.panel').forEach(el =>
     el.classList.toggle('active', el.id === 'panel-' + name));
   if (name === 'capture') clearBadge('capture');
+  if (name === 'archive') loadArchive();
 }
 
 function setBadge(tab) {
@@ -554,34 +587,138 @@ function buildDetailHtml(s) {
       '</div>';
   }
 
+  // Editor workspaces — reopened in their editor on restore
+  const workspaces = s.workspaces || [];
+  const workspacesHtml = workspaces.length === 0 ? '' :
+    '<div class="detail-workspaces">' +
+      '<div class="detail-section-title">' + t('detail_workspaces') + '</div>' +
+      '<ul class="detail-list">' + workspaces.map(w => {
+        const name = w.path.split(/[/\\]/).pop() || w.path;
+        return '<li><a class="file-link" href="#" data-path="' + esc(w.path) + '" title="' + esc(w.path) + '">' + esc(name) + '</a>' +
+          ' <span class="tab-domain">' + esc(w.editor === 'vscode' ? w.app.replace(/^Code/, 'VS Code') : w.app) + '</span></li>';
+      }).join('') + '</ul>' +
+    '</div>';
+
+  // Git repositories — branch, ahead/behind, changed files, recent commits, stashes
+  const gitRepos = s.gitRepos || [];
+  const gitHtml = gitRepos.length === 0 ? '' :
+    '<div class="detail-git">' +
+      '<div class="detail-section-title">' + t('detail_git') + '</div>' +
+      gitRepos.map(r => {
+        const changes = (r.changes || []).slice(0, 10);
+        const moreChanges = (r.changedCount || 0) - changes.length;
+        let li = changes.map(c =>
+          '<li><span class="git-status">' + esc(c.status) + '</span>' + esc(c.path) + '</li>').join('');
+        if (moreChanges > 0) li += '<li class="detail-more">' + t('detail_more_files', { n: moreChanges }) + '</li>';
+        li += (r.commits || []).map(c =>
+          '<li><span class="git-status">' + esc(c.hash) + '</span>' + esc(c.subject) + '</li>').join('');
+        li += (r.stashes || []).map(st => '<li><span class="git-status">📦</span>' + esc(st) + '</li>').join('');
+        return '<div class="git-repo">' +
+          '<div class="git-repo-head">' +
+            '<span class="git-repo-name">' + esc(r.name) + '</span>' +
+            '<span class="git-branch">' + esc(r.branch || t('git_detached')) + '</span>' +
+            (r.ahead || r.behind ? '<span class="git-ab">↑' + r.ahead + ' ↓' + r.behind + '</span>' : '') +
+            '<a class="file-link git-repo-path" href="#" data-path="' + esc(r.path) + '" title="' + esc(r.path) + '">' + esc(r.path) + '</a>' +
+          '</div>' +
+          (li ? '<ul class="detail-list">' + li + '</ul>' : '<div class="git-ab">' + t('git_clean') + '</div>') +
+        '</div>';
+      }).join('') +
+    '</div>';
+
+  // Terminal — open shells' directories and the last commands (redacted at capture)
+  const shell = s.shellHistory || { commands: [], cwds: [] };
+  let shellHtml = '';
+  if (shell.commands.length > 0 || shell.cwds.length > 0) {
+    let li = shell.cwds.map(d =>
+      '<li><span class="git-status">📂</span><a class="file-link" href="#" data-path="' + esc(d) + '" title="' + esc(d) + '">' + esc(d) + '</a></li>').join('');
+    li += shell.commands.slice(0, 15).map(c =>
+      '<li class="shell-cmd">' +
+        '<span class="git-status">' + (c.at ? esc(formatDate(c.at).time) : esc(c.shell)) + '</span>' +
+        esc(c.command) +
+      '</li>').join('');
+    shellHtml =
+      '<div class="detail-shell">' +
+        '<div class="detail-section-title">' + t('detail_shell') + '</div>' +
+        '<ul class="detail-list">' + li + '</ul>' +
+      '</div>';
+  }
+
+  // Screenshots — thumbnails fill in lazily (observeShotThumbs), a click opens the lightbox
+  const shots = s.screenshots || [];
+  const shotsHtml = shots.length === 0 ? '' :
+    '<div class="detail-shots">' +
+      '<div class="detail-section-title">' + t('detail_screenshots') + '</div>' +
+      '<div class="shot-grid">' +
+        shots.map((sh, i) =>
+          '<div class="shot-cell">' + buildShotThumbHtml(s.id, i, sh) + '<span class="shot-label">' + esc(sh.label) + '</span></div>').join('') +
+      '</div>' +
+    '</div>';
+
+  // Sections from collector plugins — full-width, in plugin order
+  const extrasHtml = (s.extras || []).map(x => {
+    let body = '';
+    if (x.type === 'text') {
+      body = '<pre class="clip-pre">' + esc(x.text) + '</pre>';
+    } else if (x.type === 'list') {
+      body = '<ul class="detail-list">' + (x.items || []).map(i => '<li>' + esc(i) + '</li>').join('') + '</ul>';
+    } else if (x.type === 'fields') {
+      body = '<dl class="extra-fields">' +
+        (x.fields || []).map(f => '<dt>' + esc(f.label) + '</dt><dd>' + esc(f.value) + '</dd>').join('') +
+      '</dl>';
+    }
+    return body
+      ? '<div class="detail-extra"><div class="detail-section-title">' + esc(x.title) + '</div>' + body + '</div>'
+      : '';
+  }).join('');
+
+  // Clipboard ring — the picked entry (● marker) is what restore puts back
+  const clipEntries = clipboardEntriesOf(s);
   let clipHtml = '';
-  if (s.clipboard && s.clipboard.trim()) {
-    const clip   = s.clipboard.trim().substring(0, 300);
-    const suffix = s.clipboard.trim().length > 300 ? '…' : '';
+  if (clipEntries.length > 0) {
+    const picked = clipChoice.has(s.id) ? clipChoice.get(s.id) : 0;
+    const pickBtn = i =>
+      '<button class="clip-pick' + (picked === i ? ' active' : '') + '" data-clip-pick="' + esc(s.id) + '" data-clip-index="' + i + '"' +
+      ' title="' + esc(t('clip_pick_hint')) + '"></button>';
+    const rows = clipEntries.map((c, i) => {
+      const body = c.kind === 'image'
+        ? '<span class="shot-thumb clip-thumb" data-clip-image="' + esc(s.id) + '" data-clip-index="' + i + '"' +
+            (c.image ? ' style="aspect-ratio:' + c.image.width + '/' + c.image.height + '"' : '') + '><img alt=""></span>'
+        : '<pre class="clip-pre">' + esc(c.text.trim().substring(0, 300)) + (c.text.trim().length > 300 ? '…' : '') + '</pre>';
+      return '<li class="clip-entry">' +
+        pickBtn(i) +
+        '<div class="clip-body">' +
+          '<div class="clip-meta">' + esc(t('clip_kind_' + c.kind)) + ' · ' + esc(formatDate(c.copiedAt).time) + '</div>' +
+          body +
+        '</div>' +
+        '<button class="btn-icon" data-clip-copy="' + esc(s.id) + '" data-clip-index="' + i + '" title="' + esc(t('clip_copy_btn')) + '">⧉</button>' +
+      '</li>';
+    }).join('');
     clipHtml =
       '<div class="detail-clip">' +
         '<div class="detail-section-title">' + t('detail_clipboard') + '</div>' +
-        '<pre class="clip-pre">' + esc(clip) + suffix + '</pre>' +
+        '<ul class="clip-list">' + rows +
+          '<li class="clip-entry clip-none">' + pickBtn(-1) + '<span>' + esc(t('clip_pick_none')) + '</span></li>' +
+        '</ul>' +
       '</div>';
   }
 
-  if (sections.length === 0 && !urlsHtml && !historyHtml && !clipHtml) {
+  if (sections.length === 0 && !shotsHtml && !urlsHtml && !historyHtml && !workspacesHtml && !gitHtml && !shellHtml && !extrasHtml && !clipHtml) {
     return '<p style="color:var(--text-3);font-size:12px;padding:0 2px">' + t('detail_none') + '</p>';
   }
 
-  // Top: 2-col grid for windows + files; URLs + history + clipboard are full-width below
+  // Top: 2-col grid for windows + files; screenshots + URLs + history + workspaces + git + terminal + plugins + clipboard are full-width below
   const gridClass = 'detail-grid' + (sections.length <= 1 ? ' single' : '');
   const gridHtml = sections.length > 0
     ? '<div class="' + gridClass + '">' + sections.join('') + '</div>'
     : '';
-  return gridHtml + urlsHtml + historyHtml + clipHtml;
+  return gridHtml + shotsHtml + urlsHtml + historyHtml + workspacesHtml + gitHtml + shellHtml + extrasHtml + clipHtml;
 }
 
 // ─── Sessions Layout Renderers ────────────────────────────────────────────────
 
 /** Layout A: カード型 — click-to-expand cards */
-function renderCardsLayout(listEl) {
-  listEl.innerHTML = sessions.map(s => {
+function renderCardsLayout(listEl, items) {
+  listEl.innerHTML = items.map(s => {
     const { date, time } = formatDate(s.capturedAt);
     const tags = makeTags(s);
     return `
@@ -592,9 +729,12 @@ function renderCardsLayout(listEl) {
           <span class="card-date">${date}</span>
           <span class="card-tags">${tags}</span>
           <button class="btn-restore" data-id="${esc(s.id)}">${t('restore_btn')}</button>
+          ${makeSessionActions(s)}
         </div>
         <div class="card-summary">${formatSummary(s.aiSummary)}</div>
+        ${buildShotStripHtml(s)}
         ${s.userNote ? '<p class="card-note">' + esc(s.userNote) + '</p>' : ''}
+        ${buildSearchHitsHtml(s.id)}
       </div>
       <div class="card-foot">
         <button class="card-expand-btn" data-expand="${esc(s.id)}">${t('detail_expand')}</button>
@@ -610,8 +750,8 @@ function renderCardsLayout(listEl) {
 }
 
 /** Layout B: リスト型 — compact rows, click row to expand detail */
-function renderListLayout(listEl) {
-  const rows = sessions.map(s => {
+function renderListLayout(listEl, items) {
+  const rows = items.map(s => {
     const { date, time } = formatDate(s.capturedAt);
     const tags = makeTags(s);
     return `
@@ -620,9 +760,12 @@ function renderListLayout(listEl) {
       <div class="lr-main">
         <div class="lr-meta"><span class="lr-date">${date}</span>${tags}</div>
         <div class="lr-summary">${esc(getSummaryPreview(s.aiSummary))}</div>
+        ${buildShotStripHtml(s)}
+        ${buildSearchHitsHtml(s.id)}
       </div>
       <div class="lr-restore-wrap">
         <button class="btn-restore" data-id="${esc(s.id)}">${t('restore_btn')}</button>
+        ${makeSessionActions(s)}
       </div>
     </div>
     <div class="list-detail" id="list-detail-${esc(s.id)}">${buildDetailHtml(s)}</div>
@@ -636,41 +779,106 @@ function renderListLayout(listEl) {
   });
 }
 
+/** One timeline entry — shared by the timeline and threads layouts. */
+function buildTimelineItemHtml(s) {
+  const { time } = formatDate(s.capturedAt);
+  const tags = makeTags(s);
+  return `
+  <div class="tl-item">
+    <div class="tl-left"><div class="tl-dot"></div><div class="tl-line"></div></div>
+    <div class="tl-body">
+      <div class="tl-header">
+        <span class="tl-time">${time}</span>${tags}
+        <button class="btn-restore" data-id="${esc(s.id)}" style="margin-left:auto">${t('restore_btn')}</button>
+        ${makeSessionActions(s)}
+      </div>
+      <div class="tl-summary">${formatSummary(s.aiSummary)}</div>
+      ${buildShotStripHtml(s)}
+      ${s.userNote ? '<div class="tl-note">' + esc(s.userNote) + '</div>' : ''}
+      ${buildSearchHitsHtml(s.id)}
+      <button class="tl-expand-btn" data-expand="${esc(s.id)}">${t('detail_expand')}</button>
+      <div class="tl-detail" id="tl-detail-${esc(s.id)}">${buildDetailHtml(s)}</div>
+      <div class="restore-result" id="result-${esc(s.id)}"></div>
+    </div>
+  </div>`;
+}
+
 /** Layout C: タイムライン型 — date-grouped with timeline dots */
-function renderTimelineLayout(listEl) {
+function renderTimelineLayout(listEl, items) {
   // Group sessions by day label (preserves insertion order = newest-first)
   const groups = [];
   const seen   = new Map();
-  sessions.forEach(s => {
+  items.forEach(s => {
     const label = dayGroupLabel(s.capturedAt);
     if (!seen.has(label)) { seen.set(label, groups.length); groups.push({ label, items: [] }); }
     groups[seen.get(label)].items.push(s);
   });
 
-  const html = groups.map(g => {
-    const items = g.items.map(s => {
-      const { time } = formatDate(s.capturedAt);
-      const tags = makeTags(s);
+  const html = groups.map(g =>
+    '<div class="tl-day-group"><div class="tl-day-label">' + esc(g.label) + '</div>' +
+    g.items.map(buildTimelineItemHtml).join('') + '</div>'
+  ).join('');
+
+  listEl.innerHTML = html;
+
+  listEl.querySelectorAll('.btn-restore').forEach(btn => {
+    btn.addEventListener('click', () => handleRestore(btn.dataset.id, btn));
+  });
+}
+
+/**
+ * Layout D: スレッド型 — one section per thread (rolling summary + the
+ * thread's sessions as a timeline), then the unthreaded sessions.
+ * While searching, only threads with matching sessions are shown.
+ */
+function renderThreadsLayout(listEl, items) {
+  const byThread = new Map();
+  const unthreaded = [];
+  items.forEach(s => {
+    if (s.threadId && findThread(s.threadId)) {
+      if (!byThread.has(s.threadId)) byThread.set(s.threadId, []);
+      byThread.get(s.threadId).push(s);
+    } else {
+      unthreaded.push(s);
+    }
+  });
+
+  const sections = threads
+    .filter(th => !searchResults || byThread.has(th.id))
+    .map(th => {
+      const members = byThread.get(th.id) || [];
+      const last = th.lastCapturedAt ? formatDate(th.lastCapturedAt).date : '';
+      const summaryHtml = th.summary
+        ? '<div class="thread-summary">' + formatSummary(th.summary) + '</div>'
+        : '<div class="thread-summary empty">' + esc(t('thread_summary_empty')) + '</div>';
       return `
-      <div class="tl-item">
-        <div class="tl-left"><div class="tl-dot"></div><div class="tl-line"></div></div>
-        <div class="tl-body">
-          <div class="tl-header">
-            <span class="tl-time">${time}</span>${tags}
-            <button class="btn-restore" data-id="${esc(s.id)}" style="margin-left:auto">${t('restore_btn')}</button>
-          </div>
-          <div class="tl-summary">${formatSummary(s.aiSummary)}</div>
-          ${s.userNote ? '<div class="tl-note">' + esc(s.userNote) + '</div>' : ''}
-          <button class="tl-expand-btn" data-expand="${esc(s.id)}">${t('detail_expand')}</button>
-          <div class="tl-detail" id="tl-detail-${esc(s.id)}">${buildDetailHtml(s)}</div>
-          <div class="restore-result" id="result-${esc(s.id)}"></div>
+      <div class="thread-group">
+        <div class="thread-header">
+          <span class="thread-name">🧵 ${esc(th.name)}</span>
+          <span class="thread-meta">${esc(t('thread_session_count', { n: th.sessionCount }))}${last ? ' · ' + esc(last) : ''}</span>
+          <button class="btn-icon" data-thread-rename="${esc(th.id)}" title="${esc(t('thread_rename_btn'))}" style="margin-left:auto">✎</button>
+          <button class="btn-icon danger" data-thread-delete="${esc(th.id)}" title="${esc(t('thread_delete_btn'))}">🗑</button>
         </div>
+        ${summaryHtml}
+        ${members.map(buildTimelineItemHtml).join('')}
       </div>`;
-    }).join('');
-    return '<div class="tl-day-group"><div class="tl-day-label">' + esc(g.label) + '</div>' + items + '</div>';
-  }).join('');
+    });
 
-  listEl.innerHTML = html;
+  if (unthreaded.length > 0) {
+    sections.push(`
+      <div class="thread-group">
+        <div class="tl-day-label">${esc(t('thread_unthreaded'))}</div>
+        ${unthreaded.map(buildTimelineItemHtml).join('')}
+      </div>`);
+  }
+
+  const toolbar = `
+    <div class="thread-toolbar">
+      <button class="btn-secondary" data-thread-new>${t('thread_new_btn')}</button>
+      ${threads.length === 0 ? '<span class="archive-hint">' + esc(t('thread_empty')) + '</span>' : ''}
+    </div>`;
+
+  listEl.innerHTML = toolbar + sections.join('');
 
   listEl.querySelectorAll('.btn-restore').forEach(btn => {
     btn.addEventListener('click', () => handleRestore(btn.dataset.id, btn));
@@ -681,7 +889,49 @@ function renderSessions() {
   const listEl  = document.getElementById('session-list');
   const countEl = document.getElementById('session-count');
 
-  if (!sessions || sessions.length === 0) {
+  const visible = sessions.filter(s => !pendingDeletes.has(s.id) && matchesActiveTags(s));
+  renderTagFilterBar();
+
+  if (searchResults) {
+    const results = searchResults.filter(r => !pendingDeletes.has(r.session.id) && matchesActiveTags(r.session));
+    if (countEl) countEl.textContent = t('search_result_count', { n: results.length });
+    if (results.length === 0) {
+      listEl.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">⌕</div>
+          <p class="empty-title">${t('search_no_results', { q: esc(searchQuery) })}</p>
+          <p class="empty-hint">${t('search_no_results_hint')}</p>
+        </div>`;
+      return;
+    }
+    // Results are already ranked — render them in score order
+    renderLayout(listEl, results.map(r => r.session));
+    highlightSearchTerms(listEl);
+    return;
+  }
+
+  if (visible.length === 0 && storeError) {
+    if (countEl) countEl.textContent = '';
+    listEl.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">🔒</div>
+        <p class="empty-title">${t('store_open_fail_title')}</p>
+        <p class="empty-hint">${esc(storeError)}</p>
+      </div>`;
+    return;
+  }
+
+  if (visible.length === 0 && activeTags.size > 0) {
+    if (countEl) countEl.textContent = '';
+    listEl.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">#</div>
+        <p class="empty-title">${t('tags_filter_empty')}</p>
+      </div>`;
+    return;
+  }
+
+  if (visible.length === 0) {
     if (countEl) countEl.textContent = '';
     const captureKey = config.captureShortcut || 'Ctrl+Shift+S';
     listEl.innerHTML = `
@@ -693,17 +943,918 @@ function renderSessions() {
     return;
   }
 
-  if (countEl) countEl.textContent = t('session_count', { n: sessions.length });
+  if (countEl) countEl.textContent = t('session_count', { n: visible.length });
+  renderLayout(listEl, visible);
+}
+
+function renderLayout(listEl, items) {
+  if (currentLayout === 'list')          renderListLayout(listEl, items);
+  else if (currentLayout === 'timeline') renderTimelineLayout(listEl, items);
+  else if (currentLayout === 'threads')  renderThreadsLayout(listEl, items);
+  else                                   renderCardsLayout(listEl, items);
+  observeShotThumbs(listEl);
+}
+
+/** Reloads sessions and threads (and re-runs the active search) then re-renders the list. */
+async function reloadSessions() {
+  [sessions, threads, allTags] = await Promise.all([
+    window.electronAPI.loadSessions(),
+    window.electronAPI.listThreads(),
+    window.electronAPI.listTags(),
+  ]);
+  // A renamed / merged tag can't stay selected in the filter
+  for (const tag of activeTags) if (!allTags.some(tc => tc.tag === tag)) activeTags.delete(tag);
+  if (searchQuery) searchResults = await window.electronAPI.searchSessions(searchQuery);
+  renderSessions();
+}
+
+// ─── Screenshots ──────────────────────────────────────────────────────────────
+
+const shotThumbCache = new Map(); // "<id>:<index>" → Promise<data URL | null>
+let lightbox = null;              // { session, index } while the lightbox is open
+let lightboxRequest = 0;          // drops a full image that arrives after the user moved on
+
+function buildShotThumbHtml(id, index, shot) {
+  return '<button class="shot-thumb" data-shot="' + esc(id) + '" data-shot-index="' + index + '"' +
+    ' title="' + esc(shot.label) + '" style="aspect-ratio:' + (shot.width || 16) + '/' + (shot.height || 9) + '">' +
+    '<img alt="' + esc(shot.label) + '">' +
+  '</button>';
+}
+
+/** Thumbnail strip for session cards / rows; '' without screenshots. */
+function buildShotStripHtml(s) {
+  const shots = s.screenshots || [];
+  if (shots.length === 0) return '';
+  return '<div class="shot-strip">' + shots.map((sh, i) => buildShotThumbHtml(s.id, i, sh)).join('') + '</div>';
+}
+
+// Screenshot and clipboard image thumbnails share the cache and the lazy loader
+function loadShotThumb(el) {
+  const clip  = el.dataset.clipImage;
+  const id    = clip || el.dataset.shot;
+  const index = Number(clip ? el.dataset.clipIndex : el.dataset.shotIndex);
+  const key   = (clip ? 'clip:' : '') + id + ':' + index;
+  if (!shotThumbCache.has(key)) {
+    const load = clip ? window.electronAPI.getClipboardImage(id, index) : window.electronAPI.getScreenshot(id, index, true);
+    shotThumbCache.set(key, load.catch(() => null));
+  }
+  return shotThumbCache.get(key);
+}
+
+async function fillShotThumb(btn) {
+  const url = await loadShotThumb(btn);
+  if (url) {
+    btn.querySelector('img').src = url;
+  } else {
+    // Not on this machine (synced session) or the file failed its hash check
+    btn.classList.add('missing');
+    btn.disabled = true;
+    btn.title = t('screenshot_missing');
+  }
+}
+
+// Thumbnails load once they scroll into view (or their detail panel opens)
+const shotObserver = new IntersectionObserver(entries => {
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+    shotObserver.unobserve(entry.target);
+    fillShotThumb(entry.target);
+  }
+}, { rootMargin: '200px' });
+
+function observeShotThumbs(root) {
+  root.querySelectorAll('.shot-thumb').forEach(btn => shotObserver.observe(btn));
+}
+
+function findShotSession(id) {
+  return findSession(id) || archivedSessions.find(a => a.session.id === id)?.session || null;
+}
+
+function openLightbox(id, index) {
+  const session = findShotSession(id);
+  if (!session || !(session.screenshots || [])[index]) return;
+  lightbox = { session, index };
+  renderLightbox();
+  document.getElementById('shot-lightbox').classList.add('visible');
+}
+
+function closeLightbox() {
+  const overlay = document.getElementById('shot-lightbox');
+  overlay.classList.remove('visible');
+  overlay.innerHTML = '';
+  lightbox = null;
+  lightboxRequest++;
+}
+
+function stepLightbox(delta) {
+  if (!lightbox) return;
+  const count = lightbox.session.screenshots.length;
+  lightbox.index = (lightbox.index + delta + count) % count;
+  renderLightbox();
+}
+
+async function renderLightbox() {
+  const overlay = document.getElementById('shot-lightbox');
+  const { session, index } = lightbox;
+  const shots = session.screenshots;
+  const shot  = shots[index];
+  const { date, time } = formatDate(session.capturedAt);
+  const nav = shots.length > 1;
+  overlay.innerHTML = `
+    <div class="lightbox" role="dialog" aria-modal="true">
+      <div class="lightbox-stage">
+        ${nav ? '<button class="lightbox-nav prev" data-lightbox-step="-1" title="' + esc(t('lightbox_prev')) + '">‹</button>' : ''}
+        <img class="lightbox-img" alt="${esc(shot.label)}">
+        ${nav ? '<button class="lightbox-nav next" data-lightbox-step="1" title="' + esc(t('lightbox_next')) + '">›</button>' : ''}
+      </div>
+      <div class="lightbox-caption">
+        <span>${esc(shot.label)}</span>
+        <span class="lightbox-meta">${esc(date + ' ' + time)}${nav ? ' · ' + (index + 1) + ' / ' + shots.length : ''}</span>
+        <button class="btn-icon" data-lightbox-close title="${esc(t('lightbox_close'))}">✕</button>
+      </div>
+    </div>`;
+
+  const request = ++lightboxRequest;
+  const url = await window.electronAPI.getScreenshot(session.id, index, false).catch(() => null);
+  if (request !== lightboxRequest) return;
+  const img = overlay.querySelector('.lightbox-img');
+  if (url) img.src = url;
+  else img.replaceWith(Object.assign(document.createElement('p'), { className: 'lightbox-missing', textContent: t('screenshot_missing') }));
+}
+
+// ─── Clipboard ────────────────────────────────────────────────────────────────
+
+const clipChoice = new Map(); // session id → clipboard entry index restore puts back (-1 = none)
+
+/** Clipboard entries of a session; sessions from before the ring have only their text. */
+function clipboardEntriesOf(s) {
+  if (s.clipboardHistory && s.clipboardHistory.length > 0) return s.clipboardHistory;
+  return s.clipboard && s.clipboard.trim() ? [{ kind: 'text', text: s.clipboard, copiedAt: s.capturedAt }] : [];
+}
+
+function pickClipboardEntry(id, index) {
+  clipChoice.set(id, index);
+  document.querySelectorAll('[data-clip-pick]').forEach(btn => {
+    if (btn.dataset.clipPick === id) btn.classList.toggle('active', Number(btn.dataset.clipIndex) === index);
+  });
+}
+
+async function copyClipboardEntry(id, index) {
+  const ok = await window.electronAPI.copyClipboardEntry(id, index);
+  showInfoToast(t(ok ? 'clip_copied' : 'clip_copy_fail'));
+}
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+
+function getSearchTerms() {
+  return searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/** Cuts a long match down to ~90 chars centred on the first matched term. */
+function makeSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  let pos = -1;
+  for (const term of terms) {
+    pos = lower.indexOf(term);
+    if (pos >= 0) break;
+  }
+  if (text.length <= 90 || pos < 0) return text.substring(0, 90) + (text.length > 90 ? '…' : '');
+  const start = Math.max(0, pos - 30);
+  const end   = Math.min(text.length, start + 90);
+  return (start > 0 ? '…' : '') + text.substring(start, end) + (end < text.length ? '…' : '');
+}
+
+/** "Matched in" lines shown under a search result (summary/note are already visible). */
+function buildSearchHitsHtml(id) {
+  if (!searchResults) return '';
+  const result = searchResults.find(r => r.session.id === id);
+  if (!result) return '';
+  const terms = getSearchTerms();
+  const hits = result.matches
+    .filter(m => m.field !== 'aiSummary' && m.field !== 'userNote' && m.field !== 'tags')
+    .slice(0, 3);
+  if (hits.length === 0) return '';
+  return '<div class="search-hits">' + hits.map(m =>
+    '<div class="search-hit"><span class="search-hit-field">' + t('search_field_' + m.field) + '</span>' +
+    esc(makeSnippet(m.text, terms)) + '</div>'
+  ).join('') + '</div>';
+}
+
+/** Wraps matched terms in <mark> inside summaries, notes and hit lines. */
+function highlightSearchTerms(root) {
+  const terms = getSearchTerms();
+  if (terms.length === 0) return;
+  const pattern = new RegExp('(' + terms.map(x => x.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')', 'gi');
+  const targets = root.querySelectorAll('.card-summary, .card-note, .lr-summary, .tl-summary, .tl-note, .search-hit');
+  targets.forEach(el => {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    for (const node of nodes) {
+      if (node.parentElement && node.parentElement.classList.contains('search-hit-field')) continue;
+      const text = node.nodeValue;
+      pattern.lastIndex = 0;
+      if (!pattern.test(text)) continue;
+      const frag = document.createDocumentFragment();
+      text.split(pattern).forEach((part, i) => {
+        if (!part) return;
+        if (i % 2 === 1) {
+          const mark = document.createElement('mark');
+          mark.className = 'search-mark';
+          mark.textContent = part;
+          frag.appendChild(mark);
+        } else {
+          frag.appendChild(document.createTextNode(part));
+        }
+      });
+      node.parentNode.replaceChild(frag, node);
+    }
+  });
+}
+
+async function runSearch(query) {
+  const q = query.trim();
+  searchQuery = q;
+  const results = q ? await window.electronAPI.searchSessions(q) : null;
+  // Ignore stale responses if the user kept typing
+  if (q !== searchQuery) return;
+  searchResults = results;
+  renderSessions();
+}
+
+// ─── Edit / Delete ────────────────────────────────────────────────────────────
+
+function findSession(id) {
+  return sessions.find(s => s.id === id) || null;
+}
+
+async function togglePin(id) {
+  const s = findSession(id);
+  if (!s) return;
+  await window.electronAPI.setSessionPinned(id, !s.pinned);
+  await reloadSessions();
+}
+
+/** Clears the "unreviewed" mark an automatic capture carries. */
+async function markReviewed(id) {
+  if (storeError) return;
+  await window.electronAPI.updateSession(id, { approved: true });
+  await reloadSessions();
+}
+
+function closeSessionEditor() {
+  const overlay = document.getElementById('session-editor');
+  overlay.classList.remove('visible');
+  overlay.innerHTML = '';
+}
+
+/** Opens the modal editor for summary, note and captured tabs. */
+function openSessionEditor(id) {
+  const s = findSession(id);
+  if (!s) return;
+  const overlay = document.getElementById('session-editor');
+  const tabs = s.browserTabs || [];
+  const tabsHtml = tabs.length === 0 ? '' : `
+    <div>
+      <div class="note-label">${t('edit_tabs_label')}</div>
+      <ul class="edit-tab-list">
+        ${tabs.map((tb, i) => `
+          <li><label title="${esc(tb.url)}">
+            <input type="checkbox" data-tab-index="${i}" checked />
+            <span>${esc(tb.title && tb.title !== tb.url ? tb.title : tb.url)}</span>
+          </label></li>`).join('')}
+      </ul>
+    </div>`;
+
+  overlay.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <div class="modal-header"><span class="modal-title">${t('edit_title')}</span></div>
+      <div class="modal-body">
+        <div>
+          <label class="note-label" for="edit-summary">${t('edit_summary_label')}</label>
+          <textarea id="edit-summary" class="note-input" rows="4">${esc(s.aiSummary || '')}</textarea>
+        </div>
+        <div>
+          <label class="note-label" for="edit-note">${t('edit_note_label')}</label>
+          <textarea id="edit-note" class="note-input" rows="3"
+            placeholder="${esc(t('cap_note_placeholder'))}">${esc(s.userNote || '')}</textarea>
+        </div>
+        <div>
+          <label class="note-label" for="edit-tags">${t('edit_tags_label')}</label>
+          <input class="setting-input" id="edit-tags" style="width:100%" value="${esc((s.tags || []).join(', '))}"
+            placeholder="${esc(t('cap_tags_placeholder'))}" />
+        </div>
+        <div>
+          <label class="note-label" for="edit-thread">${t('edit_thread_label')}</label>
+          <select class="setting-select" id="edit-thread">${buildThreadOptionsHtml(s.threadId, false)}</select>
+        </div>
+        ${tabsHtml}
+        <div class="setting-status error" id="edit-status"></div>
+      </div>
+      <div class="modal-actions">
+        <button class="btn-secondary" id="btn-edit-cancel">${t('edit_cancel')}</button>
+        <button class="btn-primary" id="btn-edit-save">${t('edit_save')}</button>
+      </div>
+    </div>`;
+  overlay.classList.add('visible');
+
+  document.getElementById('btn-edit-cancel').addEventListener('click', closeSessionEditor);
+  document.getElementById('btn-edit-save').addEventListener('click', async () => {
+    const keep = new Set(Array.from(overlay.querySelectorAll('[data-tab-index]'))
+      .filter(cb => cb.checked)
+      .map(cb => Number(cb.dataset.tabIndex)));
+    const patch = {
+      aiSummary: document.getElementById('edit-summary').value.trim(),
+      userNote:  document.getElementById('edit-note').value.trim(),
+      browserTabs: tabs.filter((_, i) => keep.has(i)),
+      tags:        parseTagInput(document.getElementById('edit-tags').value),
+    };
+    document.getElementById('btn-edit-save').disabled = true;
+    let updated = await window.electronAPI.updateSession(id, patch);
+    const threadId = document.getElementById('edit-thread').value || null;
+    if (updated && threadId !== (s.threadId || null)) {
+      updated = await window.electronAPI.setSessionThread(id, threadId);
+    }
+    if (!updated) {
+      document.getElementById('edit-status').textContent = t('edit_fail');
+      document.getElementById('btn-edit-save').disabled = false;
+      return;
+    }
+    closeSessionEditor();
+    await reloadSessions();
+  });
+}
+
+// ─── Tags ─────────────────────────────────────────────────────────────────────
+
+/** "a, b、c" → ['a', 'b', 'c'] (the main process cleans and de-dups them). */
+function parseTagInput(text) {
+  return String(text || '').split(/[,、，]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+function matchesActiveTags(s) {
+  if (activeTags.size === 0) return true;
+  const tags = s.tags || [];
+  for (const tag of activeTags) if (!tags.includes(tag)) return false;
+  return true;
+}
+
+function toggleTagFilter(tag) {
+  if (activeTags.has(tag)) activeTags.delete(tag);
+  else                     activeTags.add(tag);
+  renderSessions();
+}
+
+function renderTagFilterBar() {
+  const bar = document.getElementById('tag-filter-bar');
+  if (!bar) return;
+  if (allTags.length === 0) {
+    bar.classList.remove('visible');
+    bar.innerHTML = '';
+    return;
+  }
+  bar.classList.add('visible');
+  bar.innerHTML =
+    allTags.map(({ tag, count }) =>
+      '<button class="tag user-tag' + (activeTags.has(tag) ? ' active' : '') + '" data-tag-filter="' + esc(tag) + '">#' +
+      esc(tag) + ' <span class="tag-count">' + count + '</span></button>'
+    ).join('') +
+    (activeTags.size > 0 ? '<button class="tag-filter-action" data-tag-clear>' + esc(t('tags_filter_clear')) + '</button>' : '') +
+    '<button class="tag-filter-action" data-tag-manage>' + esc(t('tags_manage_btn')) + '</button>';
+}
+
+function closeTagDialog() {
+  const overlay = document.getElementById('tag-dialog');
+  overlay.classList.remove('visible');
+  overlay.innerHTML = '';
+}
+
+/** Rename (edit a name in place) and merge (tick several, name the target) for all tags. */
+function openTagDialog() {
+  const overlay = document.getElementById('tag-dialog');
+  overlay.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <div class="modal-header"><span class="modal-title">${t('tags_manage_title')}</span></div>
+      <div class="modal-body">
+        <p class="archive-hint" style="margin-bottom:0">${t('tags_manage_hint')}</p>
+        ${allTags.length === 0 ? '<p class="archive-hint">' + t('tags_empty') + '</p>' : `
+        <ul class="tag-manage-list">
+          ${allTags.map(({ tag, count }) => `
+            <li>
+              <input type="checkbox" data-tag-check="${esc(tag)}" />
+              <input class="setting-input" data-tag-rename="${esc(tag)}" value="${esc(tag)}" maxlength="40" />
+              <span class="tag-count">${count}</span>
+            </li>`).join('')}
+        </ul>
+        <div class="export-range">
+          <input class="setting-input" id="tag-merge-target" maxlength="40" placeholder="${esc(t('tags_merge_placeholder'))}" />
+          <button class="btn-secondary" id="btn-tag-merge">${t('tags_merge_btn')}</button>
+        </div>`}
+        <div class="setting-status error" id="tag-status"></div>
+      </div>
+      <div class="modal-actions">
+        <button class="btn-primary" id="btn-tag-close">${t('tags_close')}</button>
+      </div>
+    </div>`;
+  overlay.classList.add('visible');
+
+  const afterChange = async (changed) => {
+    await reloadSessions();
+    openTagDialog();
+    showInfoToast(t('tags_changed', { n: changed }));
+  };
+
+  overlay.querySelectorAll('[data-tag-rename]').forEach(input => {
+    input.addEventListener('change', async () => {
+      const from = input.dataset.tagRename;
+      const to   = input.value.trim();
+      if (!to || to === from) { input.value = from; return; }
+      await afterChange(await window.electronAPI.renameTag(from, to));
+    });
+  });
+  document.getElementById('btn-tag-merge')?.addEventListener('click', async () => {
+    const sources = Array.from(overlay.querySelectorAll('[data-tag-check]'))
+      .filter(cb => cb.checked)
+      .map(cb => cb.dataset.tagCheck);
+    const target = document.getElementById('tag-merge-target').value.trim();
+    if (sources.length === 0 || !target) {
+      document.getElementById('tag-status').textContent = t('tags_merge_invalid');
+      return;
+    }
+    await afterChange(await window.electronAPI.mergeTags(sources, target));
+  });
+  document.getElementById('btn-tag-close').addEventListener('click', closeTagDialog);
+}
+
+/** Fills the capture panel's tag field with the AI's suggestions unless the user already typed. */
+function applyTagSuggestions() {
+  const input = document.getElementById('capture-tags');
+  const hint  = document.getElementById('capture-tags-hint');
+  const tags  = (pendingSession && pendingSession.suggestedTags) || [];
+  if (!input || !hint || tags.length === 0 || captureTagsTouched) return;
+  input.value = tags.join(', ');
+  hint.textContent = t('tags_suggested_hint');
+}
+
+// ─── Threads ──────────────────────────────────────────────────────────────────
+
+function findThread(id) {
+  return threads.find(th => th.id === id) || null;
+}
+
+/** <option>s for a thread picker: "No thread", every thread, optionally "+ New thread…". */
+function buildThreadOptionsHtml(selectedId, withNew) {
+  return '<option value="">' + esc(t('thread_none')) + '</option>' +
+    threads.map(th =>
+      '<option value="' + esc(th.id) + '"' + (th.id === selectedId ? ' selected' : '') + '>' + esc(th.name) + '</option>'
+    ).join('') +
+    (withNew ? '<option value="__new">' + esc(t('thread_new_option')) + '</option>' : '');
+}
+
+function closeThreadDialog() {
+  const overlay = document.getElementById('thread-dialog');
+  overlay.classList.remove('visible');
+  overlay.innerHTML = '';
+}
+
+/** Name dialog for a new thread (id = null) or renaming an existing one. */
+function openThreadDialog(id) {
+  const thread = id ? findThread(id) : null;
+  if (id && !thread) return;
+  const overlay = document.getElementById('thread-dialog');
+  overlay.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <div class="modal-header"><span class="modal-title">${t(thread ? 'thread_dialog_rename' : 'thread_dialog_new')}</span></div>
+      <div class="modal-body">
+        <input class="setting-input" id="thread-name" maxlength="80"
+          placeholder="${esc(t('thread_name_placeholder'))}" value="${esc(thread ? thread.name : '')}" />
+        <div class="setting-status error" id="thread-status"></div>
+      </div>
+      <div class="modal-actions">
+        <button class="btn-secondary" id="btn-thread-cancel">${t('edit_cancel')}</button>
+        <button class="btn-primary" id="btn-thread-save">${t('edit_save')}</button>
+      </div>
+    </div>`;
+  overlay.classList.add('visible');
+
+  const input = document.getElementById('thread-name');
+  input.focus();
+  input.select();
+
+  const save = async () => {
+    const name = input.value.trim();
+    document.getElementById('btn-thread-save').disabled = true;
+    const saved = thread
+      ? await window.electronAPI.renameThread(thread.id, name)
+      : await window.electronAPI.createThread(name);
+    if (!saved) {
+      document.getElementById('thread-status').textContent = t('thread_name_invalid');
+      document.getElementById('btn-thread-save').disabled = false;
+      return;
+    }
+    closeThreadDialog();
+    await reloadSessions();
+  };
+  document.getElementById('btn-thread-cancel').addEventListener('click', closeThreadDialog);
+  document.getElementById('btn-thread-save').addEventListener('click', save);
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') save(); });
+}
+
+async function removeThread(id) {
+  const thread = findThread(id);
+  if (!thread) return;
+  if (!window.confirm(t('thread_delete_confirm', { name: thread.name }))) return;
+  await window.electronAPI.deleteThread(id);
+  await reloadSessions();
+}
+
+/** Shows the AI's thread proposal in the capture panel unless the user already chose. */
+function applyThreadProposal() {
+  const select = document.getElementById('capture-thread');
+  const hint   = document.getElementById('capture-thread-hint');
+  const proposed = pendingSession && pendingSession.proposedThreadId && findThread(pendingSession.proposedThreadId);
+  if (!select || !hint || !proposed) return;
+  hint.textContent = t('thread_proposed', { name: proposed.name });
+  if (!captureThreadTouched) select.value = proposed.id;
+}
+
+// ─── Compare ──────────────────────────────────────────────────────────────────
+
+const COMPARE_LIST_LIMIT = 30;
+let compareRequest = 0; // drops results of a comparison the user already replaced
+
+function closeCompareDialog() {
+  const overlay = document.getElementById('compare-dialog');
+  overlay.classList.remove('visible');
+  overlay.innerHTML = '';
+  compareRequest++;
+}
+
+function compareSessionLabel(s) {
+  const d = formatDate(s.capturedAt);
+  return d.date + ' ' + d.time;
+}
+
+/** Default partner: the next capture in the same thread, otherwise "right now". */
+function defaultCompareTarget(s) {
+  if (!s.threadId) return '';
+  const later = sessions
+    .filter(o => o.threadId === s.threadId && o.capturedAt > s.capturedAt)
+    .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+  return later.length ? later[0].id : '';
+}
+
+function buildCompareItemHtml(section, item) {
+  if (section === 'tabs') {
+    const hasTitle = item.title && item.title !== item.url;
+    return '<a class="url-link" href="#" data-url="' + esc(item.url) + '" title="' + esc(item.url) + '">' +
+      '<span class="tab-title">' + esc(hasTitle ? item.title : item.url) + '</span></a>';
+  }
+  if (section === 'apps') {
+    return '<span title="' + esc(item.titles.join('\n')) + '">' + esc(item.name) + '</span>' +
+      (item.titles[0] ? '<span class="compare-sub">' + esc(item.titles[0]) + '</span>' : '');
+  }
+  if (section === 'files') {
+    const name = (item.split(/[/\\]/).pop() || item).replace(/\.lnk$/i, '');
+    return '<a class="file-link" href="#" data-path="' + esc(item) + '" title="' + esc(item) + '">' + esc(name) + '</a>';
+  }
+  return esc(item.domain) + '<span class="compare-sub">' + t('compare_visits', { n: item.visits }) + '</span>';
+}
+
+function buildCompareSectionHtml(section, titleKey, diff) {
+  const part  = diff[section];
+  const lines = [
+    ...part.added.map(item => ({ kind: 'added', item })),
+    ...part.removed.map(item => ({ kind: 'removed', item })),
+  ];
+  const shown = lines.slice(0, COMPARE_LIST_LIMIT);
+  const more  = lines.length - shown.length;
+  const body  = lines.length === 0
+    ? '<div class="setting-hint">' + t('compare_no_change') + '</div>'
+    : '<ul class="compare-list">' +
+        shown.map(l =>
+          '<li class="' + l.kind + '"><span class="compare-mark">' + (l.kind === 'added' ? '+' : '−') + '</span>' +
+          '<div class="compare-item">' + buildCompareItemHtml(section, l.item) + '</div></li>'
+        ).join('') +
+        (more > 0 ? '<li class="detail-more">' + t('compare_more', { n: more }) + '</li>' : '') +
+      '</ul>';
+  return `
+    <div class="compare-section">
+      <div class="note-label">${t(titleKey)}
+        <span class="compare-counts">${t('compare_counts', { added: part.added.length, removed: part.removed.length, unchanged: part.unchanged })}</span>
+      </div>
+      ${body}
+    </div>`;
+}
+
+async function runCompare(id, otherId) {
+  const resultEl = document.getElementById('compare-result');
+  const request  = ++compareRequest;
+  resultEl.innerHTML = '<div class="setting-hint">' + t(otherId ? 'compare_loading' : 'compare_loading_now') + '</div>';
+  const result = await window.electronAPI.compareSessions(id, otherId || null);
+  if (request !== compareRequest) return;
+  if (!result) {
+    resultEl.innerHTML = '<div class="setting-status error">' + t('compare_fail') + '</div>';
+    return;
+  }
+  const before = findSession(result.beforeId);
+  const after  = result.afterId ? findSession(result.afterId) : null;
+  resultEl.innerHTML =
+    '<div class="compare-heading">' + esc(before ? compareSessionLabel(before) : '') + ' → ' +
+      esc(after ? compareSessionLabel(after) : t('compare_now_label')) + '</div>' +
+    buildCompareSectionHtml('tabs',    'compare_tabs',    result.diff) +
+    buildCompareSectionHtml('apps',    'compare_apps',    result.diff) +
+    buildCompareSectionHtml('files',   'compare_files',   result.diff) +
+    buildCompareSectionHtml('domains', 'compare_domains', result.diff);
+}
+
+/** Compares a session with another saved session or with what is open right now. */
+function openCompareDialog(id) {
+  const s = findSession(id);
+  if (!s) return;
+  const overlay = document.getElementById('compare-dialog');
+  const target  = defaultCompareTarget(s);
+  const options = '<option value="">' + esc(t('compare_now_option')) + '</option>' +
+    sessions.filter(o => o.id !== id).map(o =>
+      '<option value="' + esc(o.id) + '"' + (o.id === target ? ' selected' : '') + '>' +
+        esc(compareSessionLabel(o) + ' — ' + getSummaryPreview(o.aiSummary).slice(0, 60)) +
+      '</option>'
+    ).join('');
+
+  overlay.innerHTML = `
+    <div class="modal compare-modal" role="dialog" aria-modal="true">
+      <div class="modal-header"><span class="modal-title">${t('compare_title', { date: esc(compareSessionLabel(s)) })}</span></div>
+      <div class="modal-body">
+        <div>
+          <div class="note-label">${t('compare_with_label')}</div>
+          <select class="setting-input" id="compare-target" style="width:100%">${options}</select>
+        </div>
+        <div id="compare-result"></div>
+      </div>
+      <div class="modal-actions">
+        <button class="btn-primary" id="btn-compare-close">${t('compare_close')}</button>
+      </div>
+    </div>`;
+  overlay.classList.add('visible');
+
+  const select = document.getElementById('compare-target');
+  select.addEventListener('change', () => runCompare(id, select.value));
+  document.getElementById('btn-compare-close').addEventListener('click', closeCompareDialog);
+  runCompare(id, select.value);
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+/** YYYY-MM-DD in local time, for <input type="date"> */
+function toDateInputValue(d) {
+  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+
+/** Converts the dialog's date inputs into an inclusive capturedAt range. */
+function getExportRange() {
+  const from = document.getElementById('export-from').value;
+  const to   = document.getElementById('export-to').value;
+  return {
+    from: from ? new Date(from + 'T00:00:00').toISOString() : undefined,
+    to:   to   ? new Date(to   + 'T23:59:59.999').toISOString() : undefined,
+  };
+}
+
+function countInRange(range) {
+  const fromMs = range.from ? new Date(range.from).getTime() : -Infinity;
+  const toMs   = range.to   ? new Date(range.to).getTime()   : Infinity;
+  return sessions.filter(s => {
+    const ms = new Date(s.capturedAt).getTime();
+    return ms >= fromMs && ms <= toMs;
+  }).length;
+}
+
+/**
+ * Opens the export dialog.  With an id it exports that one session;
+ * without, it offers a date range (bulk export).
+ */
+function openExportDialog(id) {
+  const overlay = document.getElementById('export-dialog');
+  const isBulk  = !id;
+  const today   = new Date();
+  const weekAgo = new Date(today.getTime() - 6 * 86400000);
+
+  const rangeHtml = !isBulk ? '' : `
+    <div>
+      <div class="note-label">${t('export_range_label')}</div>
+      <div class="export-range">
+        <input class="setting-input" type="date" id="export-from" value="${toDateInputValue(weekAgo)}" />
+        <span>–</span>
+        <input class="setting-input" type="date" id="export-to" value="${toDateInputValue(today)}" />
+      </div>
+      <div class="setting-hint" id="export-range-count"></div>
+    </div>`;
+
+  overlay.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <div class="modal-header"><span class="modal-title">${t(isBulk ? 'export_title_bulk' : 'export_title_one')}</span></div>
+      <div class="modal-body">
+        ${rangeHtml}
+        <div>
+          <div class="note-label">${t('export_format_label')}</div>
+          <div class="export-formats">
+            <label><input type="radio" name="export-format" value="markdown" checked /> Markdown</label>
+            <label><input type="radio" name="export-format" value="html" /> HTML</label>
+            <label><input type="radio" name="export-format" value="json" /> JSON</label>
+          </div>
+          <div class="setting-hint">${t('export_format_hint')}</div>
+        </div>
+        <div class="setting-status" id="export-status"></div>
+      </div>
+      <div class="modal-actions">
+        <button class="btn-secondary" id="btn-export-cancel">${t('edit_cancel')}</button>
+        <button class="btn-primary" id="btn-export-run">${t('export_run')}</button>
+      </div>
+    </div>`;
+  overlay.classList.add('visible');
+
+  const runBtn = document.getElementById('btn-export-run');
+  if (isBulk) {
+    const updateCount = () => {
+      const n = countInRange(getExportRange());
+      document.getElementById('export-range-count').textContent = t('export_range_count', { n });
+      runBtn.disabled = n === 0;
+    };
+    document.getElementById('export-from').addEventListener('change', updateCount);
+    document.getElementById('export-to').addEventListener('change', updateCount);
+    updateCount();
+  }
+
+  document.getElementById('btn-export-cancel').addEventListener('click', closeExportDialog);
+  runBtn.addEventListener('click', async () => {
+    const format    = overlay.querySelector('input[name="export-format"]:checked').value;
+    const selection = isBulk ? getExportRange() : { ids: [id] };
+    const statusEl  = document.getElementById('export-status');
+    runBtn.disabled = true;
+    const result = await window.electronAPI.exportSessions(selection, format);
+    runBtn.disabled = false;
+    if (result && result.canceled) return;
+    if (!result || !result.success) {
+      statusEl.className = 'setting-status error';
+      statusEl.textContent = t('export_fail');
+      return;
+    }
+    statusEl.className = 'setting-status';
+    statusEl.textContent = t('export_done', { n: result.count });
+    setTimeout(closeExportDialog, 1200);
+  });
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+
+async function runImport(btn) {
+  btn.disabled = true;
+  try {
+    const report = await window.electronAPI.importSessions();
+    if (!report) return; // dialog cancelled
+    showInfoToast(t('import_report', { imported: report.imported, skipped: report.skipped, malformed: report.malformed }));
+    if (report.imported > 0) await reloadSessions();
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function closeExportDialog() {
+  const overlay = document.getElementById('export-dialog');
+  overlay.classList.remove('visible');
+  overlay.innerHTML = '';
+}
+
+function showUndoToast(id) {
+  const toast = document.getElementById('undo-toast');
+  clearTimeout(infoToastTimer);
+  toast.innerHTML = '<span>' + esc(t('delete_done')) + '</span>' +
+    '<button id="btn-undo-delete">' + esc(t('delete_undo')) + '</button>';
+  toast.classList.add('visible');
+  document.getElementById('btn-undo-delete').addEventListener('click', () => undoDelete(id));
+}
+
+/** Shows a plain message in the toast slot; it hides itself after a few seconds. */
+let infoToastTimer = null;
+function showInfoToast(message) {
+  const toast = document.getElementById('undo-toast');
+  toast.innerHTML = '<span>' + esc(message) + '</span>';
+  toast.classList.add('visible');
+  clearTimeout(infoToastTimer);
+  infoToastTimer = setTimeout(hideUndoToast, UNDO_WINDOW_MS);
+}
+
+function hideUndoToast() {
+  const toast = document.getElementById('undo-toast');
+  toast.classList.remove('visible');
+  toast.innerHTML = '';
+}
+
+/**
+ * Confirms, then hides the session immediately and only deletes it on disk
+ * once the undo window has passed.
+ */
+function requestDelete(id) {
+  if (!findSession(id) || pendingDeletes.has(id)) return;
+  if (!window.confirm(t('delete_confirm'))) return;
+
+  // Only one undo toast at a time — commit any earlier pending delete now
+  for (const [otherId, timer] of pendingDeletes) {
+    clearTimeout(timer);
+    commitDelete(otherId);
+  }
+
+  pendingDeletes.set(id, setTimeout(() => commitDelete(id), UNDO_WINDOW_MS));
+  renderSessions();
+  showUndoToast(id);
+}
+
+async function commitDelete(id) {
+  if (!pendingDeletes.has(id)) return;
+  pendingDeletes.delete(id);
+  hideUndoToast();
+  await window.electronAPI.deleteSession(id);
+  await reloadSessions();
+}
+
+function undoDelete(id) {
+  const timer = pendingDeletes.get(id);
+  if (timer === undefined) return;
+  clearTimeout(timer);
+  pendingDeletes.delete(id);
+  hideUndoToast();
+  renderSessions();
+}
+
+// ─── Archive ──────────────────────────────────────────────────────────────────
+
+async function loadArchive() {
+  archivedSessions = await window.electronAPI.listArchivedSessions();
+  renderArchivePanel();
+}
+
+function renderArchivePanel() {
+  const listEl  = document.getElementById('archive-list');
+  const countEl = document.getElementById('archive-count');
+  if (!listEl) return;
+
+  if (archivedSessions.length === 0) {
+    if (countEl) countEl.textContent = '';
+    listEl.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">▥</div>
+        <p class="empty-title">${t('archive_empty')}</p>
+      </div>`;
+    return;
+  }
+
+  if (countEl) countEl.textContent = t('session_count', { n: archivedSessions.length });
+  const rows = archivedSessions.map(({ session: s, archivedAt }) => {
+    const { date, time } = formatDate(s.capturedAt);
+    const archived = formatDate(archivedAt);
+    return `
+    <div class="list-row" data-expand-archive="${esc(s.id)}">
+      <div class="lr-time">${time}</div>
+      <div class="lr-main">
+        <div class="lr-meta">
+          <span class="lr-date">${date}</span>${makeTags(s)}
+          <span class="archive-when">${esc(t('archive_archived_at', { date: archived.date }))}</span>
+        </div>
+        <div class="lr-summary">${esc(getSummaryPreview(s.aiSummary))}</div>
+      </div>
+      <div class="lr-restore-wrap">
+        <button class="btn-restore" data-archive-restore="${esc(s.id)}">${t('archive_restore_btn')}</button>
+        <button class="btn-icon danger" data-archive-delete="${esc(s.id)}" title="${esc(t('delete_btn'))}">🗑</button>
+      </div>
+    </div>
+    <div class="list-detail" id="archive-detail-${esc(s.id)}">${buildDetailHtml(s)}</div>`;
+  }).join('');
 
-  if (currentLayout === 'list')          renderListLayout(listEl);
-  else if (currentLayout === 'timeline') renderTimelineLayout(listEl);
-  else                                   renderCardsLayout(listEl);
+  listEl.innerHTML = '<div class="list-wrap">' + rows + '</div>';
+  observeShotThumbs(listEl);
+}
+
+async function restoreFromArchive(id, btn) {
+  btn.disabled = true;
+  const restored = await window.electronAPI.restoreArchivedSession(id);
+  if (!restored) {
+    btn.disabled = false;
+    btn.textContent = t('restore_fail');
+    return;
+  }
+  await Promise.all([loadArchive(), reloadSessions()]);
+}
+
+async function deleteFromArchive(id) {
+  if (!window.confirm(t('archive_delete_confirm'))) return;
+  await window.electronAPI.deleteArchivedSession(id);
+  await loadArchive();
 }
 
 async function handleRestore(id, btn) {
   btn.disabled = true;
   btn.textContent = t('restoring');
-  const result = await window.electronAPI.restoreSession(id);
+  const result = await window.electronAPI.restoreSession(id, clipChoice.has(id) ? clipChoice.get(id) : 0);
 
   const resultEl = document.getElementById('result-' + id);
 
@@ -726,6 +1877,9 @@ async function handleRestore(id, btn) {
     });
     lines.push('🪟 ' + apps.join(joiner));
   }
+  if (result.workspacesOpened && result.workspacesOpened.length > 0) {
+    lines.push(t('restore_workspaces', { list: result.workspacesOpened.join((i18n.ai_joiner) || '、') }));
+  }
   if (result.urlsOpened && result.urlsOpened > 0) {
     lines.push(t('restore_urls', { n: result.urlsOpened }));
   }
@@ -844,12 +1998,39 @@ function renderCapturePanel() {
   }
 
   let clipHtml = '';
-  if (pendingSession.clipboard && pendingSession.clipboard.trim()) {
-    const c      = pendingSession.clipboard.trim().substring(0, 200);
-    const suffix = pendingSession.clipboard.trim().length > 200 ? '…' : '';
+  const capClips = pendingSession.clipboardHistory || [];
+  if ((pendingSession.clipboard && pendingSession.clipboard.trim()) || capClips.length > 0) {
+    const c      = (pendingSession.clipboard || '').trim().substring(0, 200);
+    const suffix = (pendingSession.clipboard || '').trim().length > 200 ? '…' : '';
+    const more   = capClips.length > 1 ? ' <span class="ctx-count">' + esc(t('cap_ctx_clipboard_more', { n: capClips.length - 1 })) + '</span>' : '';
     clipHtml =
-      '<div class="ctx-clip"><div class="ctx-col-title">' + t('cap_ctx_clipboard') + '</div>' +
-      '<pre>' + esc(c) + suffix + '</pre></div>';
+      '<div class="ctx-clip"><div class="ctx-col-title">' + t('cap_ctx_clipboard') + more + '</div>' +
+      (c ? '<pre>' + esc(c) + suffix + '</pre>' : '') + '</div>';
+  }
+
+  // What the privacy rules and private-window detection kept out of this capture
+  let privacyHtml = '';
+  const excluded = pendingSession.privacyExcluded;
+  if (excluded) {
+    const parts = [
+      excluded.windows     && t('privacy_excluded_windows', { n: excluded.windows }),
+      excluded.tabs        && t('privacy_excluded_tabs', { n: excluded.tabs }),
+      excluded.history     && t('privacy_excluded_history', { n: excluded.history }),
+      excluded.other       && t('privacy_excluded_other', { n: excluded.other }),
+      excluded.screenshots && t('privacy_excluded_screenshots', { n: excluded.screenshots }),
+    ].filter(Boolean);
+    if (parts.length > 0) {
+      privacyHtml = '<div class="privacy-excluded">🛡 ' + esc(t('cap_privacy_excluded', { items: parts.join(' · ') })) + '</div>';
+    }
+  }
+  if (pendingSession.privateWindowsExcluded > 0) {
+    privacyHtml += '<div class="privacy-excluded">🕶 ' + esc(t('cap_private_windows_excluded', { n: pendingSession.privateWindowsExcluded })) + '</div>';
+  }
+  if (pendingSession.privateTabsExcluded > 0) {
+    privacyHtml += '<div class="privacy-excluded">🕶 ' + esc(t('cap_private_tabs_excluded', { n: pendingSession.privateTabsExcluded })) + '</div>';
+  }
+  if (pendingSession.otherContextTabsExcluded > 0) {
+    privacyHtml += '<div class="privacy-excluded">🕶 ' + esc(t('cap_other_context_tabs_excluded', { n: pendingSession.otherContextTabsExcluded })) + '</div>';
   }
 
   const hasCtx = winHtml || filesHtml || urlsCapHtml || histCapHtml || clipHtml;
@@ -881,6 +2062,7 @@ function renderCapturePanel() {
           ${summaryBodyHtml}
         </div>
 
+        ${privacyHtml}
         ${ctxCardHtml}
 
         <div>
@@ -889,6 +2071,21 @@ function renderCapturePanel() {
             placeholder="${t('cap_note_placeholder')}"></textarea>
         </div>
 
+        <div>
+          <label class="note-label" for="capture-tags">${t('cap_tags_label')}</label>
+          <input class="setting-input" id="capture-tags" style="width:100%" placeholder="${esc(t('cap_tags_placeholder'))}" />
+          <div class="thread-proposal" id="capture-tags-hint"></div>
+        </div>
+
+        <div>
+          <label class="note-label" for="capture-thread">${t('cap_thread_label')}</label>
+          <select class="setting-select" id="capture-thread">${buildThreadOptionsHtml(null, true)}</select>
+          <input class="setting-input" id="capture-thread-name" maxlength="80" style="display:none;width:100%;margin-top:8px"
+            placeholder="${esc(t('thread_name_placeholder'))}" />
+          <div class="thread-proposal" id="capture-thread-hint"></div>
+          <div class="setting-status error" id="capture-thread-status"></div>
+        </div>
+
         <div class="capture-actions">
           <button class="btn-secondary" id="btn-skip-capture">${t('cap_skip')}</button>
           <button class="btn-primary" id="btn-approve-capture"${isLoading ? ' disabled' : ''}>${t('cap_save')}</button>
@@ -897,15 +2094,39 @@ function renderCapturePanel() {
       </div>
     </div>`;
 
+  captureThreadTouched = false;
+  captureTagsTouched = false;
+  applyThreadProposal();
+  applyTagSuggestions();
+  document.getElementById('capture-tags').addEventListener('input', () => { captureTagsTouched = true; });
+  const threadSelect = document.getElementById('capture-thread');
+  threadSelect.addEventListener('change', () => {
+    captureThreadTouched = true;
+    const nameInput = document.getElementById('capture-thread-name');
+    nameInput.style.display = threadSelect.value === '__new' ? '' : 'none';
+    if (threadSelect.value === '__new') nameInput.focus();
+  });
+
   document.getElementById('btn-approve-capture').addEventListener('click', async () => {
     const note = document.getElementById('capture-note').value.trim();
     document.getElementById('btn-approve-capture').disabled = true;
     document.getElementById('btn-skip-capture').disabled = true;
-    await window.electronAPI.approveSession(note);
+    let threadId = threadSelect.value || null;
+    if (threadId === '__new') {
+      const created = await window.electronAPI.createThread(document.getElementById('capture-thread-name').value.trim());
+      if (!created) {
+        document.getElementById('capture-thread-status').textContent = t('thread_name_invalid');
+        document.getElementById('btn-approve-capture').disabled = false;
+        document.getElementById('btn-skip-capture').disabled = false;
+        return;
+      }
+      threadId = created.id;
+    }
+    const tags = parseTagInput(document.getElementById('capture-tags').value);
+    await window.electronAPI.approveSession(note, threadId, tags);
     pendingSession = null;
     clearBadge('capture');
-    sessions = await window.electronAPI.loadSessions();
-    renderSessions();
+    await reloadSessions();
     renderCapturePanel();
     switchTab('sessions');
   });
@@ -919,6 +2140,123 @@ function renderCapturePanel() {
   });
 }
 
+// ─── Integrity check ──────────────────────────────────────────────────────────
+
+const INTEGRITY_KIND_KEYS = {
+  'hmac-mismatch': 'integrity_kind_hmac',
+  'unreadable':    'integrity_kind_unreadable',
+  'orphaned-file': 'integrity_kind_orphan',
+};
+
+/** Quarantined sessions / orphaned files with re-sign and discard buttons. */
+function renderIntegrityIssues(issues) {
+  const listEl = document.getElementById('integrity-list');
+  if (!listEl) return;
+  listEl.innerHTML = issues.map(issue => {
+    const when = issue.capturedAt ? formatDate(issue.capturedAt) : null;
+    const canResign = issue.kind !== 'unreadable';
+    return `
+      <li>
+        <div class="integrity-info">
+          <span class="integrity-kind">${t(INTEGRITY_KIND_KEYS[issue.kind])}</span>
+          <span>${when ? esc(when.date + ' ' + when.time) : esc(issue.id)}</span>
+          ${issue.aiSummary ? '<span class="integrity-summary">' + esc(getSummaryPreview(issue.aiSummary)) + '</span>' : ''}
+        </div>
+        ${canResign ? '<button class="btn-secondary" data-integrity-resign="' + esc(issue.id) + '">' + t('integrity_resign_btn') + '</button>' : ''}
+        <button class="btn-icon danger" data-integrity-discard="${esc(issue.id)}" title="${esc(t('integrity_discard_btn'))}">🗑</button>
+      </li>`;
+  }).join('');
+}
+
+/** Outcome of each collector plugin at the last capture. */
+function renderPluginStatus(status) {
+  const listEl = document.getElementById('plugin-list');
+  if (!listEl) return;
+  listEl.style.display = status.plugins.length ? '' : 'none';
+  listEl.innerHTML = status.plugins.map(p => `
+    <li>
+      <div class="integrity-info">
+        <span>${esc(p.file)}</span>
+        ${p.ok
+          ? '<span class="plugin-ok">' + esc(t('plugin_ok', { n: p.sections, ms: p.durationMs })) + '</span>'
+          : '<span class="integrity-kind">' + esc(t('plugin_failed', { detail: p.error || '' })) + '</span>'}
+      </div>
+    </li>`).join('');
+}
+
+async function runIntegrityCheck(btn) {
+  const statusEl = document.getElementById('integrity-status');
+  btn.disabled = true;
+  statusEl.className = 'setting-status';
+  statusEl.textContent = t('integrity_running');
+  const report = await window.electronAPI.repairSessionStore();
+  btn.disabled = false;
+  if (!report) {
+    statusEl.className = 'setting-status error';
+    statusEl.textContent = t('integrity_fail');
+    return;
+  }
+  const quarantined = report.issues.filter(i => i.kind !== 'orphaned-file').length;
+  statusEl.className = 'setting-status' + (report.issues.length > 0 ? ' error' : '');
+  statusEl.textContent = t('integrity_report', {
+    checked:     report.sessionsChecked,
+    quarantined,
+    orphaned:    report.issues.length - quarantined,
+    missing:     report.missing.length,
+  });
+  renderIntegrityIssues(report.issues);
+  await reloadSessions();
+}
+
+async function resolveIntegrityIssue(id, action) {
+  if (action === 'discard' && !window.confirm(t('integrity_discard_confirm'))) return;
+  const ok = await window.electronAPI.resolveIntegrityIssue(id, action);
+  const statusEl = document.getElementById('integrity-status');
+  statusEl.className = 'setting-status' + (ok ? '' : ' error');
+  statusEl.textContent = t(ok ? (action === 'resign' ? 'integrity_resigned' : 'integrity_discarded') : 'integrity_resolve_fail');
+  renderIntegrityIssues(await window.electronAPI.listIntegrityIssues());
+  if (ok && action === 'resign') await reloadSessions();
+}
+
+// ─── Sync folder ──────────────────────────────────────────────────────────────
+
+function renderSyncStatus(status) {
+  const folderEl = document.getElementById('sync-folder');
+  const statusEl = document.getElementById('sync-status');
+  if (!folderEl || !status) return;
+  folderEl.textContent = status.folder || t('sync_off');
+  folderEl.title = status.folder;
+  document.getElementById('btn-sync-now').disabled     = !status.folder || !!storeError || status.encrypted;
+  document.getElementById('btn-sync-disable').disabled = !status.folder;
+
+  // Synced files would hold the encrypted sessions in plain text
+  if (status.folder && status.encrypted) {
+    statusEl.className = 'setting-status error';
+    statusEl.textContent = t('sync_blocked_encryption');
+    return;
+  }
+
+  const last = status.folder ? status.last : null;
+  statusEl.className = 'setting-status' + (last && last.error ? ' error' : '');
+  if (!last) { statusEl.textContent = ''; return; }
+  const { date, time } = formatDate(last.syncedAt);
+  statusEl.textContent = last.error
+    ? t('sync_fail', { detail: last.error })
+    : t('sync_report', {
+      when:      date + ' ' + time,
+      pulled:    last.pulled,
+      pushed:    last.pushed,
+      conflicts: last.conflicts,
+    }) + (last.rejected > 0 ? ' ' + t('sync_rejected', { count: last.rejected }) : '');
+}
+
+async function runSyncAction(action) {
+  const status = await action();
+  if (!status) return;
+  renderSyncStatus(status);
+  await reloadSessions();
+}
+
 // ─── Settings Panel ───────────────────────────────────────────────────────────
 function initSettings() {
   // ── Non-AI settings ──────────────────────────────────────────────────────
@@ -975,10 +2313,267 @@ function initSettings() {
     });
   }
 
+  // ── Browser profiles ──────────────────────────────────────────────────────
+  const profileMode = document.getElementById('setting-profile-mode');
+  const profileList = document.getElementById('browser-profile-list');
+  if (profileMode && profileList) {
+    const renderProfiles = async () => {
+      const mode = profileMode.value;
+      profileList.style.display = mode === 'all' ? 'none' : '';
+      if (mode === 'all') return;
+      const profiles = await window.electronAPI.listBrowserProfiles();
+      const selected = new Set(config.browserProfileList || []);
+      profileList.innerHTML = profiles.length === 0
+        ? `<div class="setting-hint">${esc(t('profiles_none'))}</div>`
+        : profiles.map(p => `
+          <label>
+            <input type="checkbox" data-profile-key="${esc(p.key)}"${selected.has(p.key) ? ' checked' : ''} />
+            <span>${esc(p.profile)}</span>
+            <span class="profile-browser">${esc(p.browser)}</span>
+          </label>`).join('');
+    };
+    profileMode.value = config.browserProfileMode || 'all';
+    profileMode.addEventListener('change', async e => {
+      await window.electronAPI.saveConfig({ browserProfileMode: e.target.value });
+      config.browserProfileMode = e.target.value;
+      renderProfiles();
+    });
+    profileList.addEventListener('change', async e => {
+      const key = e.target.dataset && e.target.dataset.profileKey;
+      if (!key) return;
+      const list = new Set(config.browserProfileList || []);
+      if (e.target.checked) list.add(key); else list.delete(key);
+      config.browserProfileList = Array.from(list);
+      await window.electronAPI.saveConfig({ browserProfileList: config.browserProfileList });
+    });
+    renderProfiles();
+  }
+
+  const safariToggle = document.getElementById('setting-safari-tabs');
+  if (safariToggle) {
+    safariToggle.checked = config.safariTabCapture === true;
+    safariToggle.addEventListener('change', async e => {
+      await window.electronAPI.saveConfig({ safariTabCapture: e.target.checked });
+      config.safariTabCapture = e.target.checked;
+    });
+  }
+
+  // ── Git repositories ──────────────────────────────────────────────────────
+  const gitToggle = document.getElementById('setting-git-capture');
+  const gitRoots  = document.getElementById('setting-git-roots');
+  if (gitToggle && gitRoots) {
+    gitToggle.checked = config.gitCapture !== false;
+    gitRoots.value    = (config.gitWorkspaceRoots || []).join('\n');
+    gitToggle.addEventListener('change', async e => {
+      await window.electronAPI.saveConfig({ gitCapture: e.target.checked });
+      config.gitCapture = e.target.checked;
+    });
+    gitRoots.addEventListener('change', async e => {
+      const roots = e.target.value.split('\n').map(r => r.trim()).filter(Boolean);
+      await window.electronAPI.saveConfig({ gitWorkspaceRoots: roots });
+      config.gitWorkspaceRoots = roots;
+    });
+  }
+
+  // ── Screenshots ───────────────────────────────────────────────────────────
+  const screenshotMode = document.getElementById('setting-screenshot-mode');
+  if (screenshotMode) {
+    screenshotMode.value = config.screenshotMode || 'off';
+    screenshotMode.addEventListener('change', async e => {
+      await window.electronAPI.saveConfig({ screenshotMode: e.target.value });
+      config.screenshotMode = e.target.value;
+    });
+  }
+
+  // ── Privacy rules ─────────────────────────────────────────────────────────
+  const privacyCard = document.getElementById('privacy-rules');
+  if (privacyCard) {
+    const lists = {
+      privacyBlockedDomains:   document.getElementById('setting-privacy-domains'),
+      privacyBlockedUrls:      document.getElementById('setting-privacy-urls'),
+      privacyBlockedProcesses: document.getElementById('setting-privacy-processes'),
+      privacyRedactPatterns:   document.getElementById('setting-privacy-patterns'),
+    };
+    const emails = document.getElementById('setting-privacy-emails');
+    const linesOf = el => el.value.split('\n').map(l => l.trim()).filter(Boolean);
+
+    for (const [key, el] of Object.entries(lists)) {
+      el.value = (config[key] || []).join('\n');
+      el.addEventListener('change', async () => {
+        const value = linesOf(el);
+        await window.electronAPI.saveConfig({ [key]: value });
+        config[key] = value;
+      });
+    }
+    emails.checked = config.privacyRedactEmails === true;
+    emails.addEventListener('change', async e => {
+      await window.electronAPI.saveConfig({ privacyRedactEmails: e.target.checked });
+      config.privacyRedactEmails = e.target.checked;
+    });
+
+    // Tests what is in the form, saved or not
+    document.getElementById('btn-privacy-test').addEventListener('click', async () => {
+      const out = document.getElementById('privacy-test-result');
+      const result = await window.electronAPI.testPrivacyRules({
+        blockedDomains:   linesOf(lists.privacyBlockedDomains),
+        blockedUrls:      linesOf(lists.privacyBlockedUrls),
+        blockedProcesses: linesOf(lists.privacyBlockedProcesses),
+        redactPatterns:   linesOf(lists.privacyRedactPatterns),
+        redactEmails:     emails.checked,
+      }, {
+        text:    document.getElementById('privacy-test-text').value,
+        url:     document.getElementById('privacy-test-url').value,
+        process: document.getElementById('privacy-test-process').value,
+      });
+      const verdict = (label, blocked) => blocked === null ? '' :
+        `<div>${esc(label)}: <span class="${blocked ? 'blocked' : 'kept'}">${esc(t(blocked ? 'privacy_test_blocked' : 'privacy_test_kept'))}</span></div>`;
+      out.innerHTML =
+        result.errors.map(e => `<div class="blocked">${esc(t('privacy_test_invalid', { pattern: e }))}</div>`).join('') +
+        verdict('URL', result.urlBlocked) +
+        verdict(t('privacy_test_process'), result.processBlocked) +
+        (result.redacted ? `<div class="redacted">${esc(result.redacted)}</div>` : '');
+    });
+  }
+
+  // ── Auto capture ──────────────────────────────────────────────────────────
+  const autoCaptureToggle = document.getElementById('setting-auto-capture');
+  if (autoCaptureToggle) {
+    const options       = document.getElementById('auto-capture-options');
+    const intervalSel   = document.getElementById('setting-auto-capture-interval');
+    const idleToggle    = document.getElementById('setting-auto-capture-idle');
+    const idleMinutes   = document.getElementById('setting-auto-capture-idle-minutes');
+    const lockToggle    = document.getElementById('setting-auto-capture-lock');
+    const restoreToggle = document.getElementById('setting-auto-capture-restore');
+
+    const updateAutoCaptureRows = () => {
+      options.style.display = autoCaptureToggle.checked ? '' : 'none';
+      document.getElementById('auto-capture-idle-row').style.display = idleToggle.checked ? 'flex' : 'none';
+    };
+    const saveAutoCapture = async patch => {
+      await window.electronAPI.saveConfig(patch);
+      Object.assign(config, patch);
+      updateAutoCaptureRows();
+    };
+
+    autoCaptureToggle.checked = config.autoCaptureEnabled === true;
+    autoCaptureToggle.disabled = !!storeError;
+    intervalSel.value     = String(config.autoCaptureIntervalMinutes ?? 30);
+    idleToggle.checked    = config.autoCaptureOnIdle !== false;
+    idleMinutes.value     = String(config.autoCaptureIdleMinutes || 10);
+    lockToggle.checked    = config.autoCaptureOnLock !== false;
+    restoreToggle.checked = config.autoCaptureBeforeRestore !== false;
+    updateAutoCaptureRows();
+
+    autoCaptureToggle.addEventListener('change', e => saveAutoCapture({ autoCaptureEnabled: e.target.checked }));
+    intervalSel.addEventListener('change', e => saveAutoCapture({ autoCaptureIntervalMinutes: parseInt(e.target.value, 10) }));
+    idleToggle.addEventListener('change', e => saveAutoCapture({ autoCaptureOnIdle: e.target.checked }));
+    idleMinutes.addEventListener('change', e => {
+      const val = parseInt(e.target.value, 10);
+      if (!(val >= 1)) { e.target.value = String(config.autoCaptureIdleMinutes || 10); return; }
+      saveAutoCapture({ autoCaptureIdleMinutes: val });
+    });
+    lockToggle.addEventListener('change', e => saveAutoCapture({ autoCaptureOnLock: e.target.checked }));
+    restoreToggle.addEventListener('change', e => saveAutoCapture({ autoCaptureBeforeRestore: e.target.checked }));
+  }
+
+  // ── Retention ─────────────────────────────────────────────────────────────
+  const retentionMode  = document.getElementById('setting-retention-mode');
+  const retentionDays  = document.getElementById('setting-retention-days');
+  const retentionCount = document.getElementById('setting-retention-count');
+
+  function updateRetentionRows() {
+    document.getElementById('retention-age-row').style.display   = retentionMode.value === 'max-age'   ? 'flex' : 'none';
+    document.getElementById('retention-count-row').style.display = retentionMode.value === 'max-count' ? 'flex' : 'none';
+  }
+
+  async function saveRetention(patch) {
+    await window.electronAPI.saveConfig(patch);
+    Object.assign(config, patch);
+    await reloadSessions(); // a tighter policy archives sessions immediately
+  }
+
+  if (retentionMode) {
+    retentionMode.value  = config.retentionMode || 'max-age';
+    retentionDays.value  = String(config.retentionMaxAgeDays || 90);
+    retentionCount.value = String(config.retentionMaxCount || 500);
+    updateRetentionRows();
+
+    retentionMode.addEventListener('change', async e => {
+      updateRetentionRows();
+      await saveRetention({ retentionMode: e.target.value });
+    });
+    retentionDays.addEventListener('change', async e => {
+      const val = parseInt(e.target.value, 10);
+      if (!(val >= 1)) { e.target.value = String(config.retentionMaxAgeDays || 90); return; }
+      await saveRetention({ retentionMaxAgeDays: val });
+    });
+    retentionCount.addEventListener('change', async e => {
+      const val = parseInt(e.target.value, 10);
+      if (!(val >= 1)) { e.target.value = String(config.retentionMaxCount || 500); return; }
+      await saveRetention({ retentionMaxCount: val });
+    });
+  }
+
+  // ── Encryption at rest ────────────────────────────────────────────────────
+  const encToggle = document.getElementById('setting-encryption');
+  const encStatus = document.getElementById('encryption-status');
+  if (encToggle) {
+    encToggle.checked  = config.sessionEncryption === true;
+    encToggle.disabled = !!storeError;
+    encToggle.addEventListener('change', async e => {
+      const enabled = e.target.checked;
+      encToggle.disabled = true;
+      encStatus.className = 'setting-status';
+      encStatus.textContent = t('encryption_working');
+      const result = await window.electronAPI.setSessionEncryption(enabled);
+      encToggle.disabled = false;
+      if (!result || !result.success) {
+        encToggle.checked = !enabled;
+        encStatus.className = 'setting-status error';
+        encStatus.textContent = t('encryption_fail', { detail: (result && result.error) || '' });
+        return;
+      }
+      config.sessionEncryption = enabled;
+      encStatus.textContent = t(enabled ? 'encryption_on' : 'encryption_off');
+      window.electronAPI.getSyncStatus().then(renderSyncStatus);
+    });
+  }
+
   document.getElementById('btn-open-folder').addEventListener('click', () => {
     window.electronAPI.openDataFolder();
   });
 
+  // ── Integrity check / repair ──────────────────────────────────────────────
+  const integrityBtn = document.getElementById('btn-integrity-check');
+  if (integrityBtn) {
+    integrityBtn.disabled = !!storeError;
+    integrityBtn.addEventListener('click', () => runIntegrityCheck(integrityBtn));
+    document.getElementById('integrity-list').addEventListener('click', e => {
+      const resignBtn = e.target.closest('[data-integrity-resign]');
+      if (resignBtn) { resolveIntegrityIssue(resignBtn.dataset.integrityResign, 'resign'); return; }
+      const discardBtn = e.target.closest('[data-integrity-discard]');
+      if (discardBtn) resolveIntegrityIssue(discardBtn.dataset.integrityDiscard, 'discard');
+    });
+    if (!storeError) window.electronAPI.listIntegrityIssues().then(renderIntegrityIssues);
+  }
+
+  // ── Collector plugins ─────────────────────────────────────────────────────
+  const collectorsBtn = document.getElementById('btn-open-collectors');
+  if (collectorsBtn) {
+    collectorsBtn.addEventListener('click', () => window.electronAPI.openCollectorsFolder());
+    window.electronAPI.getCollectorPlugins().then(renderPluginStatus);
+  }
+
+  // ── Sync folder ───────────────────────────────────────────────────────────
+  const syncChooseBtn = document.getElementById('btn-sync-choose');
+  if (syncChooseBtn) {
+    syncChooseBtn.disabled = !!storeError;
+    syncChooseBtn.addEventListener('click', () => runSyncAction(window.electronAPI.chooseSyncFolder));
+    document.getElementById('btn-sync-now').addEventListener('click', () => runSyncAction(window.electronAPI.syncNow));
+    document.getElementById('btn-sync-disable').addEventListener('click', () => runSyncAction(window.electronAPI.disableSync));
+    window.electronAPI.getSyncStatus().then(renderSyncStatus);
+  }
+
   // ── Shortcut keys ─────────────────────────────────────────────────────────
   const elCaptureShortcut = document.getElementById('setting-capture-shortcut');
   const elOpenShortcut    = document.getElementById('setting-open-shortcut');
@@ -1288,6 +2883,33 @@ window.electronAPI.onSessionSummaryReady((aiSummary) => {
   if (saveBtn) saveBtn.disabled = false;
 });
 
+window.electronAPI.onThreadProposalReady((threadId) => {
+  if (!pendingSession) return;
+  pendingSession.proposedThreadId = threadId;
+  applyThreadProposal();
+});
+
+window.electronAPI.onTagsSuggested((tags) => {
+  if (!pendingSession) return;
+  pendingSession.suggestedTags = tags;
+  applyTagSuggestions();
+});
+
+// Rolling summary of a thread was rewritten in the background
+window.electronAPI.onThreadsUpdated(async () => {
+  threads = await window.electronAPI.listThreads();
+  if (currentLayout === 'threads') renderSessions();
+});
+
+// An automatic capture was saved, or its summary arrived
+window.electronAPI.onSessionAutoCaptured(() => reloadSessions());
+
+// Sessions or threads arrived from another machine through the sync folder
+window.electronAPI.onSessionsSynced(async () => {
+  await reloadSessions();
+  window.electronAPI.getSyncStatus().then(renderSyncStatus);
+});
+
 // ─── Update events ────────────────────────────────────────────────────────────
 window.electronAPI.onUpdateAvailable((info) => {
   updateInfo = info;
@@ -1335,6 +2957,11 @@ async function init() {
   ]);
   sessions = loadedSessions;
   config = loadedConfig;
+  storeError = (await window.electronAPI.getStoreStatus()).error;
+  [threads, allTags] = await Promise.all([
+    window.electronAPI.listThreads(),
+    window.electronAPI.listTags(),
+  ]);
   i18n = loadedI18n || {};
   pendingSession = loadedPending;
   isCollecting = (captureState === 'collecting');
@@ -1376,6 +3003,7 @@ async function init() {
       i18n = await window.electronAPI.getTranslations();
       applyTranslations();
       renderSessions();
+      renderArchivePanel();
       renderCapturePanel();
     });
   }
@@ -1398,6 +3026,104 @@ async function init() {
     });
   });
 
+  // Session search — debounced so each keystroke doesn't hit the index
+  const searchInput = document.getElementById('session-search');
+  if (searchInput) {
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => runSearch(searchInput.value), 180);
+    });
+    searchInput.addEventListener('keydown', e => {
+      if (e.key !== 'Escape') return;
+      searchInput.value = '';
+      runSearch('');
+    });
+  }
+
+  // Pin / compare / export / edit / delete buttons — event delegation (all layouts)
+  document.addEventListener('click', e => {
+    const reviewBtn = e.target.closest('[data-review]');
+    if (reviewBtn) { markReviewed(reviewBtn.dataset.review); return; }
+    const clipPick = e.target.closest('[data-clip-pick]');
+    if (clipPick) { pickClipboardEntry(clipPick.dataset.clipPick, Number(clipPick.dataset.clipIndex)); return; }
+    const clipCopy = e.target.closest('[data-clip-copy]');
+    if (clipCopy) { copyClipboardEntry(clipCopy.dataset.clipCopy, Number(clipCopy.dataset.clipIndex)); return; }
+    const shotBtn = e.target.closest('[data-shot]');
+    if (shotBtn) { openLightbox(shotBtn.dataset.shot, Number(shotBtn.dataset.shotIndex)); return; }
+    const pinBtn = e.target.closest('[data-pin]');
+    if (pinBtn) { togglePin(pinBtn.dataset.pin); return; }
+    const exportBtn = e.target.closest('[data-export]');
+    if (exportBtn) { openExportDialog(exportBtn.dataset.export); return; }
+    const compareBtn = e.target.closest('[data-compare]');
+    if (compareBtn) { openCompareDialog(compareBtn.dataset.compare); return; }
+    const editBtn = e.target.closest('[data-edit]');
+    if (editBtn) { openSessionEditor(editBtn.dataset.edit); return; }
+    const delBtn = e.target.closest('[data-delete]');
+    if (delBtn) requestDelete(delBtn.dataset.delete);
+  });
+  document.getElementById('session-editor')?.addEventListener('click', e => {
+    if (e.target.id === 'session-editor') closeSessionEditor(); // click outside the dialog
+  });
+  document.getElementById('export-dialog')?.addEventListener('click', e => {
+    if (e.target.id === 'export-dialog') closeExportDialog();
+  });
+  document.getElementById('thread-dialog')?.addEventListener('click', e => {
+    if (e.target.id === 'thread-dialog') closeThreadDialog();
+  });
+  document.getElementById('tag-dialog')?.addEventListener('click', e => {
+    if (e.target.id === 'tag-dialog') closeTagDialog();
+  });
+  document.getElementById('compare-dialog')?.addEventListener('click', e => {
+    if (e.target.id === 'compare-dialog') closeCompareDialog();
+  });
+  document.getElementById('shot-lightbox')?.addEventListener('click', e => {
+    const stepBtn = e.target.closest('[data-lightbox-step]');
+    if (stepBtn) { stepLightbox(Number(stepBtn.dataset.lightboxStep)); return; }
+    if (e.target.id === 'shot-lightbox' || e.target.closest('[data-lightbox-close]')) closeLightbox();
+  });
+
+  // Tag chips (cards and filter bar) toggle the tag filter
+  document.addEventListener('click', e => {
+    const chip = e.target.closest('[data-tag-filter]');
+    if (chip) { toggleTagFilter(chip.dataset.tagFilter); return; }
+    if (e.target.closest('[data-tag-clear]')) { activeTags.clear(); renderSessions(); return; }
+    if (e.target.closest('[data-tag-manage]')) openTagDialog();
+  });
+
+  // Threads layout — new / rename / delete
+  document.getElementById('session-list')?.addEventListener('click', e => {
+    if (e.target.closest('[data-thread-new]')) { openThreadDialog(null); return; }
+    const renameBtn = e.target.closest('[data-thread-rename]');
+    if (renameBtn) { openThreadDialog(renameBtn.dataset.threadRename); return; }
+    const delBtn = e.target.closest('[data-thread-delete]');
+    if (delBtn) removeThread(delBtn.dataset.threadDelete);
+  });
+  document.getElementById('btn-bulk-export')?.addEventListener('click', () => openExportDialog(null));
+  const importBtn = document.getElementById('btn-import');
+  importBtn?.addEventListener('click', () => runImport(importBtn));
+  document.addEventListener('keydown', e => {
+    if (lightbox && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) { stepLightbox(e.key === 'ArrowLeft' ? -1 : 1); return; }
+    if (e.key !== 'Escape') return;
+    if (lightbox) { closeLightbox(); return; }
+    if (document.getElementById('session-editor')?.classList.contains('visible')) closeSessionEditor();
+    if (document.getElementById('export-dialog')?.classList.contains('visible'))  closeExportDialog();
+    if (document.getElementById('thread-dialog')?.classList.contains('visible'))  closeThreadDialog();
+    if (document.getElementById('tag-dialog')?.classList.contains('visible'))     closeTagDialog();
+    if (document.getElementById('compare-dialog')?.classList.contains('visible')) closeCompareDialog();
+  });
+
+  // Archive — restore / delete / expand row
+  document.getElementById('archive-list')?.addEventListener('click', e => {
+    const restoreBtn = e.target.closest('[data-archive-restore]');
+    if (restoreBtn) { restoreFromArchive(restoreBtn.dataset.archiveRestore, restoreBtn); return; }
+    const delBtn = e.target.closest('[data-archive-delete]');
+    if (delBtn) { deleteFromArchive(delBtn.dataset.archiveDelete); return; }
+    const row = e.target.closest('[data-expand-archive]');
+    if (!row) return;
+    document.getElementById('archive-detail-' + row.dataset.expandArchive)?.classList.toggle('expanded');
+  });
+
   // Layout A — card expand/collapse
   document.addEventListener('click', e => {
     const btn = e.target.closest('.card-expand-btn');
@@ -1413,7 +3139,7 @@ async function init() {
   document.addEventListener('click', e => {
     const row = e.target.closest('[data-expand-list]');
     if (!row) return;
-    if (e.target.closest('.btn-restore')) return;
+    if (e.target.closest('.btn-restore') || e.target.closest('.btn-icon') || e.target.closest('[data-tag-filter]') || e.target.closest('[data-shot]')) return;
     const id = row.dataset.expandList;
     const detail = document.getElementById('list-detail-' + id);
     if (!detail) return;
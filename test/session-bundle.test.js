@@ -0,0 +1,82 @@
+// Round trip of the JSON bundle: exportJsonBundle() → parseImportFile().
+// Runs against the compiled main process (npm test builds it first).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportJsonBundle } = require('../dist/main/session/session-export');
+const { parseImportFile } = require('../dist/main/session/session-import');
+
+const OPTS = { language: 'en', translations: {}, appVersion: '0.0.0' };
+
+const session = {
+  id:         '3f2b6c1e-8d4a-4b7e-9c2d-1a5e6f7b8c9d',
+  capturedAt: '2025-03-01T09:30:00.000Z',
+  windows:    [{ name: 'code', title: 'main.ts - thread-keeper' }],
+  clipboard:  'npm run build',
+  clipboardHistory: [
+    { kind: 'html', text: 'Release notes', html: '<b>Release notes</b>', copiedAt: '2025-03-01T09:29:00.000Z' },
+    { kind: 'text', text: 'npm run build', copiedAt: '2025-03-01T09:28:00.000Z' },
+  ],
+  recentFiles:    ['/home/me/src/thread-keeper/README.md'],
+  browserTabs:    [{ url: 'https://github.com/', title: 'GitHub', browser: 'chrome', profile: 'Work' }],
+  browserHistory: [{ url: 'https://example.com/', title: 'Example', visitedAt: '2025-03-01T09:00:00.000Z', browser: 'firefox' }],
+  workspaces:     [{ editor: 'vscode', app: 'Code', kind: 'folder', path: '/home/me/src/thread-keeper' }],
+  gitRepos: [{
+    path: '/home/me/src/thread-keeper', name: 'thread-keeper', branch: 'main', upstream: 'origin/main',
+    ahead: 1, behind: 0, changes: [{ status: 'M', path: 'src/main/main.ts' }], changedCount: 1,
+    commits: [{ hash: 'a1b2c3d', subject: 'Add import' }], stashes: ['stash@{0}: WIP on main'],
+  }],
+  shellHistory: {
+    commands: [{ shell: 'zsh', command: 'git status', at: '2025-03-01T09:25:00.000Z' }],
+    cwds:     ['/home/me/src/thread-keeper'],
+  },
+  extras: [
+    { id: 'jira', title: 'Jira', type: 'fields', fields: [{ label: 'Ticket', value: 'TK-42' }] },
+    { id: 'kube', title: 'kube', type: 'list', items: ['prod-eu'] },
+  ],
+  aiSummary: 'Preparing the import feature',
+  userNote:  'continue with tests',
+  approved:  true,
+  pinned:    true,
+  threadId:  '0c9d8e7f-6a5b-4c3d-2e1f-0a9b8c7d6e5f',
+  tags:      ['threadkeeper'],
+};
+
+test('a bundle reads back every session field', () => {
+  const bundle = exportJsonBundle([session], OPTS);
+  const result = parseImportFile(bundle);
+
+  assert.equal(result.source, 'threadkeeper');
+  assert.equal(result.malformed, 0);
+  assert.equal(result.drafts.length, 1);
+  assert.deepEqual(result.drafts[0].session, session);
+});
+
+test('images are dropped — their files are not in the bundle', () => {
+  const image = { file: 'x/1.jpg', thumb: 'x/1.thumb.jpg', width: 10, height: 10, label: 'Display 1', sha256: '00' };
+  const withImages = {
+    ...session,
+    screenshots:      [image],
+    clipboardHistory: [{ kind: 'image', text: '', image, copiedAt: '2025-03-01T09:29:30.000Z' }, ...session.clipboardHistory],
+  };
+  const [draft] = parseImportFile(exportJsonBundle([withImages], OPTS)).drafts;
+
+  assert.equal(draft.session.screenshots, undefined);
+  assert.deepEqual(draft.session.clipboardHistory, session.clipboardHistory);
+});
+
+test('malformed nested fields are filtered, not fatal', () => {
+  const broken = {
+    ...session,
+    gitRepos:     [{ name: 'no path' }, 42, ...session.gitRepos],
+    workspaces:   [{ editor: 'emacs', kind: 'folder', path: '/x' }],
+    shellHistory: { commands: [{ shell: 'fish', command: 'ls' }], cwds: [1, '/tmp'] },
+    extras:       [{ type: 'unknown' }],
+  };
+  const [draft] = parseImportFile(exportJsonBundle([broken], OPTS)).drafts;
+
+  assert.deepEqual(draft.session.gitRepos, session.gitRepos);
+  assert.deepEqual(draft.session.workspaces, []);
+  assert.deepEqual(draft.session.shellHistory, { commands: [], cwds: ['/tmp'] });
+  assert.deepEqual(draft.session.extras, []);
+});